@@ -0,0 +1,347 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const logger = require('./utils/logger');
+const validatePatientBody = require('./middleware/validatePatient');
+const validateClassifier = require('./middleware/validateClassifier');
+const requestId = require('./middleware/requestId');
+const requestMetrics = require('./middleware/requestMetrics');
+const rateLimit = require('./middleware/rateLimit');
+const v1Envelope = require('./middleware/v1Envelope');
+const { authenticate, authorize } = require('./middleware/auth');
+const registry = require('./services/classifierRegistry');
+const python = require('./services/pythonClient');
+const history = require('./services/historyStore');
+const users = require('./services/userStore');
+const cache = require('./services/predictionCache');
+const audit = require('./services/auditLog');
+const metrics = require('./services/metrics');
+const jobs = require('./services/jobQueue');
+const { createMemoryStore } = require('./services/rateLimitStore');
+const createCohortRouter = require('./routes/cohort');
+const createPatientsRouter = require('./routes/patients');
+const createAuthRouter = require('./routes/auth');
+const createUsersRouter = require('./routes/users');
+const createReportsRouter = require('./routes/reports');
+const createAuditRouter = require('./routes/audit');
+const createScenariosRouter = require('./routes/scenarios');
+const createDocsRouter = require('./routes/docs');
+const createPredictionsRouter = require('./routes/predictions');
+const createJobsRouter = require('./routes/jobs');
+const { explainPrediction } = require('./services/featureSensitivity');
+const { createPredictionJobHandlers } = require('./services/predictionJobs');
+const responseFormats = require('./utils/responseFormats');
+
+/**
+ * Build the gateway's Express app from a loaded config, without listening, so
+ * tests can drive it in-process. The services behind it are module singletons:
+ * await init(config) before serving requests.
+ */
+function createApp(config) {
+  const app = express();
+
+  python.configure({ baseUrl: config.pythonServiceUrl, ...config.upstream });
+
+  // Middleware
+  app.use(requestId());
+  app.use(requestMetrics());
+  app.use(helmet());
+  app.use(cors({
+    // Requests without an Origin header (curl, server-to-server) are not subject to CORS
+    origin: config.cors.allowAnyOrigin
+      ? '*'
+      : (origin, callback) => callback(null, !origin || config.cors.allowedOrigins.includes(origin)),
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    exposedHeaders: ['X-Cache', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+    credentials: !config.cors.allowAnyOrigin
+  }));
+  // Typed error envelope for everything under /api/v1, including body-parser,
+  // auth and 404 errors raised further down
+  app.use('/api/v1', v1Envelope());
+  app.use(express.json({ limit: config.maxBodySize }));
+  app.use(express.urlencoded({ extended: true, limit: config.maxBodySize }));
+
+  // Prediction routes each tie up the Python service, so they are rate limited per
+  // client; batch routes fan out to many calls and get a much smaller allowance
+  const rateLimitStore = createMemoryStore();
+  const limitPredictions = rateLimit({
+    name: 'predict',
+    store: rateLimitStore,
+    max: config.rateLimit.max,
+    windowMs: config.rateLimit.windowMs,
+    enabled: config.rateLimit.enabled
+  });
+  const limitBatches = rateLimit({
+    name: 'batch',
+    store: rateLimitStore,
+    max: config.rateLimit.batchMax,
+    windowMs: config.rateLimit.windowMs,
+    enabled: config.rateLimit.enabled
+  });
+
+  // Health check endpoint: the gateway itself is up if this answers; `status`
+  // reports whether predictions can currently be served
+  app.get('/health', async (req, res) => {
+    const upstream = await python.checkHealth();
+    const circuit = python.getCircuitState();
+    const healthy = upstream.reachable && circuit.state === 'closed';
+
+    res.json({ 
+      status: healthy ? 'healthy' : 'degraded',
+      timestamp: new Date().toISOString(),
+      service: 'Heart Health Classification API',
+      upstream: {
+        url: config.pythonServiceUrl,
+        circuit,
+        health: upstream
+      }
+    });
+  });
+
+  // Gauges read from other services at scrape time
+  const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+  metrics.registerGauge({
+    name: 'gateway_upstream_circuit_state',
+    help: 'Python service circuit breaker state (0 closed, 1 half-open, 2 open)',
+    collect: () => CIRCUIT_STATES[python.getCircuitState().state]
+  });
+  metrics.registerGauge({
+    name: 'gateway_prediction_cache_entries',
+    help: 'Predictions currently held in the cache',
+    collect: () => cache.getStats().size
+  });
+  metrics.registerGauge({
+    name: 'gateway_prediction_cache_lookups',
+    help: 'Prediction cache lookups since start, by result',
+    labelNames: ['result'],
+    collect: () => {
+      const { hits, misses } = cache.getStats();
+      return [{ labels: { result: 'hit' }, value: hits }, { labels: { result: 'miss' }, value: misses }];
+    }
+  });
+  metrics.registerGauge({
+    name: 'gateway_jobs',
+    help: 'Background jobs currently held, by status',
+    labelNames: ['status'],
+    collect: () => Object.entries(jobs.counts()).map(([status, value]) => ({ labels: { status }, value }))
+  });
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', async (req, res) => {
+    if (config.metrics.token && req.get('Authorization') !== `Bearer ${config.metrics.token}`) {
+      return res.status(401).json({
+        success: false,
+        error: 'Metrics token required'
+      });
+    }
+
+    res.type(metrics.contentType).send(await metrics.render());
+  });
+
+  // OpenAPI document at /api/openapi.json and interactive docs at /api/docs
+  app.use('/api', createDocsRouter());
+
+  // Login and the API docs are the only /api routes reachable without a token
+  app.use('/api/auth', createAuthRouter({ secret: config.auth.jwtSecret, expiresIn: config.auth.jwtExpiresIn }));
+  app.use('/api', authenticate(config.auth.jwtSecret));
+
+  // Re-read the classifier registry from the Python service now
+  app.post('/api/classifiers/refresh', authorize('models:manage'), async (req, res) => {
+    await registry.refresh();
+    const status = registry.getStatus();
+
+    if (status.lastError) {
+      return res.status(502).json({
+        success: false,
+        error: `Registry refresh failed: ${status.lastError}`
+      });
+    }
+
+    res.json({
+      success: true,
+      classifiers: registry.getClassifiers(),
+      count: status.count,
+      updatedAt: status.lastUpdated
+    });
+  });
+
+  // Prediction cache counters
+  app.get('/api/cache', authorize('models:manage'), (req, res) => {
+    res.json({
+      success: true,
+      cache: cache.getStats()
+    });
+  });
+
+  // Drop every cached prediction
+  app.delete('/api/cache', authorize('models:manage'), (req, res) => {
+    res.json({
+      success: true,
+      cleared: cache.clear()
+    });
+  });
+
+  // Classifier metadata and predictions: /api keeps the original response
+  // shapes for existing clients, /api/v1 serves the typed envelopes
+  const predictionRoutes = { config, limitPredictions, limitBatches };
+  app.use('/api', createPredictionsRouter({ ...predictionRoutes, format: responseFormats.legacy }));
+  app.use('/api/v1', createPredictionsRouter({ ...predictionRoutes, format: responseFormats.v1 }));
+
+  // Explain one prediction by how each field moves the positive-class probability.
+  // Fans out to dozens of upstream calls, so it shares the batch rate limit.
+  app.post('/api/explain/:classifier', authorize('predict'), limitBatches, validateClassifier(), validatePatientBody, async (req, res) => {
+    const { classifier } = req.params;
+    const model = req.query.model || registry.getClassifier(classifier).defaultModel;
+
+    try {
+      const explanation = await explainPrediction(classifier, model, req.body, {
+        samples: config.explain.samples,
+        concurrency: config.predictAll.concurrency,
+        timeout: config.timeouts.predict
+      });
+
+      audit.record(req, 'explain', { classifier, model: explanation.baseline.model, calls: explanation.summary.calls });
+
+      res.json({
+        success: true,
+        classifier,
+        model: explanation.baseline.model,
+        baseline: explanation.baseline,
+        features: explanation.features,
+        summary: explanation.summary,
+        input: req.body,
+        warnings: req.inputWarnings,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      audit.record(req, 'explain', { classifier, model, error: error.message }, 'failure');
+      python.sendUpstreamError(res, error, 'Explanation failed');
+    }
+  });
+
+  // Cohort (batch file) scoring
+  app.use('/api/cohort', authorize('predict'), createCohortRouter({
+    ...config.cohort,
+    rowTimeout: config.timeouts.cohortRow,
+    limitBatches
+  }));
+
+  // Background predict-all and model comparison, polled for completion
+  app.use('/api/jobs', authorize('predict'), createJobsRouter({ limitPredictions, limitBatches }));
+
+  // PDF risk reports
+  app.use('/api/reports', authorize('predict'), createReportsRouter({ config, limitBatches }));
+
+  // What-if scenarios for the Prediction page
+  app.use('/api/scenarios', authorize('predict'), createScenariosRouter({
+    concurrency: config.predictAll.concurrency,
+    timeout: config.timeouts.predict,
+    limitBatches
+  }));
+
+  // Patient prediction history
+  app.use('/api/patients', authorize('history:read'), createPatientsRouter());
+
+  // Metrics snapshot for the Dashboard's System panel
+  app.get('/api/system/metrics', authorize('metrics:read'), async (req, res) => {
+    res.json({
+      success: true,
+      metrics: await metrics.getSummary(),
+      cache: cache.getStats(),
+      circuit: python.getCircuitState(),
+      registry: registry.getStatus()
+    });
+  });
+
+  // Audit trail
+  app.use('/api/audit', authorize('audit:read'), createAuditRouter());
+
+  // User management
+  app.use('/api/users', authorize('users:manage'), createUsersRouter());
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Body parser failures are the client's fault, not ours
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: `Request body is too large (limit ${err.limit} bytes)`
+      });
+    }
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body is not valid JSON'
+      });
+    }
+
+    logger.error('Unhandled error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred'
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found'
+    });
+  });
+
+  return app;
+}
+
+let mockUpstream = null;
+
+// Load local stores and the classifier registry before accepting requests
+async function init(config) {
+  if (config.mockUpstream.enabled) {
+    const { startMockPythonService } = require('./mock/pythonService');
+    mockUpstream = await startMockPythonService({
+      port: config.mockUpstream.port,
+      latencyMs: config.mockUpstream.latencyMs,
+      faults: config.mockUpstream.faults
+    });
+    logger.warn(`🧪 Using the mock Python service at ${mockUpstream.url} - predictions are not real`);
+  }
+
+  await history.init(config.storage.historyFile);
+  await users.init(config.storage.usersFile);
+  await audit.init(config.storage.auditFile);
+  await cache.init(config.cache);
+  await jobs.init(config.storage.jobsFile, {
+    settings: config.jobs,
+    handlers: createPredictionJobHandlers({
+      concurrency: config.predictAll.concurrency,
+      timeout: config.jobs.callTimeoutMs
+    })
+  });
+  registry.onChange(({ version }) => cache.syncRegistryVersion(version));
+  const admin = await users.ensureBootstrapAdmin(config.auth.adminUsername, config.auth.adminPassword);
+  if (admin) {
+    logger.info(`👤 Created bootstrap admin account: ${admin.username}`);
+  }
+
+  await registry.start({
+    timeout: config.timeouts.registry,
+    intervalMs: config.registry.refreshMs
+  });
+}
+
+// Stop background work started by init() so an in-process app can be torn down
+async function shutdown() {
+  registry.stop();
+  if (mockUpstream) {
+    await mockUpstream.close();
+    mockUpstream = null;
+  }
+}
+
+module.exports = {
+  createApp,
+  init,
+  shutdown
+};
@@ -0,0 +1,269 @@
+const path = require('path');
+const crypto = require('crypto');
+const bytes = require('bytes');
+const ms = require('ms');
+require('dotenv').config({ quiet: true });
+const { STRATEGIES, parseWeights } = require('../services/ensemble');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid gateway configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Read and validate gateway settings from an env object (and the
+ * --mock-upstream command-line flag).
+ * Every problem is collected before throwing so a bad .env can be fixed in one pass.
+ */
+function loadConfig(env = process.env, argv = process.argv.slice(2)) {
+  const problems = [];
+
+  const integer = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      problems.push(`${name} must be a whole number between ${min} and ${max} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const decimal = (name, fallback, { min = 0, max = Number.MAX_VALUE } = {}) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      problems.push(`${name} must be a number between ${min} and ${max} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  // A size like "100kb"; body parsers treat an unparseable limit as no limit at all
+  const size = (name, fallback) => {
+    const raw = env[name] === undefined || env[name] === '' ? fallback : env[name];
+    const value = bytes.parse(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      problems.push(`${name} must be a positive size like "100kb" or "5mb" (got "${raw}")`);
+      return bytes.parse(fallback);
+    }
+    return value;
+  };
+
+  // A duration like "8h" or "30m", as jsonwebtoken reads it
+  const duration = (name, fallback) => {
+    const raw = env[name] === undefined || env[name] === '' ? fallback : env[name];
+    const value = ms(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      problems.push(`${name} must be a positive duration like "8h" or "30m" (got "${raw}")`);
+      return fallback;
+    }
+    return raw;
+  };
+
+  const url = (name, fallback) => {
+    const raw = env[name] || fallback;
+    try {
+      const parsed = new URL(raw);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('unsupported protocol');
+      return raw.replace(/\/+$/, '');
+    } catch {
+      problems.push(`${name} must be an http(s) URL (got "${raw}")`);
+      return fallback;
+    }
+  };
+
+  const oneOf = (name, allowed, fallback) => {
+    const raw = (env[name] || fallback).toLowerCase();
+    if (!allowed.includes(raw)) {
+      problems.push(`${name} must be one of: ${allowed.join(', ')} (got "${env[name]}")`);
+      return fallback;
+    }
+    return raw;
+  };
+
+  const list = (name, fallback) =>
+    (env[name] === undefined ? fallback : env[name]).split(',').map(item => item.trim()).filter(Boolean);
+
+  // CORS: either '*' on its own, or a list of exact origins
+  const allowedOrigins = list('CORS_ALLOWED_ORIGINS', 'http://localhost:5173');
+  if (allowedOrigins.length === 0) {
+    problems.push('CORS_ALLOWED_ORIGINS must list at least one origin (or "*")');
+  } else if (allowedOrigins.includes('*') && allowedOrigins.length > 1) {
+    problems.push('CORS_ALLOWED_ORIGINS cannot mix "*" with specific origins');
+  } else {
+    allowedOrigins
+      .filter(origin => origin !== '*')
+      .forEach(origin => {
+        try {
+          if (new URL(origin).origin !== origin) throw new Error('not an origin');
+        } catch {
+          problems.push(`CORS_ALLOWED_ORIGINS entry "${origin}" must be a bare origin like https://app.example.com`);
+        }
+      });
+  }
+
+  const jwtSecret = env.JWT_SECRET || null;
+  if (jwtSecret && jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters');
+  }
+
+  const ensembleWeights = parseWeights(env.ENSEMBLE_WEIGHTS || '');
+  if (ensembleWeights.error) {
+    problems.push(`ENSEMBLE_WEIGHTS: ${ensembleWeights.error}`);
+  }
+
+  // --mock-upstream (or MOCK_UPSTREAM=true) swaps the Flask service for the Node mock
+  const mockUpstream = argv.includes('--mock-upstream') || oneOf('MOCK_UPSTREAM', ['true', 'false'], 'false') === 'true';
+  let mockFaults = [];
+  if (env.MOCK_UPSTREAM_FAULTS) {
+    try {
+      mockFaults = JSON.parse(env.MOCK_UPSTREAM_FAULTS);
+      if (!Array.isArray(mockFaults)) throw new Error('not an array');
+    } catch {
+      problems.push('MOCK_UPSTREAM_FAULTS must be a JSON array of fault rules');
+      mockFaults = [];
+    }
+  }
+  const mockPort = integer('MOCK_UPSTREAM_PORT', 5001, { min: 1, max: 65535 });
+
+  const dataDir = path.resolve(env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+  const config = {
+    port: integer('PORT', 3000, { min: 1, max: 65535 }),
+    logLevel: oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+    logFormat: oneOf('LOG_FORMAT', ['json', 'pretty'], 'json'),
+    pythonServiceUrl: mockUpstream
+      ? `http://127.0.0.1:${mockPort}`
+      : url('PYTHON_SERVICE_URL', 'http://localhost:5000'),
+
+    // In-process stand-in for the Python service (mock/pythonService.js)
+    mockUpstream: {
+      enabled: mockUpstream,
+      port: mockPort,
+      latencyMs: integer('MOCK_UPSTREAM_LATENCY_MS', 0, { min: 0 }),
+      faults: mockFaults
+    },
+
+    cors: {
+      allowedOrigins,
+      allowAnyOrigin: allowedOrigins.includes('*')
+    },
+
+    // Per-route timeouts toward the Python service, in milliseconds
+    timeouts: {
+      predict: integer('PREDICT_TIMEOUT_MS', 10000, { min: 100 }),
+      // Per classifier/model call made by /api/predict-all
+      predictAll: integer('PREDICT_ALL_TIMEOUT_MS', 15000, { min: 100 }),
+      compareModels: integer('COMPARE_MODELS_TIMEOUT_MS', 15000, { min: 100 }),
+      modelInfo: integer('MODEL_INFO_TIMEOUT_MS', 5000, { min: 100 }),
+      registry: integer('REGISTRY_TIMEOUT_MS', 5000, { min: 100 }),
+      cohortRow: integer('COHORT_ROW_TIMEOUT_MS', 10000, { min: 100 })
+    },
+
+    // Retries and circuit breaker for calls to the Python service
+    upstream: {
+      retries: integer('UPSTREAM_RETRIES', 2, { min: 0, max: 10 }),
+      retryBaseDelayMs: integer('UPSTREAM_RETRY_DELAY_MS', 200, { min: 0 }),
+      failureThreshold: integer('CIRCUIT_FAILURE_THRESHOLD', 5, { min: 1 }),
+      resetTimeoutMs: integer('CIRCUIT_RESET_MS', 30000, { min: 1000 })
+    },
+
+    // Bearer token required to scrape /metrics; open when unset
+    metrics: {
+      token: env.METRICS_TOKEN || null
+    },
+
+    // Token buckets per signed-in user (or IP); batchMax covers the fan-out endpoints
+    // (predict-all, cohort scoring, explain, what-if scenarios, re-scored reports)
+    rateLimit: {
+      enabled: oneOf('RATE_LIMIT_ENABLED', ['true', 'false'], 'true') === 'true',
+      windowMs: integer('RATE_LIMIT_WINDOW_MS', 60000, { min: 1000 }),
+      max: integer('RATE_LIMIT_MAX', 60, { min: 1 }),
+      batchMax: integer('RATE_LIMIT_BATCH_MAX', 5, { min: 1 })
+    },
+
+    // Largest JSON or form body accepted outside cohort uploads, in bytes
+    maxBodySize: size('MAX_BODY_SIZE', '100kb'),
+
+    predictAll: {
+      concurrency: integer('PREDICT_ALL_CONCURRENCY', 4, { min: 1, max: 64 })
+    },
+
+    // Points tried across each numeric field's range when explaining a prediction
+    explain: {
+      samples: integer('EXPLAIN_SAMPLES', 5, { min: 2, max: 20 })
+    },
+
+    // Consensus scoring across a classifier's models; weights apply to the weighted strategy
+    ensemble: {
+      strategy: oneOf('ENSEMBLE_STRATEGY', STRATEGIES, 'weighted'),
+      weights: ensembleWeights.weights || {},
+      disagreementThreshold: decimal('ENSEMBLE_DISAGREEMENT_THRESHOLD', 0.15, { min: 0, max: 1 })
+    },
+
+    // LRU cache of prediction responses; set PREDICTION_CACHE_FILE to keep it across restarts
+    cache: {
+      enabled: oneOf('PREDICTION_CACHE_ENABLED', ['true', 'false'], 'true') === 'true',
+      maxEntries: integer('PREDICTION_CACHE_MAX_ENTRIES', 1000, { min: 1 }),
+      ttlMs: integer('PREDICTION_CACHE_TTL_MS', 10 * 60 * 1000, { min: 1000 }),
+      file: env.PREDICTION_CACHE_FILE ? path.resolve(env.PREDICTION_CACHE_FILE) : null
+    },
+
+    // Background jobs (/api/jobs): per-call timeout is longer than the inline routes'
+    // because nobody is waiting on the HTTP response
+    jobs: {
+      concurrency: integer('JOB_CONCURRENCY', 2, { min: 1, max: 16 }),
+      maxAttempts: integer('JOB_MAX_ATTEMPTS', 3, { min: 1, max: 10 }),
+      retryDelayMs: integer('JOB_RETRY_DELAY_MS', 2000, { min: 0 }),
+      callTimeoutMs: integer('JOB_CALL_TIMEOUT_MS', 60000, { min: 100 }),
+      retentionMs: integer('JOB_RETENTION_MS', 24 * 60 * 60 * 1000, { min: 60000 })
+    },
+
+    registry: {
+      refreshMs: integer('REGISTRY_REFRESH_MS', 5 * 60 * 1000, { min: 0 })
+    },
+
+    cohort: {
+      concurrency: integer('COHORT_CONCURRENCY', 4, { min: 1, max: 64 }),
+      maxRows: integer('COHORT_MAX_ROWS', 1000, { min: 1 }),
+      maxUploadSize: size('COHORT_MAX_UPLOAD_SIZE', '5mb')
+    },
+
+    storage: {
+      historyFile: path.resolve(env.HISTORY_FILE || path.join(dataDir, 'history.json')),
+      usersFile: path.resolve(env.USERS_FILE || path.join(dataDir, 'users.json')),
+      auditFile: path.resolve(env.AUDIT_FILE || path.join(dataDir, 'audit.jsonl')),
+      jobsFile: path.resolve(env.JOBS_FILE || path.join(dataDir, 'jobs.json'))
+    },
+
+    auth: {
+      // Without a configured secret, tokens only survive until the next restart
+      jwtSecret: jwtSecret || crypto.randomBytes(32).toString('hex'),
+      jwtSecretIsEphemeral: !jwtSecret,
+      jwtExpiresIn: duration('JWT_EXPIRES_IN', '8h'),
+      adminUsername: env.ADMIN_USERNAME || null,
+      adminPassword: env.ADMIN_PASSWORD || null
+    }
+  };
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return Object.freeze(config);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  ConfigError,
+  loadConfig
+};
@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const users = require('../services/userStore');
+
+// What each role may do. Routes ask for a permission, never for a role directly.
+const ROLE_PERMISSIONS = {
+  admin: ['metadata:read', 'predict', 'history:read', 'history:delete', 'users:manage', 'models:manage', 'audit:read', 'metrics:read', 'cohorts:read-all'],
+  clinician: ['metadata:read', 'predict', 'history:read'],
+  viewer: ['metadata:read', 'history:read']
+};
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+function signToken(user, { secret, expiresIn }) {
+  return jwt.sign({ role: user.role, username: user.username }, secret, {
+    subject: user.id,
+    expiresIn
+  });
+}
+
+/**
+ * Require a valid `Authorization: Bearer <jwt>` header. The user is re-read from
+ * the store so deleted accounts and role changes take effect immediately.
+ */
+function authenticate(secret) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: error.name === 'TokenExpiredError' ? 'Session expired. Please log in again.' : 'Invalid token'
+      });
+    }
+
+    const user = users.getUser(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  signToken,
+  authenticate,
+  authorize
+};
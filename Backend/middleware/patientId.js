@@ -0,0 +1,18 @@
+const history = require('../services/historyStore');
+
+// Pick up an optional ?patientId= so the prediction can be saved to that patient's history
+function patientId(req, res, next) {
+  const { patientId: id } = req.query;
+
+  if (id !== undefined && !history.isValidPatientId(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid patient ID. Use 1-64 letters, digits, dots, dashes or underscores.'
+    });
+  }
+
+  req.patientId = id || null;
+  next();
+}
+
+module.exports = patientId;
@@ -0,0 +1,52 @@
+const metrics = require('../services/metrics');
+const logger = require('../utils/logger');
+
+// Signed-in callers are limited per account, so a shared NAT doesn't throttle a
+// whole clinic; anything else falls back to the client IP
+const clientKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+/**
+ * Token-bucket limit of `max` requests per `windowMs` per client, shared by every
+ * route this instance is mounted on. Sets the IETF draft RateLimit-* headers and
+ * answers 429 with Retry-After once the bucket is empty. If the store fails the
+ * request is let through rather than taking the API down with it.
+ */
+function rateLimit({ name, store, max, windowMs, enabled = true }) {
+  const limits = { capacity: max, windowMs };
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (!enabled) return next();
+
+    let result;
+    try {
+      result = await store.consume(`${name}:${clientKey(req)}`, limits);
+    } catch (error) {
+      logger.warn('Rate limit store unavailable, allowing request:', error.message, { limiter: name });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+    });
+
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      metrics.recordRateLimited(name);
+      logger.warn('Rate limit exceeded', { limiter: name, client: req.user ? req.user.username : req.ip });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = rateLimit;
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { routeLabel } = require('../utils/routeLabel');
+
+// Callers may supply their own correlation ID; anything unusual is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give each request a correlation ID (from X-Request-Id or a new UUID), return it
+ * in the X-Request-Id response header, make it available to the logger and the
+ * Python client for everything the request does, and log one line when it finishes.
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+
+    req.id = id;
+    res.set('X-Request-Id', id);
+
+    res.on('finish', () => {
+      requestContext.run({ requestId: id }, () => {
+        logger.info('Request completed', {
+          method: req.method,
+          route: routeLabel(req),
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+          ...(req.user && { userId: req.user.id })
+        });
+      });
+    });
+
+    requestContext.run({ requestId: id }, next);
+  };
+}
+
+module.exports = requestId;
@@ -0,0 +1,22 @@
+const metrics = require('../services/metrics');
+const { routeLabel } = require('../utils/routeLabel');
+
+// Count every request and time it, labelled by route template and status
+function requestMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      metrics.recordRequest({
+        method: req.method,
+        route: routeLabel(req),
+        status: res.statusCode,
+        durationSeconds: Number(process.hrtime.bigint() - started) / 1e9
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = requestMetrics;
@@ -0,0 +1,23 @@
+const { toV1Error } = require('../utils/responseFormats');
+
+/**
+ * Give every error under /api/v1 the typed v1 envelope, whichever middleware
+ * produced it (auth, rate limiting, validation, body parsing, 404s), so v1
+ * clients only ever see `{ success: false, apiVersion, error: { code, message } }`.
+ */
+function v1Envelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (body && body.success === false) {
+        return json(toV1Error(res.statusCode, body, req));
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = v1Envelope;
@@ -0,0 +1,39 @@
+const registry = require('../services/classifierRegistry');
+
+// Check :classifier and the optional ?model= against the discovered registry
+function validateClassifier() {
+  return async (req, res, next) => {
+    if (registry.isEmpty()) {
+      await registry.refresh();
+    }
+
+    if (registry.isEmpty()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Classifier registry is unavailable. Is the Python service running?'
+      });
+    }
+
+    const { classifier } = req.params;
+    const { model } = req.query;
+    const entry = registry.getClassifier(classifier);
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid classifier. Must be one of: ${registry.listClassifiers().join(', ')}`
+      });
+    }
+
+    if (model && !entry.models.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid model type. Must be one of: ${entry.models.join(', ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = validateClassifier;
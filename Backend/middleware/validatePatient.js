@@ -0,0 +1,28 @@
+const { validatePatient } = require('../schemas/patientSchema');
+const { deriveFields } = require('../../shared/derivedFields.js');
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Convert units and fill in derived fields, then reject malformed patient records
+// before they are forwarded to the Python service
+function validatePatientBody(req, res, next) {
+  const derivation = isObject(req.body)
+    ? deriveFields(req.body)
+    : { value: req.body, derived: [], warnings: [], errors: [] };
+  const result = validatePatient(derivation.value);
+
+  if (!result.valid || derivation.errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Invalid patient data',
+      details: [...derivation.errors, ...(result.errors || [])]
+    });
+  }
+
+  req.body = result.value;
+  req.derivedFields = derivation.derived;
+  req.inputWarnings = derivation.warnings;
+  next();
+}
+
+module.exports = validatePatientBody;
@@ -0,0 +1,291 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+// Node stand-in for the Flask inference service (app.py), for working on the
+// gateway without Python or the pickled models. It answers the same routes with
+// the same response shapes. Scores come from a fixed logistic formula per
+// classifier, so the same input always gets the same answer. Latency, error
+// responses and hung requests can be injected to exercise the gateway's
+// timeouts, retries and circuit breaker.
+//
+//   node mock/pythonService.js --port 5001 --latency 200
+//   node server.js --mock-upstream          (gateway starts one in-process)
+//
+// Tests can start one with startMockPythonService() and change its behaviour
+// between cases with configure(); a running mock can also be reconfigured over
+// HTTP at /__mock/config.
+
+const FEATURES = ['age', 'sex', 'weight', 'height', 'BMI', 'smoking', 'alcohol_consumption', 'physical_activity', 'family_history', 'cholesterol_medication'];
+const MODELS = ['GradientBoosting', 'LogisticRegression', 'RandomForest'];
+const ROUTES = ['health', 'classifiers', 'predict', 'predict-all', 'compare-models', 'model-info'];
+const MAX_CALLS = 1000;
+
+const DEFAULT_OPTIONS = {
+  classifiers: { BP_Class: MODELS, Diabetes_Class: MODELS, Dyslipidemia_Class: MODELS },
+  defaultModels: { BP_Class: 'GradientBoosting', Diabetes_Class: 'GradientBoosting', Dyslipidemia_Class: 'GradientBoosting' },
+  // "Classifier/Model" keys that behave like a model without predict_proba
+  withoutProbabilities: [],
+  // Added to every response, in milliseconds
+  latencyMs: 0,
+  // First matching rule applies: { route?, classifier?, model?, latencyMs?, status?, error?, timeout?, times? }
+  faults: []
+};
+
+// Log-odds weights per classifier, loosely shaped like the real risk factors
+const RISK_WEIGHTS = {
+  BP_Class: { intercept: -6, age: 0.06, sex: 0.3, BMI: 0.12, smoking: 0.3, alcohol_consumption: 0.35, physical_activity: -0.3, family_history: 0.8, cholesterol_medication: 0.4 },
+  Diabetes_Class: { intercept: -7, age: 0.05, BMI: 0.15, smoking: 0.2, physical_activity: -0.35, family_history: 1, cholesterol_medication: 0.3 },
+  Dyslipidemia_Class: { intercept: -6.5, age: 0.045, sex: 0.2, BMI: 0.1, smoking: 0.4, alcohol_consumption: 0.25, physical_activity: -0.25, family_history: 0.7, cholesterol_medication: 1.2 }
+};
+const GENERIC_WEIGHTS = { intercept: -5.5, age: 0.05, BMI: 0.1, smoking: 0.3, physical_activity: -0.3, family_history: 0.8 };
+
+// Each model leans a little differently so comparisons and ensembles disagree
+const MODEL_OFFSETS = { GradientBoosting: 0, LogisticRegression: -0.15, RandomForest: 0.2 };
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class MockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Same checks as prepare_input_dataframe(): every feature present and numeric
+function toFeatures(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+    throw new MockError(400, 'No input data provided');
+  }
+
+  const missing = FEATURES.filter(name => body[name] === undefined);
+  if (missing.length > 0) {
+    throw new MockError(400, `columns are missing: {${missing.map(name => `'${name}'`).join(', ')}}`);
+  }
+
+  const values = Object.fromEntries(FEATURES.map(name => [name, Number(body[name])]));
+  const invalid = FEATURES.filter(name => body[name] === null || body[name] === '' || !Number.isFinite(values[name]));
+  if (invalid.length > 0) {
+    throw new MockError(400, `Invalid or missing numeric values in fields: ${invalid.join(', ')}`);
+  }
+  return values;
+}
+
+function score(classifier, model, features) {
+  const weights = RISK_WEIGHTS[classifier] || GENERIC_WEIGHTS;
+  const logit = Object.entries(weights).reduce(
+    (sum, [name, weight]) => sum + (name === 'intercept' ? weight : weight * features[name]),
+    MODEL_OFFSETS[model] || 0
+  );
+  const risk = round(1 / (1 + Math.exp(-logit)));
+  return { prediction: risk >= 0.5 ? 1 : 0, probabilities: [round(1 - risk), risk] };
+}
+
+/**
+ * Build the mock as an Express app without listening. `options` override
+ * DEFAULT_OPTIONS; configure() and reset() change them while it runs.
+ */
+function createMockPythonService(options = {}) {
+  let settings = { ...DEFAULT_OPTIONS, ...options };
+  let faults = settings.faults.map(rule => ({ ...rule }));
+  let calls = [];
+
+  const configure = (patch = {}) => {
+    settings = { ...settings, ...patch };
+    if (patch.faults) faults = patch.faults.map(rule => ({ ...rule }));
+    return settings;
+  };
+
+  const reset = () => {
+    settings = { ...DEFAULT_OPTIONS, ...options };
+    faults = settings.faults.map(rule => ({ ...rule }));
+    calls = [];
+  };
+
+  // The first live rule matching this call; a rule with `times` expires after that many uses
+  const takeFault = ({ route, classifier, model }) => {
+    const rule = faults.find(candidate =>
+      (!candidate.route || candidate.route === route) &&
+      (!candidate.classifier || candidate.classifier === classifier) &&
+      (!candidate.model || candidate.model === model) &&
+      (candidate.times === undefined || candidate.times > 0));
+    if (rule && rule.times !== undefined) rule.times--;
+    return rule || null;
+  };
+
+  const modelsOf = (classifier) => settings.classifiers[classifier];
+  const hasProbabilities = (classifier, model) => !settings.withoutProbabilities.includes(`${classifier}/${model}`);
+
+  const invalidClassifier = () =>
+    new MockError(400, `Invalid classifier. Must be one of: ${Object.keys(settings.classifiers).join(', ')}`);
+
+  const predictOne = (classifier, model, features) => {
+    const { prediction, probabilities } = score(classifier, model, features);
+    const result = { prediction: [prediction] };
+    if (hasProbabilities(classifier, model)) {
+      result.probabilities = [probabilities];
+      result.class_labels = ['Negative', 'Positive'];
+    }
+    return result;
+  };
+
+  // Wrap a route handler with call recording, latency and fault injection
+  const route = (name, handler) => async (req, res) => {
+    const classifier = req.params.classifier || null;
+    const model = req.query.model || (classifier && settings.defaultModels[classifier]) || null;
+    const call = { route: name, method: req.method, classifier, model, status: null, at: new Date().toISOString() };
+    calls.push(call);
+    if (calls.length > MAX_CALLS) calls.shift();
+
+    const fault = takeFault(call);
+    const delay = settings.latencyMs + (fault?.latencyMs || 0);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // A hung request: never answer, so the caller's timeout fires
+    if (fault?.timeout) {
+      call.status = 'timeout';
+      return;
+    }
+
+    if (fault?.status) {
+      call.status = fault.status;
+      return res.status(fault.status).json({ error: fault.error || 'Injected failure' });
+    }
+
+    try {
+      const body = handler(req, { classifier, model });
+      call.status = 200;
+      res.json(body);
+    } catch (error) {
+      call.status = error.status || 500;
+      res.status(call.status).json({ error: error.status ? error.message : `Prediction failed: ${error.message}` });
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/health', route('health', () => ({
+    status: 'healthy',
+    service: 'Heart Health Classification Service (mock)',
+    models_loaded: Object.values(settings.classifiers).flat().length,
+    available_classifiers: Object.keys(settings.classifiers)
+  })));
+
+  app.get('/classifiers', route('classifiers', () => ({
+    classifiers: settings.classifiers,
+    default_models: settings.defaultModels
+  })));
+
+  app.post('/predict/:classifier', route('predict', (req, { classifier, model }) => {
+    if (!modelsOf(classifier)) throw invalidClassifier();
+    const features = toFeatures(req.body);
+    if (!modelsOf(classifier).includes(model)) {
+      throw new MockError(400, `Invalid model type. Must be one of: ${modelsOf(classifier).join(', ')}`);
+    }
+    return { ...predictOne(classifier, model, features), classifier, model };
+  }));
+
+  app.post('/predict-all', route('predict-all', (req) => {
+    const features = toFeatures(req.body);
+    const predictions = Object.fromEntries(Object.keys(settings.classifiers).map(classifier => {
+      const model = settings.defaultModels[classifier];
+      return [classifier, { ...predictOne(classifier, model, features), model }];
+    }));
+    return { predictions };
+  }));
+
+  app.post('/compare-models/:classifier', route('compare-models', (req, { classifier }) => {
+    if (!modelsOf(classifier)) throw invalidClassifier();
+    const features = toFeatures(req.body);
+    const models = Object.fromEntries(modelsOf(classifier).map(model => {
+      const { prediction, probabilities } = predictOne(classifier, model, features);
+      return [model, probabilities ? { prediction, probabilities } : { prediction }];
+    }));
+    return { classifier, models };
+  }));
+
+  app.get('/model-info/:classifier', route('model-info', (req, { classifier, model }) => {
+    if (!modelsOf(classifier)) throw invalidClassifier();
+    if (!modelsOf(classifier).includes(model)) {
+      throw new MockError(400, `Invalid model type. Must be one of: ${modelsOf(classifier).join(', ')}`);
+    }
+    return {
+      classifier,
+      model_type: model,
+      available_models: modelsOf(classifier),
+      has_predict_proba: hasProbabilities(classifier, model),
+      features: FEATURES,
+      feature_count: FEATURES.length
+    };
+  }));
+
+  // Control routes for reconfiguring a mock running in another process
+  app.get('/__mock/state', (req, res) => res.json({ settings: { ...settings, faults }, calls }));
+  app.put('/__mock/config', (req, res) => res.json({ settings: configure(req.body) }));
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ settings });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'Endpoint not found' }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+
+  return {
+    app,
+    configure,
+    reset,
+    calls: () => calls.slice()
+  };
+}
+
+/**
+ * Start the mock on `port` (0 picks a free one). Resolves to the mock's
+ * controls plus `url` and `close()`; close() also drops any hung requests.
+ */
+function startMockPythonService({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const mock = createMockPythonService(options);
+
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        ...mock,
+        server,
+        url: `http://${host}:${address.port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  FEATURES,
+  ROUTES,
+  createMockPythonService,
+  startMockPythonService
+};
+
+// CLI: --port (default 5001), --latency ms, --faults '<JSON array>'
+if (require.main === module) {
+  const flag = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+  };
+
+  startMockPythonService({
+    port: Number(flag('port', 5001)),
+    latencyMs: Number(flag('latency', 0)),
+    faults: JSON.parse(flag('faults', '[]'))
+  }).then(({ url }) => {
+    logger.info(`Mock Python service listening on ${url}`);
+  }).catch(error => {
+    logger.error('Mock Python service failed to start:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,47 @@
+const express = require('express');
+const audit = require('../services/auditLog');
+
+const MAX_LIMIT = 500;
+
+const isIsoDate = (value) => !Number.isNaN(Date.parse(value));
+
+function createAuditRouter() {
+  const router = express.Router();
+
+  // Query the audit trail, newest first
+  router.get('/', async (req, res) => {
+    const { actor, action, outcome, patientId, from, to } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    const badDate = [['from', from], ['to', to]].find(([, value]) => value && !isIsoDate(value));
+    if (badDate) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid '${badDate[0]}' date. Use an ISO 8601 timestamp.`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be 1-${MAX_LIMIT} and offset a non-negative whole number`
+      });
+    }
+
+    const { entries, total } = await audit.query({ actor, action, outcome, patientId, from, to, limit, offset });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      total,
+      limit,
+      offset
+    });
+  });
+
+  return router;
+}
+
+module.exports = createAuditRouter;
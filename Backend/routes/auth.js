@@ -0,0 +1,51 @@
+const express = require('express');
+const users = require('../services/userStore');
+const audit = require('../services/auditLog');
+const logger = require('../utils/logger');
+const { signToken, authenticate, ROLE_PERMISSIONS } = require('../middleware/auth');
+
+function createAuthRouter({ secret, expiresIn }) {
+  const router = express.Router();
+
+  // Exchange username/password for a JWT
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+
+    const user = await users.verifyCredentials(username, password);
+    if (!user) {
+      audit.record(req, 'auth.login', { actor: { username: String(username).slice(0, 64) } }, 'failure');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    logger.info(`User logged in: ${user.username} (${user.role})`);
+    audit.record(req, 'auth.login', { actor: { id: user.id, username: user.username, role: user.role } });
+
+    res.json({
+      success: true,
+      token: signToken(user, { secret, expiresIn }),
+      user: { ...user, permissions: ROLE_PERMISSIONS[user.role] }
+    });
+  });
+
+  // Current session's user
+  router.get('/me', authenticate(secret), (req, res) => {
+    res.json({
+      success: true,
+      user: { ...req.user, permissions: ROLE_PERMISSIONS[req.user.role] }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,189 @@
+const express = require('express');
+const registry = require('../services/classifierRegistry');
+const audit = require('../services/auditLog');
+const { hasPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { parseCohort, toResultsCsv } = require('../services/cohortParser');
+const { scoreCohort, getCohort } = require('../services/cohortScorer');
+
+const COHORT_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+const splitList = (value) =>
+  (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Turn ?classifiers= and ?models= into classifier/model pairs.
+ * Classifiers default to every registered one; models default to each
+ * classifier's default model, or `all` for every model it has.
+ */
+function resolveTargets(query) {
+  const classifiers = splitList(query.classifiers);
+  const selected = classifiers.length > 0 ? classifiers : registry.listClassifiers();
+
+  const unknown = selected.filter(classifier => !registry.getClassifier(classifier));
+  if (unknown.length > 0) {
+    return { error: `Invalid classifier(s): ${unknown.join(', ')}. Must be one of: ${registry.listClassifiers().join(', ')}` };
+  }
+
+  const models = splitList(query.models);
+  const targets = [];
+
+  for (const classifier of selected) {
+    const entry = registry.getClassifier(classifier);
+    let chosen;
+
+    if (models.length === 0) {
+      chosen = [entry.defaultModel];
+    } else if (models.includes('all')) {
+      chosen = entry.models;
+    } else {
+      chosen = models.filter(model => entry.models.includes(model));
+      if (chosen.length === 0) {
+        return { error: `No valid models for ${classifier}. Must be one of: ${entry.models.join(', ')}` };
+      }
+    }
+
+    chosen.forEach(model => targets.push({ classifier, model }));
+  }
+
+  return { targets };
+}
+
+function createCohortRouter({ concurrency, maxRows, maxUploadSize, rowTimeout, limitBatches }) {
+  const router = express.Router();
+
+  // Score an uploaded cohort (CSV with a header row, or JSON lines). Only scoring
+  // counts against the batch rate limit; downloading results calls nothing upstream.
+  router.post(
+    '/predict',
+    limitBatches,
+    express.text({ type: COHORT_CONTENT_TYPES, limit: maxUploadSize }),
+    async (req, res) => {
+      const controller = new AbortController();
+      try {
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+          return res.status(400).json({
+            success: false,
+            error: 'Upload a CSV (text/csv) or JSON lines (application/x-ndjson) body'
+          });
+        }
+
+        if (registry.isEmpty()) {
+          await registry.refresh();
+        }
+
+        const { targets, error } = resolveTargets(req.query);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        const { rows, errors: parseErrors } = parseCohort(req.body, req.get('Content-Type'));
+
+        if (parseErrors.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: 'Could not parse cohort upload',
+            details: parseErrors
+          });
+        }
+
+        if (rows.length === 0) {
+          return res.status(400).json({ success: false, error: 'Cohort upload contains no patient rows' });
+        }
+
+        if (rows.length > maxRows) {
+          return res.status(413).json({
+            success: false,
+            error: `Cohort too large: ${rows.length} rows (maximum ${maxRows})`
+          });
+        }
+
+        logger.info(`Scoring cohort of ${rows.length} rows against ${targets.length} classifier/model pairs`);
+
+        // Stop calling the Python service once the client has gone away
+        res.on('close', () => {
+          if (!res.writableFinished) controller.abort();
+        });
+
+        // Stream one NDJSON event per finished row when the client asks for it
+        const stream = req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+        const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+        if (stream) {
+          res.status(200).type('application/x-ndjson');
+          send({ type: 'start', total: rows.length, targets });
+        }
+
+        const cohort = await scoreCohort(rows, targets, {
+          ownerId: req.user.id,
+          signal: controller.signal,
+          concurrency,
+          timeout: rowTimeout,
+          onRow: stream
+            ? (result, completed, total) => send({ type: 'row', completed, total, result })
+            : null
+        });
+
+        audit.record(req, 'cohort.predict', { cohortId: cohort.id, targets, summary: cohort.summary });
+
+        const downloadUrl = `${req.baseUrl}/${cohort.id}/results.csv`;
+
+        if (stream) {
+          send({ type: 'done', cohortId: cohort.id, summary: cohort.summary, downloadUrl });
+          return res.end();
+        }
+
+        res.json({
+          success: true,
+          cohortId: cohort.id,
+          summary: cohort.summary,
+          targets,
+          results: cohort.results,
+          downloadUrl,
+          timestamp: cohort.createdAt
+        });
+
+      } catch (error) {
+        if (controller.signal.aborted) {
+          logger.info('Cohort scoring stopped: the client disconnected');
+          audit.record(req, 'cohort.predict', { error: 'Client disconnected' }, 'failure');
+          return;
+        }
+
+        logger.error('Cohort prediction error:', error.message);
+        audit.record(req, 'cohort.predict', { error: error.message }, 'failure');
+
+        if (res.headersSent) {
+          res.write(`${JSON.stringify({ type: 'error', error: 'Cohort scoring failed' })}\n`);
+          return res.end();
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Internal server error during cohort prediction'
+        });
+      }
+    }
+  );
+
+  // Download the results of a previously scored cohort. Like jobs, cohorts are
+  // private to whoever uploaded them; admins can read any of them.
+  router.get('/:cohortId/results.csv', (req, res) => {
+    const cohort = getCohort(req.params.cohortId);
+    const visible = cohort && (cohort.ownerId === req.user.id || hasPermission(req.user.role, 'cohorts:read-all'));
+
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cohort results not found. They are only kept for the most recent uploads.'
+      });
+    }
+
+    res.attachment(`cohort-${cohort.id}.csv`);
+    res.type('text/csv').send(toResultsCsv(cohort));
+  });
+
+  return router;
+}
+
+module.exports = createCohortRouter;
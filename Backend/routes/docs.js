@@ -0,0 +1,45 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const registry = require('../services/classifierRegistry');
+const { buildOpenApiSpec } = require('../schemas/openapi');
+
+// Replaces the petstore initializer shipped with swagger-ui-dist. Served as a
+// file rather than inline so the page works under helmet's default CSP.
+const INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+// Public API description and the bundled Swagger UI; no token needed to read them
+function createDocsRouter() {
+  const router = express.Router();
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec({
+      classifiers: registry.listClassifiers(),
+      serverUrl: `${req.protocol}://${req.get('host')}`
+    }));
+  });
+
+  router.get('/docs/swagger-initializer.js', (req, res) => {
+    res.type('application/javascript').send(INITIALIZER);
+  });
+
+  // Relative asset URLs in Swagger UI's index.html need the trailing slash
+  router.get('/docs', (req, res, next) => {
+    if (!req.originalUrl.split('?')[0].endsWith('/')) return res.redirect(301, `${req.baseUrl}/docs/`);
+    next();
+  });
+  router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: 'index.html', redirect: false }));
+
+  return router;
+}
+
+module.exports = createDocsRouter;
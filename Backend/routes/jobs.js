@@ -0,0 +1,106 @@
+const express = require('express');
+const jobs = require('../services/jobQueue');
+const audit = require('../services/auditLog');
+const validatePatientBody = require('../middleware/validatePatient');
+const validateClassifier = require('../middleware/validateClassifier');
+const patientId = require('../middleware/patientId');
+
+const MAX_LIST_LIMIT = 200;
+
+// Background versions of the slow prediction routes. Submitting answers 202 with
+// the job; clients poll GET /:jobId until it has finished, then read `result`.
+function createJobsRouter({ limitPredictions, limitBatches }) {
+  const router = express.Router();
+
+  // Jobs are private to whoever submitted them
+  router.param('jobId', (req, res, next, jobId) => {
+    const job = jobs.find(jobId);
+    if (!job || job.ownerId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: `Job ${jobId} not found`
+      });
+    }
+    req.job = job;
+    next();
+  });
+
+  const accepted = async (req, res, type, params) => {
+    const job = await jobs.submit(type, params, req.user.id);
+    audit.record(req, 'job.submit', { jobId: job.id, type, patientId: params.patientId || null });
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json({ success: true, job });
+  };
+
+  // Every classifier × model for one patient, like POST /api/predict-all
+  router.post('/predict-all', limitBatches, patientId, validatePatientBody, async (req, res) => {
+    await accepted(req, res, 'predict-all', {
+      input: req.body,
+      patientId: req.patientId,
+      warnings: req.inputWarnings
+    });
+  });
+
+  // Each of a classifier's models, like POST /api/compare-models/:classifier
+  router.post('/compare-models/:classifier', limitPredictions, validateClassifier(), validatePatientBody, async (req, res) => {
+    await accepted(req, res, 'compare-models', {
+      classifier: req.params.classifier,
+      input: req.body,
+      warnings: req.inputWarnings
+    });
+  });
+
+  // The caller's jobs, newest first, without results
+  router.get('/', (req, res) => {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (status !== undefined && !jobs.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${jobs.STATUSES.join(', ')}`
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`
+      });
+    }
+
+    const list = jobs.list(req.user.id, { status, limit });
+    res.json({
+      success: true,
+      jobs: list,
+      count: list.length
+    });
+  });
+
+  // Status and progress; `result` once the job has succeeded, `partial` while it runs
+  router.get('/:jobId', (req, res) => {
+    res.json({
+      success: true,
+      job: jobs.toView(req.job, { withResult: true })
+    });
+  });
+
+  router.post('/:jobId/cancel', async (req, res) => {
+    const cancelled = await jobs.cancel(req.job.id);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Job has already ${req.job.status}`
+      });
+    }
+
+    audit.record(req, 'job.cancel', { jobId: req.job.id, type: req.job.type });
+    res.json({
+      success: true,
+      job: jobs.toView(req.job)
+    });
+  });
+
+  return router;
+}
+
+module.exports = createJobsRouter;
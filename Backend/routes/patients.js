@@ -0,0 +1,112 @@
+const express = require('express');
+const history = require('../services/historyStore');
+const audit = require('../services/auditLog');
+const { authorize } = require('../middleware/auth');
+
+const isIsoDate = (value) => !Number.isNaN(Date.parse(value));
+
+function createPatientsRouter() {
+  const router = express.Router();
+
+  router.param('patientId', (req, res, next, patientId) => {
+    if (!history.isValidPatientId(patientId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID. Use 1-64 letters, digits, dots, dashes or underscores.'
+      });
+    }
+    next();
+  });
+
+  // List patients that have recorded predictions
+  router.get('/', (req, res) => {
+    const patients = history.listPatients();
+    res.json({
+      success: true,
+      patients,
+      count: patients.length
+    });
+  });
+
+  // A patient's prediction history, oldest first
+  router.get('/:patientId/history', (req, res) => {
+    const { patientId } = req.params;
+    const { classifier, from, to } = req.query;
+
+    const badDate = [['from', from], ['to', to]].find(([, value]) => value && !isIsoDate(value));
+    if (badDate) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid '${badDate[0]}' date. Use an ISO 8601 timestamp.`
+      });
+    }
+
+    const records = history.getHistory(patientId, {
+      classifier,
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString()
+    });
+
+    if (!records) {
+      return res.status(404).json({
+        success: false,
+        error: `No history found for patient ${patientId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      patientId,
+      records,
+      count: records.length
+    });
+  });
+
+  router.get('/:patientId/history/:recordId', (req, res) => {
+    const { patientId, recordId } = req.params;
+    const record = history.getRecord(patientId, recordId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'History record not found'
+      });
+    }
+
+    res.json({ success: true, record });
+  });
+
+  router.delete('/:patientId/history/:recordId', authorize('history:delete'), async (req, res) => {
+    const { patientId, recordId } = req.params;
+
+    if (!(await history.deleteRecord(patientId, recordId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'History record not found'
+      });
+    }
+
+    audit.record(req, 'history.delete', { patientId, recordId });
+    res.json({ success: true, deleted: 1 });
+  });
+
+  // Remove every record for a patient
+  router.delete('/:patientId/history', authorize('history:delete'), async (req, res) => {
+    const { patientId } = req.params;
+    const deleted = await history.deletePatient(patientId);
+
+    if (deleted === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No history found for patient ${patientId}`
+      });
+    }
+
+    audit.record(req, 'history.delete', { patientId, deleted });
+    res.json({ success: true, deleted });
+  });
+
+  return router;
+}
+
+module.exports = createPatientsRouter;
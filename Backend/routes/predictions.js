@@ -0,0 +1,286 @@
+const express = require('express');
+const { PATIENT_FIELDS, FIELD_ORDER } = require('../schemas/patientSchema');
+const validatePatientBody = require('../middleware/validatePatient');
+const validateClassifier = require('../middleware/validateClassifier');
+const patientId = require('../middleware/patientId');
+const { authorize } = require('../middleware/auth');
+const registry = require('../services/classifierRegistry');
+const python = require('../services/pythonClient');
+const cache = require('../services/predictionCache');
+const audit = require('../services/auditLog');
+const { allTargets, predictMatrix } = require('../services/predictionMatrix');
+const ensemble = require('../services/ensemble');
+const { recordHistory, toHistoryRecord } = require('../services/predictionHistory');
+const logger = require('../utils/logger');
+
+/**
+ * Classifier metadata and the prediction routes. The same handlers serve the
+ * legacy /api routes and /api/v1; `format` (from utils/responseFormats) decides
+ * the response body. Error bodies are always the legacy shape here; under
+ * /api/v1 the v1Envelope middleware re-shapes them.
+ */
+function createPredictionsRouter({ config, limitPredictions, limitBatches, format }) {
+  const router = express.Router();
+
+  // Get available classifiers (discovered from the Python service)
+  router.get('/classifiers', authorize('metadata:read'), async (req, res) => {
+    if (registry.isEmpty()) {
+      await registry.refresh();
+    }
+
+    if (registry.isEmpty()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Classifier registry is unavailable. Is the Python service running?'
+      });
+    }
+
+    const { lastUpdated } = registry.getStatus();
+    res.json(format.classifiers({
+      classifiers: registry.getClassifiers(),
+      count: registry.listClassifiers().length,
+      updatedAt: lastUpdated
+    }, req));
+  });
+
+  // Patient input schema (used by the frontend to build and validate its form)
+  router.get('/schema', authorize('metadata:read'), (req, res) => {
+    res.json(format.schema({ fields: PATIENT_FIELDS, order: FIELD_ORDER }, req));
+  });
+
+  // Single prediction endpoint
+  router.post('/predict/:classifier', authorize('predict'), limitPredictions, validateClassifier(), patientId, validatePatientBody, async (req, res) => {
+    try {
+      const { classifier } = req.params;
+      const model = req.query.model || registry.getClassifier(classifier).defaultModel;
+      const inputData = req.body;
+
+      logger.debug('Received prediction request:', { classifier, model, inputData });
+
+      // Forward request to Python service (predictions have no side effects, so retries are safe)
+      const { value: data, hit } = await cache.wrap(classifier, model, inputData, async () => {
+        const response = await python.post(`/predict/${classifier}`, inputData, {
+          params: { model },
+          timeout: config.timeouts.predict,
+          idempotent: true
+        });
+        logger.debug('Python service response:', response.data);
+        return response.data;
+      });
+
+      res.set('X-Cache', hit ? 'HIT' : 'MISS');
+
+      const [record] = await recordHistory(req.patientId, [
+        toHistoryRecord('predict', classifier, data.model, inputData, data)
+      ]);
+      audit.record(req, 'predict', { classifier, model: data.model, patientId: req.patientId, recordId: record ? record.id : null, cached: hit });
+
+      res.json(format.prediction({
+        classifier,
+        patientId: req.patientId,
+        recordId: record ? record.id : null,
+        data,
+        input: inputData,
+        cached: hit
+      }, req));
+
+    } catch (error) {
+      audit.record(req, 'predict', { classifier: req.params.classifier, model: req.query.model || null, patientId: req.patientId, error: error.message }, 'failure');
+      python.sendUpstreamError(res, error, 'Prediction failed');
+    }
+  });
+
+  // Batch prediction endpoint: every classifier × model for one patient, fanned out
+  // to the Python service in parallel. Streams one NDJSON event per cell on request.
+  router.post('/predict-all', authorize('predict'), limitBatches, patientId, validatePatientBody, async (req, res) => {
+    try {
+      const inputData = req.body;
+
+      if (registry.isEmpty()) {
+        await registry.refresh();
+      }
+
+      if (registry.isEmpty()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Classifier registry is unavailable. Is the Python service running?'
+        });
+      }
+
+      const targets = allTargets();
+      logger.debug('Received batch prediction request:', { targets: targets.length, inputData });
+
+      const stream = req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+      const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+      if (stream) {
+        res.status(200).type('application/x-ndjson');
+        send(format.stream.start({ targets }, req));
+      }
+
+      const { predictions, summary } = await predictMatrix(inputData, targets, {
+        concurrency: config.predictAll.concurrency,
+        timeout: config.timeouts.predictAll,
+        onCell: stream
+          ? (cell, completed, total) => send(format.stream.cell(cell, completed, total))
+          : null
+      });
+
+      logger.debug('Batch prediction finished:', summary);
+
+      const records = await recordHistory(req.patientId, targets
+        .filter(({ classifier, model }) => !predictions[classifier][model].error)
+        .map(({ classifier, model }) =>
+          toHistoryRecord('predict-all', classifier, model, inputData, predictions[classifier][model])));
+      const recordIds = records.map(record => record.id);
+
+      audit.record(req, 'predict-all', { patientId: req.patientId, summary, recordIds });
+
+      if (stream) {
+        send(format.stream.done({ summary, patientId: req.patientId, recordIds }, req));
+        return res.end();
+      }
+
+      res.json(format.predictAll({
+        patientId: req.patientId,
+        recordIds,
+        targets,
+        predictions,
+        summary,
+        input: inputData
+      }, req));
+
+    } catch (error) {
+      audit.record(req, 'predict-all', { patientId: req.patientId, error: error.message }, 'failure');
+      if (res.headersSent) {
+        logger.error('Batch prediction failed:', error.message);
+        res.write(`${JSON.stringify(format.stream.error('Batch prediction failed'))}\n`);
+        return res.end();
+      }
+      python.sendUpstreamError(res, error, 'Batch prediction failed');
+    }
+  });
+
+  // Compare models endpoint
+  router.post('/compare-models/:classifier', authorize('predict'), limitPredictions, validateClassifier(), validatePatientBody, async (req, res) => {
+    try {
+      const { classifier } = req.params;
+      const inputData = req.body;
+
+      const response = await python.post(`/compare-models/${classifier}`, inputData, {
+        timeout: config.timeouts.compareModels,
+        idempotent: true
+      });
+
+      audit.record(req, 'compare-models', { classifier });
+
+      res.json(format.comparison({ classifier, models: response.data.models, input: inputData }, req));
+
+    } catch (error) {
+      audit.record(req, 'compare-models', { classifier: req.params.classifier, error: error.message }, 'failure');
+      python.sendUpstreamError(res, error, 'Model comparison failed');
+    }
+  });
+
+  // Ensemble endpoint: one consensus answer from all of a classifier's models.
+  // ?strategy=, ?weights=model:n,... and ?threshold= override the configured defaults.
+  router.post('/ensemble/:classifier', authorize('predict'), limitPredictions, validateClassifier(), patientId, validatePatientBody, async (req, res) => {
+    const { classifier } = req.params;
+    const entry = registry.getClassifier(classifier);
+    const strategy = req.query.strategy || config.ensemble.strategy;
+    const threshold = req.query.threshold === undefined
+      ? config.ensemble.disagreementThreshold
+      : Number(req.query.threshold);
+
+    if (!ensemble.STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid strategy: ${strategy}. Must be one of: ${ensemble.STRATEGIES.join(', ')}`
+      });
+    }
+
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'threshold must be a number between 0 and 1'
+      });
+    }
+
+    const parsed = req.query.weights ? ensemble.parseWeights(req.query.weights) : { weights: {} };
+    const unknownModels = Object.keys(parsed.weights || {}).filter(model => !entry.models.includes(model));
+    if (parsed.error || unknownModels.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error || `Unknown model(s) in weights: ${unknownModels.join(', ')}. Must be one of: ${entry.models.join(', ')}`
+      });
+    }
+
+    try {
+      const inputData = req.body;
+      const { predictions } = await predictMatrix(
+        inputData,
+        entry.models.map(model => ({ classifier, model })),
+        { concurrency: config.predictAll.concurrency, timeout: config.timeouts.predict }
+      );
+
+      const cells = predictions[classifier];
+      const weights = { ...config.ensemble.weights, ...parsed.weights };
+      let result;
+      try {
+        result = ensemble.combine(cells, { strategy, weights, threshold });
+      } catch (error) {
+        audit.record(req, 'ensemble', { classifier, strategy, patientId: req.patientId, error: error.message }, 'failure');
+        return res.status(502).json({
+          success: false,
+          error: `Ensemble failed: ${error.message}`,
+          code: 'ENSEMBLE_FAILED',
+          models: cells
+        });
+      }
+
+      const classLabels = Object.values(cells).find(cell => !cell.error)?.class_labels || null;
+
+      const [record] = await recordHistory(req.patientId, [
+        toHistoryRecord('ensemble', classifier, 'Ensemble', inputData, { ...result, class_labels: classLabels })
+      ]);
+      audit.record(req, 'ensemble', { classifier, strategy, patientId: req.patientId, recordId: record ? record.id : null });
+
+      res.json(format.ensemble({
+        classifier,
+        patientId: req.patientId,
+        recordId: record ? record.id : null,
+        strategy,
+        result,
+        classLabels,
+        cells,
+        input: inputData
+      }, req));
+
+    } catch (error) {
+      audit.record(req, 'ensemble', { classifier, strategy, patientId: req.patientId, error: error.message }, 'failure');
+      python.sendUpstreamError(res, error, 'Ensemble prediction failed');
+    }
+  });
+
+  // Model info endpoint
+  router.get('/model-info/:classifier', authorize('predict'), validateClassifier(), async (req, res) => {
+    try {
+      const { classifier } = req.params;
+      const { model } = req.query;
+
+      const response = await python.get(`/model-info/${classifier}`, {
+        params: model ? { model } : undefined,
+        timeout: config.timeouts.modelInfo
+      });
+
+      res.json(format.modelInfo({ classifier, info: response.data }, req));
+
+    } catch (error) {
+      python.sendUpstreamError(res, error, 'Failed to retrieve model information');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPredictionsRouter;
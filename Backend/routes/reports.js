@@ -0,0 +1,243 @@
+const express = require('express');
+const registry = require('../services/classifierRegistry');
+const history = require('../services/historyStore');
+const audit = require('../services/auditLog');
+const python = require('../services/pythonClient');
+const ensemble = require('../services/ensemble');
+const { predictMatrix } = require('../services/predictionMatrix');
+const logger = require('../utils/logger');
+const { validatePatient } = require('../schemas/patientSchema');
+const { deriveFields } = require('../../shared/derivedFields.js');
+const { renderReport } = require('../services/reportGenerator');
+const { summarisePrediction } = require('../utils/predictions');
+
+const MAX_RESULTS = 50;
+
+// Model name the ensemble endpoint reports; as a report target it asks for a consensus
+const ENSEMBLE_MODEL = 'Ensemble';
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Look up the history records a report is built from. They must all belong to
+ * the patient and share one input, i.e. come from the same visit.
+ */
+function loadRecords(patientId, recordIds, problems) {
+  if (!patientId) {
+    problems.push({ field: 'patientId', message: 'patientId is required with recordIds' });
+    return [];
+  }
+  if (!Array.isArray(recordIds) || recordIds.length === 0 || recordIds.length > MAX_RESULTS) {
+    problems.push({ field: 'recordIds', message: `recordIds must be an array of 1-${MAX_RESULTS} history record IDs` });
+    return [];
+  }
+
+  const records = recordIds.map((recordId, index) => {
+    const record = typeof recordId === 'string' ? history.getRecord(patientId, recordId) : null;
+    if (!record) {
+      problems.push({ field: `recordIds[${index}]`, message: `recordIds[${index}] is not in this patient's history` });
+    }
+    return record;
+  });
+
+  const inputs = new Set(records.filter(Boolean).map(record => JSON.stringify(record.input)));
+  if (inputs.size > 1) {
+    problems.push({ field: 'recordIds', message: 'recordIds must all come from predictions for the same patient input' });
+  }
+  return records;
+}
+
+// Check the classifier/model pairs to re-score; a model of "Ensemble" takes an optional strategy
+function checkTargets(targets, problems) {
+  if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_RESULTS) {
+    problems.push({ field: 'targets', message: `targets must be an array of 1-${MAX_RESULTS} { classifier, model } pairs` });
+    return;
+  }
+
+  targets.forEach((target, index) => {
+    const where = `targets[${index}]`;
+    const entry = isObject(target) && typeof target.classifier === 'string' ? registry.getClassifier(target.classifier) : null;
+    if (!entry) {
+      problems.push({ field: `${where}.classifier`, message: `${where}.classifier is not a registered classifier` });
+    } else if (target.model === ENSEMBLE_MODEL) {
+      if (target.strategy !== undefined && !ensemble.STRATEGIES.includes(target.strategy)) {
+        problems.push({ field: `${where}.strategy`, message: `${where}.strategy must be one of: ${ensemble.STRATEGIES.join(', ')}` });
+      }
+    } else if (!entry.models.includes(target.model)) {
+      problems.push({ field: `${where}.model`, message: `${where}.model must be one of: ${[...entry.models, ENSEMBLE_MODEL].join(', ')}` });
+    }
+  });
+}
+
+// One report row from a prediction in the gateway's response shape, or an { error }
+function toReportRow(classifier, model, result, note) {
+  const row = {
+    classifier,
+    displayName: registry.getClassifier(classifier)?.displayName || classifier,
+    model,
+    note
+  };
+
+  if (result.error !== undefined) {
+    return { ...row, error: result.error };
+  }
+
+  const { prediction, label, probability, probabilities } = summarisePrediction(result);
+  return { ...row, prediction, label, probability, probabilities, classLabels: result.class_labels || null };
+}
+
+const rowFromRecord = (record) => toReportRow(record.classifier, record.model, {
+  prediction: record.prediction,
+  probabilities: record.probabilities ? [record.probabilities] : null,
+  class_labels: record.classLabels
+});
+
+/**
+ * Score the input against each target now. Ensemble targets are combined from
+ * every model of their classifier, like the ensemble endpoint does.
+ */
+async function scoreTargets(input, targets, config) {
+  const cells = new Map();
+  targets.forEach(({ classifier, model }) => {
+    const models = model === ENSEMBLE_MODEL ? registry.getClassifier(classifier).models : [model];
+    models.forEach(name => cells.set(`${classifier}/${name}`, { classifier, model: name }));
+  });
+
+  const { predictions, summary } = await predictMatrix(input, [...cells.values()], {
+    concurrency: config.predictAll.concurrency,
+    timeout: config.timeouts.predict
+  });
+
+  const rows = targets.map(({ classifier, model, strategy = config.ensemble.strategy }) => {
+    if (model !== ENSEMBLE_MODEL) {
+      return toReportRow(classifier, model, predictions[classifier][model]);
+    }
+
+    const label = `${ENSEMBLE_MODEL} (${strategy})`;
+    const modelCells = predictions[classifier];
+    try {
+      const result = ensemble.combine(modelCells, {
+        strategy,
+        weights: config.ensemble.weights,
+        threshold: config.ensemble.disagreementThreshold
+      });
+      const classLabels = Object.values(modelCells).find(cell => !cell.error)?.class_labels || null;
+      return toReportRow(classifier, label, { ...result, class_labels: classLabels },
+        result.disagreement.flagged ? 'Models disagree beyond the configured threshold.' : undefined);
+    } catch (error) {
+      return toReportRow(classifier, label, { error: `Ensemble failed: ${error.message}` });
+    }
+  });
+
+  return { rows, summary, predictions };
+}
+
+// What the report said, kept in the audit trail alongside who generated it
+const auditRows = (rows) => rows.map(({ classifier, model, prediction, label, probability, error }) =>
+  (error !== undefined ? { classifier, model, error } : { classifier, model, prediction, label, probability }));
+
+/**
+ * PDF risk reports for the patient file. Report contents always come from the
+ * gateway, never from the client: either stored history records (`recordIds`)
+ * or a fresh scoring of `input` against `targets`.
+ */
+function createReportsRouter({ config, limitBatches }) {
+  const router = express.Router();
+
+  // Only re-scoring fans out to the Python service; reports from history call nothing upstream
+  const limitRescoring = (req, res, next) =>
+    (req.body?.recordIds !== undefined ? next() : limitBatches(req, res, next));
+
+  router.post('/', limitRescoring, async (req, res) => {
+    const { patientId, recordIds, input, targets } = req.body || {};
+    const fromHistory = recordIds !== undefined;
+    const problems = [];
+
+    if (patientId !== undefined && patientId !== null && patientId !== '' && !history.isValidPatientId(patientId)) {
+      problems.push({ field: 'patientId', message: 'patientId must be 1-64 letters, digits, dots, dashes or underscores' });
+    }
+
+    let records = [];
+    let validation = null;
+    if (fromHistory) {
+      if (input !== undefined || targets !== undefined) {
+        problems.push({ field: 'recordIds', message: 'Send either recordIds or input with targets, not both' });
+      }
+      if (problems.length === 0) records = loadRecords(patientId, recordIds, problems);
+    } else {
+      const derivation = isObject(input) ? deriveFields(input) : { value: input || {}, errors: [] };
+      validation = validatePatient(derivation.value);
+      problems.push(...derivation.errors.map(error => ({ ...error, field: `input.${error.field}` })));
+      if (!validation.valid) {
+        problems.push(...validation.errors.map(error => ({ ...error, field: `input.${error.field}` })));
+      }
+      checkTargets(targets, problems);
+    }
+
+    if (problems.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid report request',
+        details: problems
+      });
+    }
+
+    let report;
+    try {
+      if (fromHistory) {
+        report = {
+          input: records[0].input,
+          rows: records.map(rowFromRecord),
+          predictedAt: records.map(record => record.timestamp).sort().pop()
+        };
+      } else {
+        const { rows, summary, predictions } = await scoreTargets(validation.value, targets, config);
+        if (summary.succeeded === 0) {
+          const failure = Object.values(predictions).flatMap(Object.values)[0];
+          throw new python.UpstreamError(`Every prediction failed: ${failure.error}`, {
+            status: failure.code === 'UPSTREAM_TIMEOUT' ? 504 : 502,
+            code: failure.code || 'UPSTREAM_ERROR'
+          });
+        }
+        report = { input: validation.value, rows, predictedAt: new Date().toISOString() };
+      }
+    } catch (error) {
+      audit.record(req, 'report.generate', { patientId: patientId || null, error: error.message }, 'failure');
+      return python.sendUpstreamError(res, error, 'Failed to score report');
+    }
+
+    try {
+      const pdf = await renderReport({
+        patientId: patientId || null,
+        input: report.input,
+        results: report.rows,
+        predictedAt: report.predictedAt,
+        generatedBy: req.user.username
+      });
+
+      audit.record(req, 'report.generate', {
+        patientId: patientId || null,
+        source: fromHistory ? 'history' : 'rescored',
+        recordIds: fromHistory ? recordIds : null,
+        input: report.input,
+        predictedAt: report.predictedAt,
+        results: auditRows(report.rows)
+      });
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.attachment(`risk-report-${patientId || 'patient'}-${stamp}.pdf`);
+      res.type('application/pdf').send(pdf);
+
+    } catch (error) {
+      logger.error('Report generation failed:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate report'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReportsRouter;
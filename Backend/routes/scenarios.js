@@ -0,0 +1,119 @@
+const express = require('express');
+const registry = require('../services/classifierRegistry');
+const python = require('../services/pythonClient');
+const audit = require('../services/auditLog');
+const { applyChanges, scenarioTargets, scoreScenarios } = require('../services/scenarioScorer');
+
+const MAX_VARIANTS = 8;
+const MAX_LABEL_LENGTH = 100;
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Prefix schema errors with where they came from in the request body
+const locate = (prefix, errors) => errors.map(error => ({ ...error, field: `${prefix}.${error.field}` }));
+
+function createScenariosRouter({ concurrency, timeout, limitBatches }) {
+  const router = express.Router();
+
+  /**
+   * What-if scoring: a baseline patient record plus up to MAX_VARIANTS variants,
+   * each a set of field changes, scored against every classifier (or the listed
+   * ones) with `model` where available and the default model otherwise.
+   * Scenarios are hypothetical, so nothing is saved to patient history. Every
+   * variant is scored against every classifier, so it counts as a batch.
+   */
+  router.post('/', limitBatches, async (req, res) => {
+    const { baseline, variants, classifiers, model } = req.body || {};
+    const problems = [];
+
+    if (!isObject(baseline)) {
+      problems.push({ field: 'baseline', code: 'required', message: 'baseline must be a patient record' });
+    }
+    if (!Array.isArray(variants) || variants.length === 0 || variants.length > MAX_VARIANTS) {
+      problems.push({ field: 'variants', code: 'range', message: `variants must be an array of 1-${MAX_VARIANTS} scenarios` });
+    }
+    if (classifiers !== undefined && (!Array.isArray(classifiers) || !classifiers.every(key => typeof key === 'string'))) {
+      problems.push({ field: 'classifiers', code: 'type', message: 'classifiers must be an array of classifier keys' });
+    }
+    if (model !== undefined && typeof model !== 'string') {
+      problems.push({ field: 'model', code: 'type', message: 'model must be a model name' });
+    }
+    if (problems.length > 0) {
+      return res.status(422).json({ success: false, error: 'Invalid scenario request', details: problems });
+    }
+
+    const base = applyChanges(baseline, {});
+    if (base.errors) {
+      return res.status(422).json({ success: false, error: 'Invalid scenario request', details: locate('baseline', base.errors) });
+    }
+
+    // Variants start from the normalized baseline; a BMI the clinician chose to
+    // keep stays accepted until a variant changes weight or height
+    const keepsBmi = base.warnings.some(warning => warning.field === 'BMI' && warning.code === 'override');
+    const start = keepsBmi ? { ...base.value, bmi_override: true } : base.value;
+
+    const scenarios = [];
+    variants.forEach((variant, index) => {
+      const where = `variants[${index}]`;
+      if (!isObject(variant) || !isObject(variant.changes)) {
+        problems.push({ field: `${where}.changes`, code: 'required', message: `${where}.changes must be an object of field values` });
+        return;
+      }
+      if (variant.label !== undefined && (typeof variant.label !== 'string' || variant.label.length > MAX_LABEL_LENGTH)) {
+        problems.push({ field: `${where}.label`, code: 'type', message: `${where}.label must be a string of at most ${MAX_LABEL_LENGTH} characters` });
+        return;
+      }
+
+      const result = applyChanges(start, variant.changes);
+      if (result.errors) {
+        problems.push(...locate(`${where}.changes`, result.errors));
+        return;
+      }
+      scenarios.push({ label: variant.label || `Scenario ${index + 1}`, changes: variant.changes, input: result.value });
+    });
+
+    if (problems.length > 0) {
+      return res.status(422).json({ success: false, error: 'Invalid scenario request', details: problems });
+    }
+
+    try {
+      if (registry.isEmpty()) {
+        await registry.refresh();
+      }
+
+      const selected = classifiers && classifiers.length > 0 ? classifiers : registry.listClassifiers();
+      const unknown = selected.filter(key => !registry.getClassifier(key));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid classifier(s): ${unknown.join(', ')}. Must be one of: ${registry.listClassifiers().join(', ')}`
+        });
+      }
+      if (selected.length === 0) {
+        return res.status(503).json({
+          success: false,
+          error: 'No classifiers are available from the Python service'
+        });
+      }
+
+      const result = await scoreScenarios(base.value, scenarios, scenarioTargets(selected, model), { concurrency, timeout });
+
+      audit.record(req, 'scenario.predict', { classifiers: selected, variants: scenarios.length });
+
+      res.json({
+        success: true,
+        classifiers: selected,
+        ...result,
+        warnings: base.warnings,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      python.sendUpstreamError(res, error, 'Scenario scoring failed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createScenariosRouter;
@@ -0,0 +1,100 @@
+const express = require('express');
+const users = require('../services/userStore');
+const audit = require('../services/auditLog');
+
+// User management (mounted behind the users:manage permission)
+function createUsersRouter() {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const list = users.listUsers();
+    res.json({
+      success: true,
+      users: list,
+      count: list.length,
+      roles: users.ROLES
+    });
+  });
+
+  router.post('/', async (req, res) => {
+    const { username, password, role } = req.body || {};
+    const errors = users.validateUserFields({
+      username: username ?? '',
+      password: password ?? '',
+      role: role ?? ''
+    });
+
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid user data',
+        details: errors
+      });
+    }
+
+    try {
+      const user = await users.createUser({ username, password, role });
+      audit.record(req, 'user.create', { userId: user.id, username: user.username, role: user.role });
+      res.status(201).json({ success: true, user });
+    } catch (error) {
+      if (error.code === 'USER_EXISTS') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+  });
+
+  // Change a user's role and/or password
+  router.patch('/:userId', async (req, res) => {
+    const { userId } = req.params;
+    const { password, role } = req.body || {};
+    const existing = users.getUser(userId);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const errors = users.validateUserFields({ password, role });
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid user data',
+        details: errors
+      });
+    }
+
+    if (existing.role === 'admin' && role && role !== 'admin' && users.countAdmins() === 1) {
+      return res.status(409).json({ success: false, error: 'Cannot demote the last admin' });
+    }
+
+    const user = await users.updateUser(userId, { password, role });
+    audit.record(req, 'user.update', {
+      userId,
+      username: user.username,
+      changes: [role && 'role', password && 'password'].filter(Boolean),
+      role: user.role
+    });
+    res.json({ success: true, user });
+  });
+
+  router.delete('/:userId', async (req, res) => {
+    const { userId } = req.params;
+    const existing = users.getUser(userId);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (existing.id === req.user.id) {
+      return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+    }
+
+    await users.deleteUser(userId);
+    audit.record(req, 'user.delete', { userId, username: existing.username });
+    res.json({ success: true, deleted: 1 });
+  });
+
+  return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,958 @@
+const { PATIENT_FIELDS, FIELD_ORDER } = require('./patientSchema');
+const { STRATEGIES } = require('../services/ensemble');
+const { STATUSES: JOB_STATUSES } = require('../services/jobQueue');
+const { WEIGHT_UNITS, HEIGHT_UNITS } = require('../../shared/derivedFields.js');
+const { version } = require('../package.json');
+
+// OpenAPI 3.1 description of the gateway's integration surface. Patient fields
+// come from the validation schema and the classifier list from the live registry,
+// so the document can't drift from what the validators accept. Admin-only routes
+// (users, audit, cache, metrics) are intentionally left out.
+
+const JOB_TYPES = ['predict-all', 'compare-models'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const nullable = (schema) => ({ oneOf: [schema, { type: 'null' }] });
+
+// JSON Schema for one patient field, derived from its PATIENT_FIELDS entry
+function fieldSchema(field) {
+  if (field.type === 'enum') {
+    return {
+      type: 'integer',
+      enum: field.options.map(option => option.value),
+      description: `${field.label}: ${field.options.map(option => `${option.value} = ${option.label}`).join(', ')}`
+    };
+  }
+
+  return {
+    type: field.type === 'integer' ? 'integer' : 'number',
+    minimum: field.min,
+    maximum: field.max,
+    description: field.unit ? `${field.label} (${field.unit})` : field.label
+  };
+}
+
+// Normalized record echoed back in responses: every field, in gateway units
+const patientRecord = () => ({
+  type: 'object',
+  required: FIELD_ORDER,
+  properties: Object.fromEntries(FIELD_ORDER.map(name => [name, fieldSchema(PATIENT_FIELDS[name])]))
+});
+
+// Request body: BMI may be left out (it is calculated), and units may be converted
+const patientInput = () => ({
+  type: 'object',
+  required: FIELD_ORDER.filter(name => name !== 'BMI'),
+  properties: {
+    ...patientRecord().properties,
+    BMI: {
+      ...fieldSchema(PATIENT_FIELDS.BMI),
+      description: 'BMI (kg/m²). Calculated from weight and height when omitted; must match them unless bmi_override is true.'
+    },
+    weight_unit: { type: 'string', enum: WEIGHT_UNITS, default: 'kg', description: 'Unit of `weight`; pounds are converted to kg' },
+    height_unit: { type: 'string', enum: HEIGHT_UNITS, default: 'cm', description: 'Use ft_in to give height as height_ft and height_in' },
+    height_ft: { type: 'number', minimum: 0 },
+    height_in: { type: 'number', minimum: 0, exclusiveMaximum: 12 },
+    bmi_override: { type: 'boolean', description: 'Keep a submitted BMI that disagrees with weight and height' }
+  }
+});
+
+const probabilities = {
+  type: 'array',
+  items: { type: 'array', items: { type: 'number', minimum: 0, maximum: 1 } },
+  description: 'Class probabilities for the single input row, e.g. [[0.3, 0.7]]'
+};
+
+const matrixSummary = {
+  type: 'object',
+  required: ['total', 'succeeded', 'failed', 'cached'],
+  properties: {
+    total: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    cached: { type: 'integer' }
+  }
+};
+
+const disagreement = {
+  type: 'object',
+  required: ['stdDev', 'flagged'],
+  properties: {
+    stdDev: { type: 'number' },
+    range: { type: 'number' },
+    agreement: { type: 'number' },
+    votes: { type: 'array', items: { type: 'integer' }, description: 'Models voting for each class' },
+    threshold: { type: 'number' },
+    flagged: { type: 'boolean' }
+  }
+};
+
+const ensembleWeights = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['model', 'weight'],
+    properties: { model: { type: 'string' }, weight: { type: 'number' } }
+  }
+};
+
+const schemas = () => ({
+  PatientInput: patientInput(),
+  PatientRecord: patientRecord(),
+  Issue: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string' },
+      code: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      code: { type: 'string', description: 'Machine-readable cause, e.g. UPSTREAM_TIMEOUT or RATE_LIMITED' },
+      details: { type: 'array', items: ref('Issue') }
+    }
+  },
+  Probabilities: probabilities,
+  ModelResult: {
+    type: 'object',
+    required: ['prediction', 'model'],
+    properties: {
+      prediction: { type: 'array', items: { type: 'integer' } },
+      probabilities: nullable(ref('Probabilities')),
+      class_labels: nullable({ type: 'array', items: { type: 'string' } }),
+      model: { type: 'string' }
+    }
+  },
+  ModelError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      model: { type: 'string' }
+    }
+  },
+  ClassifierEntry: {
+    type: 'object',
+    required: ['displayName', 'models', 'defaultModel'],
+    properties: {
+      displayName: { type: 'string' },
+      models: { type: 'array', items: { type: 'string' } },
+      defaultModel: { type: 'string' },
+      features: nullable({ type: 'array', items: { type: 'string' } })
+    }
+  },
+  PredictionResponse: {
+    type: 'object',
+    required: ['success', 'classifier', 'prediction', 'model', 'input', 'timestamp'],
+    properties: {
+      success: { const: true },
+      classifier: { type: 'string' },
+      patientId: nullable({ type: 'string' }),
+      recordId: nullable({ type: 'string' }),
+      prediction: { type: 'array', items: { type: 'integer' } },
+      probabilities: nullable(ref('Probabilities')),
+      class_labels: nullable({ type: 'array', items: { type: 'string' } }),
+      model: { type: 'string' },
+      input: ref('PatientRecord'),
+      warnings: { type: 'array', items: ref('Issue') },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  PredictAllResponse: {
+    type: 'object',
+    required: ['success', 'predictions', 'summary', 'input', 'timestamp'],
+    properties: {
+      success: { const: true },
+      patientId: nullable({ type: 'string' }),
+      recordIds: { type: 'array', items: { type: 'string' } },
+      predictions: {
+        type: 'object',
+        description: 'classifier → model → result (or error)',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: { oneOf: [ref('ModelResult'), ref('ModelError')] }
+        }
+      },
+      summary: matrixSummary,
+      input: ref('PatientRecord'),
+      warnings: { type: 'array', items: ref('Issue') },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  CompareModelsResponse: {
+    type: 'object',
+    required: ['success', 'classifier', 'models', 'input', 'timestamp'],
+    properties: {
+      success: { const: true },
+      classifier: { type: 'string' },
+      models: {
+        type: 'object',
+        description: 'model → result (or error)',
+        additionalProperties: {
+          oneOf: [
+            {
+              type: 'object',
+              required: ['prediction'],
+              properties: {
+                prediction: { type: 'array', items: { type: 'integer' } },
+                probabilities: ref('Probabilities')
+              }
+            },
+            ref('ModelError')
+          ]
+        }
+      },
+      input: ref('PatientRecord'),
+      warnings: { type: 'array', items: ref('Issue') },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  EnsembleResponse: {
+    type: 'object',
+    required: ['success', 'classifier', 'model', 'strategy', 'prediction', 'probabilities', 'consensusProbability', 'disagreement', 'input', 'timestamp'],
+    properties: {
+      success: { const: true },
+      classifier: { type: 'string' },
+      patientId: nullable({ type: 'string' }),
+      recordId: nullable({ type: 'string' }),
+      model: { const: 'Ensemble' },
+      strategy: { type: 'string', enum: STRATEGIES },
+      prediction: { type: 'array', items: { type: 'integer' } },
+      probabilities: ref('Probabilities'),
+      class_labels: nullable({ type: 'array', items: { type: 'string' } }),
+      consensusProbability: { type: 'number', minimum: 0, maximum: 1 },
+      disagreement,
+      weights: ensembleWeights,
+      models: { type: 'object', additionalProperties: { oneOf: [ref('ModelResult'), ref('ModelError')] } },
+      input: ref('PatientRecord'),
+      warnings: { type: 'array', items: ref('Issue') },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  ModelInfoResponse: {
+    type: 'object',
+    required: ['success', 'classifier', 'model_type', 'available_models', 'has_predict_proba'],
+    properties: {
+      success: { const: true },
+      classifier: { type: 'string' },
+      model_type: { type: 'string' },
+      available_models: { type: 'array', items: { type: 'string' } },
+      has_predict_proba: { type: 'boolean' },
+      features: { type: 'array', items: { type: 'string' } },
+      feature_count: { type: 'integer' }
+    }
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'progress', 'attempts', 'maxAttempts', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      type: { type: 'string', enum: JOB_TYPES },
+      status: { type: 'string', enum: JOB_STATUSES },
+      progress: {
+        type: 'object',
+        required: ['completed', 'total'],
+        properties: { completed: { type: 'integer' }, total: nullable({ type: 'integer' }) }
+      },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      error: nullable({
+        type: 'object',
+        required: ['code', 'message'],
+        properties: { code: { type: 'string' }, message: { type: 'string' } },
+        description: 'Cause of the last failed attempt'
+      }),
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: nullable({ type: 'string', format: 'date-time' }),
+      finishedAt: nullable({ type: 'string', format: 'date-time' }),
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  JobResponse: {
+    type: 'object',
+    required: ['success', 'job'],
+    properties: { success: { const: true }, job: ref('Job') }
+  },
+  JobDetailResponse: {
+    type: 'object',
+    required: ['success', 'job'],
+    properties: {
+      success: { const: true },
+      job: {
+        allOf: [ref('Job')],
+        properties: {
+          result: {
+            description: 'Once succeeded: the body the matching inline route returns, without success and timestamp',
+            oneOf: [{ type: 'object' }, { type: 'null' }]
+          },
+          partial: {
+            description: 'predict-all only, while running: the classifier → model cells finished so far',
+            oneOf: [{ type: 'object' }, { type: 'null' }]
+          }
+        }
+      }
+    }
+  },
+  ExplainResponse: {
+    type: 'object',
+    required: ['success', 'classifier', 'model', 'baseline', 'features', 'summary', 'timestamp'],
+    properties: {
+      success: { const: true },
+      classifier: { type: 'string' },
+      model: { type: 'string' },
+      baseline: {
+        type: 'object',
+        required: ['prediction', 'probability'],
+        properties: {
+          prediction: { type: 'integer' },
+          label: { type: 'string' },
+          probability: { type: 'number' },
+          model: { type: 'string' }
+        }
+      },
+      features: {
+        type: 'array',
+        description: 'Ranked by absolute effect',
+        items: {
+          type: 'object',
+          required: ['feature', 'effect', 'spread', 'samples'],
+          properties: {
+            feature: { type: 'string', enum: FIELD_ORDER },
+            label: { type: 'string' },
+            value: { type: 'number' },
+            valueLabel: { type: 'string' },
+            effect: nullable({ type: 'number', description: 'Patient probability minus the mean over the sampled range' }),
+            spread: nullable({ type: 'number' }),
+            samples: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['value', 'probability'],
+                properties: { value: { type: 'number' }, probability: { type: 'number' } }
+              }
+            }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        properties: { calls: { type: 'integer' }, failed: { type: 'integer' } }
+      },
+      input: ref('PatientRecord'),
+      warnings: { type: 'array', items: ref('Issue') },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  }
+});
+
+// /api/v1 bodies: `data` holds the result and `meta` the request context
+const v1Body = (data) => ({
+  type: 'object',
+  required: ['success', 'apiVersion', 'data', 'meta'],
+  properties: {
+    success: { const: true },
+    apiVersion: { const: 'v1' },
+    data,
+    meta: ref('V1Meta')
+  }
+});
+
+const v1Schemas = () => ({
+  V1Meta: {
+    type: 'object',
+    required: ['requestId', 'timestamp', 'warnings'],
+    properties: {
+      requestId: { type: 'string', description: 'Also returned in the X-Request-Id header' },
+      timestamp: { type: 'string', format: 'date-time' },
+      warnings: { type: 'array', items: ref('Issue') }
+    }
+  },
+  V1ErrorDetail: {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+      code: {
+        type: 'string',
+        description: 'e.g. INVALID_REQUEST, UNAUTHENTICATED, FORBIDDEN, NOT_FOUND, VALIDATION_FAILED, RATE_LIMITED, UPSTREAM_ERROR, UPSTREAM_UNAVAILABLE, UPSTREAM_TIMEOUT, ENSEMBLE_FAILED'
+      },
+      message: { type: 'string' },
+      details: { type: 'array', items: ref('Issue') }
+    }
+  },
+  V1Error: {
+    type: 'object',
+    required: ['success', 'apiVersion', 'error', 'meta'],
+    properties: {
+      success: { const: false },
+      apiVersion: { const: 'v1' },
+      error: ref('V1ErrorDetail'),
+      meta: ref('V1Meta')
+    }
+  },
+  NamedProbabilities: {
+    type: 'object',
+    description: 'Probability of each class keyed by class label, e.g. { "Negative": 0.3, "Positive": 0.7 }',
+    additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  V1Result: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['classifier', 'model', 'status', 'label', 'prediction', 'probabilities', 'positiveProbability'],
+        properties: {
+          classifier: { type: 'string' },
+          model: { type: 'string' },
+          status: { const: 'ok' },
+          label: { type: 'string' },
+          prediction: { type: 'integer' },
+          probabilities: nullable(ref('NamedProbabilities')),
+          positiveProbability: nullable({ type: 'number', minimum: 0, maximum: 1 })
+        }
+      },
+      {
+        type: 'object',
+        required: ['classifier', 'model', 'status', 'error'],
+        properties: {
+          classifier: { type: 'string' },
+          model: { type: 'string' },
+          status: { const: 'error' },
+          error: ref('V1ErrorDetail')
+        }
+      }
+    ]
+  },
+  V1ClassifiersResponse: v1Body({
+    type: 'object',
+    required: ['classifiers', 'updatedAt'],
+    properties: {
+      classifiers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['key', 'displayName', 'models', 'defaultModel'],
+          properties: {
+            key: { type: 'string' },
+            displayName: { type: 'string' },
+            models: { type: 'array', items: { type: 'string' } },
+            defaultModel: { type: 'string' },
+            features: nullable({ type: 'array', items: { type: 'string' } })
+          }
+        }
+      },
+      updatedAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  }),
+  V1SchemaResponse: v1Body({
+    type: 'object',
+    required: ['fields', 'order'],
+    properties: {
+      fields: { type: 'object' },
+      order: { type: 'array', items: { type: 'string' } }
+    }
+  }),
+  V1PredictionResponse: v1Body({
+    type: 'object',
+    required: ['classifier', 'model', 'label', 'prediction', 'probabilities', 'positiveProbability', 'cached', 'patientId', 'recordId', 'input'],
+    properties: {
+      classifier: { type: 'string' },
+      model: { type: 'string' },
+      label: { type: 'string' },
+      prediction: { type: 'integer' },
+      probabilities: nullable(ref('NamedProbabilities')),
+      positiveProbability: nullable({ type: 'number', minimum: 0, maximum: 1 }),
+      cached: { type: 'boolean' },
+      patientId: nullable({ type: 'string' }),
+      recordId: nullable({ type: 'string' }),
+      input: ref('PatientRecord')
+    }
+  }),
+  V1PredictAllResponse: v1Body({
+    type: 'object',
+    required: ['results', 'summary', 'patientId', 'recordIds', 'input'],
+    properties: {
+      results: { type: 'array', items: ref('V1Result') },
+      summary: matrixSummary,
+      patientId: nullable({ type: 'string' }),
+      recordIds: { type: 'array', items: { type: 'string' } },
+      input: ref('PatientRecord')
+    }
+  }),
+  V1CompareModelsResponse: v1Body({
+    type: 'object',
+    required: ['classifier', 'results', 'input'],
+    properties: {
+      classifier: { type: 'string' },
+      results: { type: 'array', items: ref('V1Result') },
+      input: ref('PatientRecord')
+    }
+  }),
+  V1EnsembleResponse: v1Body({
+    type: 'object',
+    required: ['classifier', 'model', 'strategy', 'label', 'prediction', 'probabilities', 'positiveProbability', 'disagreement', 'weights', 'results', 'input'],
+    properties: {
+      classifier: { type: 'string' },
+      model: { const: 'Ensemble' },
+      strategy: { type: 'string', enum: STRATEGIES },
+      label: { type: 'string' },
+      prediction: { type: 'integer' },
+      probabilities: ref('NamedProbabilities'),
+      positiveProbability: { type: 'number', minimum: 0, maximum: 1 },
+      disagreement,
+      weights: ensembleWeights,
+      results: { type: 'array', items: ref('V1Result') },
+      patientId: nullable({ type: 'string' }),
+      recordId: nullable({ type: 'string' }),
+      input: ref('PatientRecord')
+    }
+  }),
+  V1ModelInfoResponse: v1Body({
+    type: 'object',
+    required: ['classifier', 'model', 'availableModels', 'hasProbabilities'],
+    properties: {
+      classifier: { type: 'string' },
+      model: { type: 'string' },
+      availableModels: { type: 'array', items: { type: 'string' } },
+      hasProbabilities: { type: 'boolean' },
+      features: { type: 'array', items: { type: 'string' } }
+    }
+  })
+});
+
+// Responses shared by every authenticated prediction route
+const ERROR_DESCRIPTIONS = {
+  400: 'Unknown classifier or model, or a bad query parameter',
+  401: 'Missing, invalid or expired token',
+  403: 'The signed-in role may not call this route',
+  404: 'Model file missing on the Python service (passed through)',
+  422: 'Patient data failed validation; see `details`',
+  429: 'Rate limit exceeded; see the Retry-After header',
+  500: 'The Python service failed to score the request (passed through)',
+  502: 'The Python service could not be reached or returned an unusable answer',
+  503: 'The Python service or classifier registry is unavailable',
+  504: 'The Python service timed out'
+};
+
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+const v1ErrorResponse = (description) => ({ description, content: json(ref('V1Error')) });
+
+const withErrors = (responses, statuses = Object.keys(ERROR_DESCRIPTIONS), toResponse = errorResponse) => ({
+  ...responses,
+  ...Object.fromEntries(statuses.map(status => [status, toResponse(ERROR_DESCRIPTIONS[status])]))
+});
+
+const withV1Errors = (responses, statuses) => withErrors(responses, statuses, v1ErrorResponse);
+
+const classifierParam = (classifiers) => ({
+  name: 'classifier',
+  in: 'path',
+  required: true,
+  schema: classifiers.length > 0 ? { type: 'string', enum: classifiers } : { type: 'string' }
+});
+
+const modelParam = {
+  name: 'model',
+  in: 'query',
+  description: "Model to use; defaults to the classifier's default model (see GET /api/classifiers)",
+  schema: { type: 'string' }
+};
+
+const patientIdParam = {
+  name: 'patientId',
+  in: 'query',
+  description: "Save the result to this patient's history",
+  schema: { type: 'string', pattern: '^[A-Za-z0-9._-]{1,64}$' }
+};
+
+const jobIdParam = { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } };
+
+const patientBody = { required: true, content: json(ref('PatientInput')) };
+
+/**
+ * Build the OpenAPI document. `classifiers` (registry keys) populate the
+ * :classifier parameter; `serverUrl` is the gateway's externally visible base.
+ */
+function buildOpenApiSpec({ classifiers = [], serverUrl = '/' } = {}) {
+  const classifier = classifierParam(classifiers);
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Heart Health Classification API',
+      version,
+      description: 'Gateway in front of the heart health ML service. Sign in with POST /api/auth/login and send the token as `Authorization: Bearer <token>`.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: 'Auth' },
+      { name: 'Metadata' },
+      { name: 'Predictions' },
+      { name: 'Jobs', description: 'Slow batch work run in the background and polled for completion' },
+      { name: 'v1', description: 'Typed envelopes: `{ success, apiVersion, data, meta }` or `{ success: false, apiVersion, error: { code, message } }`' }
+    ],
+    paths: {
+      '/health': {
+        get: {
+          tags: ['Metadata'],
+          summary: 'Gateway and ML service health',
+          security: [],
+          responses: {
+            200: {
+              description: '`status` is "degraded" when the ML service is unreachable or its circuit is open',
+              content: json({
+                type: 'object',
+                required: ['status', 'timestamp', 'upstream'],
+                properties: {
+                  status: { type: 'string', enum: ['healthy', 'degraded'] },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  service: { type: 'string' },
+                  upstream: { type: 'object' }
+                }
+              })
+            }
+          }
+        }
+      },
+      '/api/auth/login': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Exchange a username and password for a bearer token',
+          security: [],
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              required: ['username', 'password'],
+              properties: { username: { type: 'string' }, password: { type: 'string', format: 'password' } }
+            })
+          },
+          responses: {
+            200: {
+              description: 'Signed in',
+              content: json({
+                type: 'object',
+                required: ['success', 'token', 'user'],
+                properties: {
+                  success: { const: true },
+                  token: { type: 'string' },
+                  user: {
+                    type: 'object',
+                    required: ['id', 'username', 'role', 'permissions'],
+                    properties: {
+                      id: { type: 'string' },
+                      username: { type: 'string' },
+                      role: { type: 'string' },
+                      permissions: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                }
+              })
+            },
+            400: errorResponse('Username or password missing'),
+            401: errorResponse('Wrong username or password')
+          }
+        }
+      },
+      '/api/classifiers': {
+        get: {
+          tags: ['Metadata'],
+          summary: 'Classifiers and models served by the ML service',
+          responses: withErrors({
+            200: {
+              description: 'Classifier registry',
+              content: json({
+                type: 'object',
+                required: ['success', 'classifiers', 'count'],
+                properties: {
+                  success: { const: true },
+                  classifiers: { type: 'object', additionalProperties: ref('ClassifierEntry') },
+                  count: { type: 'integer' },
+                  updatedAt: nullable({ type: 'string', format: 'date-time' })
+                }
+              })
+            }
+          }, [401, 403, 503])
+        }
+      },
+      '/api/schema': {
+        get: {
+          tags: ['Metadata'],
+          summary: 'Patient field definitions used by the validator',
+          responses: withErrors({
+            200: {
+              description: 'Field rules and display order',
+              content: json({
+                type: 'object',
+                required: ['success', 'schema'],
+                properties: {
+                  success: { const: true },
+                  schema: {
+                    type: 'object',
+                    required: ['fields', 'order'],
+                    properties: {
+                      fields: { type: 'object' },
+                      order: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                }
+              })
+            }
+          }, [401, 403])
+        }
+      },
+      '/api/predict/{classifier}': {
+        post: {
+          tags: ['Predictions'],
+          summary: 'Score one patient with one classifier',
+          parameters: [classifier, modelParam, patientIdParam],
+          requestBody: patientBody,
+          responses: withErrors({
+            200: {
+              description: 'Prediction. The X-Cache header is HIT when served from the prediction cache.',
+              content: json(ref('PredictionResponse'))
+            }
+          })
+        }
+      },
+      '/api/predict-all': {
+        post: {
+          tags: ['Predictions'],
+          summary: 'Score one patient with every classifier and model',
+          description: 'Send `Accept: application/x-ndjson` to stream results: a `start` event, one `cell` event per classifier/model as it finishes, then `done` (or `error`).',
+          parameters: [patientIdParam],
+          requestBody: patientBody,
+          responses: withErrors({
+            200: {
+              description: 'Every classifier × model result; failed cells carry an error instead of failing the request',
+              content: {
+                ...json(ref('PredictAllResponse')),
+                'application/x-ndjson': {
+                  schema: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: { type: { type: 'string', enum: ['start', 'cell', 'done', 'error'] } }
+                  }
+                }
+              }
+            }
+          }, [401, 403, 422, 429, 500, 503])
+        }
+      },
+      '/api/compare-models/{classifier}': {
+        post: {
+          tags: ['Predictions'],
+          summary: "Score one patient with each of a classifier's models",
+          parameters: [classifier],
+          requestBody: patientBody,
+          responses: withErrors({
+            200: { description: 'Per-model results', content: json(ref('CompareModelsResponse')) }
+          })
+        }
+      },
+      '/api/ensemble/{classifier}': {
+        post: {
+          tags: ['Predictions'],
+          summary: "Consensus prediction across a classifier's models",
+          parameters: [
+            classifier,
+            patientIdParam,
+            { name: 'strategy', in: 'query', schema: { type: 'string', enum: STRATEGIES } },
+            { name: 'weights', in: 'query', description: 'Per-model weights for the weighted strategy, e.g. RandomForest:2,LogisticRegression:1', schema: { type: 'string' } },
+            { name: 'threshold', in: 'query', description: 'Disagreement (standard deviation) above which the result is flagged', schema: { type: 'number', minimum: 0, maximum: 1 } }
+          ],
+          requestBody: patientBody,
+          responses: withErrors({
+            200: { description: 'Consensus and per-model results', content: json(ref('EnsembleResponse')) }
+          })
+        }
+      },
+      '/api/explain/{classifier}': {
+        post: {
+          tags: ['Predictions'],
+          summary: 'How each patient field moves the predicted probability',
+          parameters: [classifier, modelParam],
+          requestBody: patientBody,
+          responses: withErrors({
+            200: { description: 'Per-field sensitivity, ranked', content: json(ref('ExplainResponse')) }
+          })
+        }
+      },
+      '/api/model-info/{classifier}': {
+        get: {
+          tags: ['Metadata'],
+          summary: 'Details of one trained model',
+          parameters: [classifier, modelParam],
+          responses: withErrors({
+            200: { description: 'Model details from the ML service', content: json(ref('ModelInfoResponse')) }
+          }, [400, 401, 403, 404, 500, 502, 503, 504])
+        }
+      },
+      '/api/jobs/predict-all': {
+        post: {
+          tags: ['Jobs'],
+          summary: 'Queue a background /api/predict-all',
+          parameters: [patientIdParam],
+          requestBody: patientBody,
+          responses: withErrors({
+            202: { description: 'Queued; poll the job at the Location header', content: json(ref('JobResponse')) }
+          }, [401, 403, 422, 429])
+        }
+      },
+      '/api/jobs/compare-models/{classifier}': {
+        post: {
+          tags: ['Jobs'],
+          summary: 'Queue a background /api/compare-models',
+          parameters: [classifier],
+          requestBody: patientBody,
+          responses: withErrors({
+            202: { description: 'Queued; poll the job at the Location header', content: json(ref('JobResponse')) }
+          }, [400, 401, 403, 422, 429, 503])
+        }
+      },
+      '/api/jobs': {
+        get: {
+          tags: ['Jobs'],
+          summary: "The caller's jobs, newest first",
+          parameters: [
+            { name: 'status', in: 'query', schema: { type: 'string', enum: JOB_STATUSES } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+          ],
+          responses: withErrors({
+            200: {
+              description: 'Jobs without their results',
+              content: json({
+                type: 'object',
+                required: ['success', 'jobs', 'count'],
+                properties: {
+                  success: { const: true },
+                  jobs: { type: 'array', items: ref('Job') },
+                  count: { type: 'integer' }
+                }
+              })
+            }
+          }, [400, 401, 403])
+        }
+      },
+      '/api/jobs/{jobId}': {
+        get: {
+          tags: ['Jobs'],
+          summary: 'Status, progress and result of one job',
+          parameters: [jobIdParam],
+          responses: withErrors({
+            200: { description: 'The job', content: json(ref('JobDetailResponse')) },
+            404: errorResponse('No such job for this user')
+          }, [401, 403])
+        }
+      },
+      '/api/jobs/{jobId}/cancel': {
+        post: {
+          tags: ['Jobs'],
+          summary: 'Cancel a queued or running job',
+          parameters: [jobIdParam],
+          responses: withErrors({
+            200: { description: 'Cancelled', content: json(ref('JobResponse')) },
+            404: errorResponse('No such job for this user'),
+            409: errorResponse('The job has already finished')
+          }, [401, 403])
+        }
+      },
+      '/api/v1/classifiers': {
+        get: {
+          tags: ['v1'],
+          summary: 'Classifiers and models served by the ML service',
+          responses: withV1Errors({
+            200: { description: 'Classifier registry as a list', content: json(ref('V1ClassifiersResponse')) }
+          }, [401, 403, 503])
+        }
+      },
+      '/api/v1/schema': {
+        get: {
+          tags: ['v1'],
+          summary: 'Patient field definitions used by the validator',
+          responses: withV1Errors({
+            200: { description: 'Field rules and display order', content: json(ref('V1SchemaResponse')) }
+          }, [401, 403])
+        }
+      },
+      '/api/v1/predict/{classifier}': {
+        post: {
+          tags: ['v1'],
+          summary: 'Score one patient with one classifier',
+          parameters: [classifier, modelParam, patientIdParam],
+          requestBody: patientBody,
+          responses: withV1Errors({
+            200: { description: 'Prediction with a scalar label and named class probabilities', content: json(ref('V1PredictionResponse')) }
+          })
+        }
+      },
+      '/api/v1/predict-all': {
+        post: {
+          tags: ['v1'],
+          summary: 'Score one patient with every classifier and model',
+          description: 'Streams NDJSON like /api/predict-all when asked; each `cell` event carries a `result` in the V1Result shape.',
+          parameters: [patientIdParam],
+          requestBody: patientBody,
+          responses: withV1Errors({
+            200: { description: 'One result per classifier × model; failed cells have status "error"', content: json(ref('V1PredictAllResponse')) }
+          }, [401, 403, 422, 429, 500, 503])
+        }
+      },
+      '/api/v1/compare-models/{classifier}': {
+        post: {
+          tags: ['v1'],
+          summary: "Score one patient with each of a classifier's models",
+          parameters: [classifier],
+          requestBody: patientBody,
+          responses: withV1Errors({
+            200: { description: 'Per-model results', content: json(ref('V1CompareModelsResponse')) }
+          })
+        }
+      },
+      '/api/v1/ensemble/{classifier}': {
+        post: {
+          tags: ['v1'],
+          summary: "Consensus prediction across a classifier's models",
+          parameters: [
+            classifier,
+            patientIdParam,
+            { name: 'strategy', in: 'query', schema: { type: 'string', enum: STRATEGIES } },
+            { name: 'weights', in: 'query', schema: { type: 'string' } },
+            { name: 'threshold', in: 'query', schema: { type: 'number', minimum: 0, maximum: 1 } }
+          ],
+          requestBody: patientBody,
+          responses: withV1Errors({
+            200: { description: 'Consensus and per-model results', content: json(ref('V1EnsembleResponse')) }
+          })
+        }
+      },
+      '/api/v1/model-info/{classifier}': {
+        get: {
+          tags: ['v1'],
+          summary: 'Details of one trained model',
+          parameters: [classifier, modelParam],
+          responses: withV1Errors({
+            200: { description: 'Model details from the ML service', content: json(ref('V1ModelInfoResponse')) }
+          }, [400, 401, 403, 404, 500, 502, 503, 504])
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: { ...schemas(), ...v1Schemas() }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
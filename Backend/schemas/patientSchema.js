@@ -0,0 +1,189 @@
+// Patient record schema shared by the gateway validator and the frontend form.
+// Enum codes mirror the encodings the classifiers were trained on.
+const PATIENT_FIELDS = {
+  age: {
+    type: 'integer',
+    label: 'Age',
+    unit: 'years',
+    min: 1,
+    max: 120,
+    placeholder: 'Enter age (e.g., 45)'
+  },
+  sex: {
+    type: 'enum',
+    label: 'Sex',
+    options: [
+      { value: 1, label: 'Male' },
+      { value: 0, label: 'Female' }
+    ]
+  },
+  weight: {
+    type: 'number',
+    label: 'Weight (kg)',
+    unit: 'kg',
+    min: 20,
+    max: 300,
+    placeholder: 'Enter weight in kg'
+  },
+  height: {
+    type: 'number',
+    label: 'Height (cm)',
+    unit: 'cm',
+    min: 100,
+    max: 250,
+    placeholder: 'Enter height in cm'
+  },
+  BMI: {
+    type: 'number',
+    label: 'BMI',
+    unit: 'kg/m²',
+    min: 10,
+    max: 70,
+    placeholder: 'Enter BMI'
+  },
+  smoking: {
+    type: 'enum',
+    label: 'Smoking Status',
+    options: [
+      { value: 0, label: 'Non-smoker' },
+      { value: 1, label: 'Current smoker' },
+      { value: 2, label: 'Former smoker' }
+    ]
+  },
+  alcohol_consumption: {
+    type: 'enum',
+    label: 'Alcohol Consumption',
+    options: [
+      { value: 0, label: 'None' },
+      { value: 1, label: 'Occasional' },
+      { value: 2, label: 'Regular' },
+      { value: 3, label: 'Heavy' }
+    ]
+  },
+  physical_activity: {
+    type: 'enum',
+    label: 'Physical Activity Level',
+    options: [
+      { value: 0, label: 'Sedentary' },
+      { value: 1, label: 'Light' },
+      { value: 2, label: 'Moderate' },
+      { value: 3, label: 'Active' },
+      { value: 4, label: 'Very Active' }
+    ]
+  },
+  family_history: {
+    type: 'enum',
+    label: 'Family History',
+    options: [
+      { value: 0, label: 'No' },
+      { value: 1, label: 'Yes' }
+    ]
+  },
+  cholesterol_medication: {
+    type: 'enum',
+    label: 'Cholesterol Medication',
+    options: [
+      { value: 0, label: 'No' },
+      { value: 1, label: 'Yes' }
+    ]
+  }
+};
+
+const FIELD_ORDER = Object.keys(PATIENT_FIELDS);
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+/**
+ * Check a single field value against its schema entry.
+ * Returns { value } with the coerced number, or { error } describing the problem.
+ */
+function validateField(name, rawValue) {
+  const field = PATIENT_FIELDS[name];
+
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return { error: { field: name, code: 'required', message: `${field.label} is required` } };
+  }
+
+  const value = toNumber(rawValue);
+  if (!Number.isFinite(value)) {
+    return { error: { field: name, code: 'type', message: `${field.label} must be a number` } };
+  }
+
+  if (field.type === 'enum') {
+    const allowed = field.options.map(opt => opt.value);
+    if (!allowed.includes(value)) {
+      return {
+        error: {
+          field: name,
+          code: 'enum',
+          message: `${field.label} must be one of: ${allowed.join(', ')}`,
+          allowed
+        }
+      };
+    }
+    return { value };
+  }
+
+  if (field.type === 'integer' && !Number.isInteger(value)) {
+    return { error: { field: name, code: 'type', message: `${field.label} must be a whole number` } };
+  }
+
+  if (value < field.min || value > field.max) {
+    return {
+      error: {
+        field: name,
+        code: 'range',
+        message: `${field.label} must be between ${field.min} and ${field.max}`,
+        min: field.min,
+        max: field.max
+      }
+    };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate a patient record against the schema.
+ * Collects every offending field rather than stopping at the first one, and
+ * returns the record with numeric strings coerced to numbers.
+ */
+function validatePatient(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: [{ field: null, code: 'type', message: 'Patient data must be a JSON object' }]
+    };
+  }
+
+  const errors = [];
+  const value = {};
+
+  FIELD_ORDER.forEach(name => {
+    const result = validateField(name, input[name]);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  Object.keys(input)
+    .filter(name => !PATIENT_FIELDS[name])
+    .forEach(name => {
+      errors.push({ field: name, code: 'unknown', message: `Unknown field: ${name}` });
+    });
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, value };
+}
+
+module.exports = {
+  PATIENT_FIELDS,
+  FIELD_ORDER,
+  validateField,
+  validatePatient
+};
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+// Append-only audit trail of who did what, one JSON object per line. Entries are
+// never rewritten or deleted by the gateway. Unlike the application log it keeps
+// patient IDs, so it is only readable by admins.
+
+let filePath = null;
+let writeQueue = Promise.resolve();
+
+async function init(file) {
+  filePath = file;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+}
+
+const toActor = (user) => (user ? { id: user.id, username: user.username, role: user.role } : null);
+
+/**
+ * Append one audit entry for the current request. `req.user` is the actor unless
+ * `details.actor` says otherwise (e.g. a failed login). Writes are serialised and
+ * never fail the request: a write error is logged and the entry dropped.
+ */
+function record(req, action, details = {}, outcome = 'success') {
+  if (!filePath) {
+    // Callers don't await this, so a rejection here would go unhandled
+    logger.error('Failed to write audit entry: audit log used before init()', { action });
+    return Promise.resolve();
+  }
+
+  const { actor, ...rest } = details;
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    requestId: req.id || requestContext.get().requestId || null,
+    actor: actor || toActor(req.user),
+    action,
+    outcome,
+    ...rest
+  };
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => fs.appendFile(filePath, `${JSON.stringify(entry)}\n`))
+    .catch(error => logger.error('Failed to write audit entry:', error.message, { action }));
+  return writeQueue;
+}
+
+/**
+ * Read entries matching every given filter, newest first.
+ * Filters: actor (username), action, outcome, patientId, from/to (ISO timestamps).
+ */
+async function query({ actor, action, outcome, patientId, from, to, limit = 100, offset = 0 } = {}) {
+  await writeQueue.catch(() => {});
+
+  const matches = [];
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+
+  let lines;
+  try {
+    await fs.access(filePath);
+    lines = readline.createInterface({ input: createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], total: 0 };
+    throw error;
+  }
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      logger.warn('Skipping unreadable audit log line');
+      continue;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (actor && entry.actor?.username !== actor) continue;
+    if (action && entry.action !== action) continue;
+    if (outcome && entry.outcome !== outcome) continue;
+    if (patientId && entry.patientId !== patientId) continue;
+    if (fromTime !== null && time < fromTime) continue;
+    if (toTime !== null && time > toTime) continue;
+    matches.push(entry);
+  }
+
+  matches.reverse();
+  return { entries: matches.slice(offset, offset + limit), total: matches.length };
+}
+
+module.exports = {
+  init,
+  record,
+  query
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const python = require('./pythonClient');
+const logger = require('../utils/logger');
+
+// Friendly names for the classifiers we know about; anything new the Python
+// service exposes falls back to a name derived from its key
+const DISPLAY_NAMES = {
+  'BP_Class': 'Blood Pressure',
+  'Diabetes_Class': 'Diabetes',
+  'Dyslipidemia_Class': 'Dyslipidemia (Cholesterol)'
+};
+
+const toDisplayName = (classifier) =>
+  DISPLAY_NAMES[classifier] || classifier.replace(/_Class$/, '').replace(/_/g, ' ');
+
+let settings = { timeout: 5000 };
+let started = false;
+let registry = {};
+let version = null;
+let lastUpdated = null;
+let lastError = null;
+let refreshTimer = null;
+let pendingRefresh = null;
+
+const events = new EventEmitter();
+
+// Fingerprint of what the Python service serves; features are display-only
+const fingerprint = (classifiers) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(Object.keys(classifiers).sort().map(classifier =>
+    [classifier, classifiers[classifier].models, classifiers[classifier].defaultModel])))
+  .digest('hex');
+
+/**
+ * Build the registry from the Python service's /classifiers and /model-info endpoints.
+ * Feature lists are best-effort: a classifier whose model info cannot be loaded
+ * is still registered, just without features.
+ */
+async function fetchRegistry({ timeout }) {
+  const { data } = await python.get('/classifiers', { timeout });
+  const classifiers = data.classifiers || {};
+  const defaultModels = data.default_models || {};
+
+  const entries = await Promise.all(
+    Object.entries(classifiers).map(async ([classifier, models]) => {
+      let features = null;
+      try {
+        const info = await python.get(`/model-info/${classifier}`, { timeout });
+        features = info.data.features || null;
+      } catch (error) {
+        logger.warn(`Model info unavailable for ${classifier}:`, error.message);
+      }
+
+      return [classifier, {
+        displayName: toDisplayName(classifier),
+        models,
+        defaultModel: defaultModels[classifier] || models[0],
+        features
+      }];
+    })
+  );
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Refresh the cached registry. Concurrent callers share one in-flight request,
+ * and the previous registry is kept if the Python service cannot be reached.
+ */
+function refresh() {
+  if (!started) {
+    return Promise.reject(new Error('Classifier registry used before start()'));
+  }
+  if (!pendingRefresh) {
+    pendingRefresh = fetchRegistry(settings)
+      .then(next => {
+        const previousVersion = version;
+        registry = next;
+        version = fingerprint(next);
+        lastUpdated = new Date().toISOString();
+        lastError = null;
+        if (version !== previousVersion) {
+          logger.info(`Classifier registry changed (version ${version.slice(0, 8)})`);
+          events.emit('change', { version, previousVersion, classifiers: registry });
+        }
+        return registry;
+      })
+      .catch(error => {
+        lastError = error.message;
+        logger.error('Classifier registry refresh failed:', error.message);
+        return registry;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+}
+
+// Load the registry now and keep it fresh on an interval
+async function start({ timeout = 5000, intervalMs = 0 } = {}) {
+  settings = { timeout };
+  started = true;
+  await refresh();
+  if (!refreshTimer && intervalMs > 0) {
+    refreshTimer = setInterval(refresh, intervalMs);
+    refreshTimer.unref();
+  }
+  return registry;
+}
+
+function stop() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+/**
+ * Subscribe to registry changes. The listener receives { version, previousVersion,
+ * classifiers } after any refresh that changes the classifiers, models or defaults.
+ * Returns an unsubscribe function.
+ */
+function onChange(listener) {
+  events.on('change', listener);
+  return () => events.off('change', listener);
+}
+
+const getClassifiers = () => registry;
+// Own properties only, so names like "constructor" or "__proto__" aren't classifiers
+const getClassifier = (classifier) => (Object.hasOwn(registry, classifier) ? registry[classifier] : null);
+const listClassifiers = () => Object.keys(registry);
+const isEmpty = () => listClassifiers().length === 0;
+const getStatus = () => ({ version, lastUpdated, lastError, count: listClassifiers().length });
+
+module.exports = {
+  start,
+  stop,
+  refresh,
+  onChange,
+  getClassifiers,
+  getClassifier,
+  listClassifiers,
+  isEmpty,
+  getStatus
+};
@@ -0,0 +1,162 @@
+// Parsing and serialisation for cohort uploads (CSV or JSON lines)
+
+// Columns that identify a row rather than describe the patient
+const ID_COLUMNS = ['patient_id', 'id'];
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, escaped quotes ("")
+ * and CRLF line endings; blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Pull the identifier column out of a record so it is not validated as a feature
+function splitRecord(record, rowNumber) {
+  const data = { ...record };
+  let patientId = null;
+
+  ID_COLUMNS.forEach(column => {
+    if (column in data) {
+      if (patientId === null && data[column] !== '' && data[column] !== null) {
+        patientId = String(data[column]);
+      }
+      delete data[column];
+    }
+  });
+
+  return { row: rowNumber, patientId, data };
+}
+
+function parseCsvCohort(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { rows: [], errors: [{ row: null, message: 'CSV upload is empty' }] };
+  }
+
+  const columns = header.map(name => name.trim());
+  const rows = lines.map((cells, index) => {
+    const record = {};
+    columns.forEach((column, col) => {
+      record[column] = (cells[col] ?? '').trim();
+    });
+    // Header is row 1, so the first data row is row 2 like in a spreadsheet
+    return splitRecord(record, index + 2);
+  });
+
+  return { rows, errors: [] };
+}
+
+function parseJsonLinesCohort(text) {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      rows.push(splitRecord(JSON.parse(line), index + 1));
+    } catch (error) {
+      errors.push({ row: index + 1, message: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Parse an uploaded cohort. JSON lines are detected from the content type;
+ * everything else is treated as CSV with a header row.
+ */
+function parseCohort(text, contentType = '') {
+  const isJsonLines = /ndjson|jsonl|json-lines/.test(contentType);
+  return isJsonLines ? parseJsonLinesCohort(text) : parseCsvCohort(text);
+}
+
+// Text a spreadsheet would run as a formula (=, +, -, @, or a leading tab or CR)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a cell, and neutralise uploaded text such as patient IDs that would open as a formula
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise scored rows to CSV: one row per patient, with a label and positive
+ * class probability column for every classifier/model pair.
+ */
+function toResultsCsv(cohort) {
+  const { fields, targets, results } = cohort;
+  const targetColumns = targets.flatMap(({ classifier, model }) => [
+    `${classifier}__${model}__label`,
+    `${classifier}__${model}__probability`
+  ]);
+  const header = ['row', 'patient_id', ...fields, ...targetColumns, 'errors'];
+
+  const lines = results.map(result => {
+    const cells = [result.row, result.patientId];
+    fields.forEach(field => cells.push(result.input ? result.input[field] : ''));
+
+    targets.forEach(({ classifier, model }) => {
+      const cell = result.predictions?.[classifier]?.[model];
+      cells.push(cell && !cell.error ? cell.label : '');
+      cells.push(cell && !cell.error && cell.probability !== null ? cell.probability : '');
+    });
+
+    const messages = (result.errors || []).map(error =>
+      error.field ? `${error.field}: ${error.message}` : error.message
+    );
+    cells.push(messages.join('; '));
+
+    return cells.map(escapeCsv).join(',');
+  });
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCohort,
+  toResultsCsv
+};
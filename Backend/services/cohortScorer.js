@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { validatePatient, FIELD_ORDER } = require('../schemas/patientSchema');
+const { deriveFields } = require('../../shared/derivedFields.js');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { summarisePrediction } = require('../utils/predictions');
+const python = require('./pythonClient');
+const cache = require('./predictionCache');
+
+// Most recent scored cohorts, kept in memory so results can be downloaded as CSV
+const MAX_STORED_COHORTS = 20;
+const storedCohorts = new Map();
+
+function storeCohort(cohort) {
+  storedCohorts.set(cohort.id, cohort);
+  while (storedCohorts.size > MAX_STORED_COHORTS) {
+    storedCohorts.delete(storedCohorts.keys().next().value);
+  }
+}
+
+const getCohort = (id) => storedCohorts.get(id) || null;
+
+const upstreamMessage = (error) => python.toHttpError(error, 'Prediction failed').body.error;
+
+/**
+ * Validate and score every row of a parsed cohort against each classifier/model target.
+ * All row × target calls share one concurrency pool so the Python service sees at
+ * most `concurrency` requests at a time. `onRow` is called as each row completes.
+ * The stored cohort belongs to `ownerId`. Aborting `signal` stops new calls from
+ * starting and rejects with the abort reason; nothing is stored then.
+ */
+async function scoreCohort(rows, targets, { ownerId, concurrency, timeout = 10000, onRow, signal }) {
+  const cohort = {
+    id: crypto.randomUUID(),
+    ownerId,
+    createdAt: new Date().toISOString(),
+    fields: FIELD_ORDER,
+    targets,
+    results: []
+  };
+
+  let completed = 0;
+  const finishRow = (result) => {
+    completed++;
+    if (onRow) onRow(result, completed, rows.length);
+  };
+
+  const tasks = [];
+  const pending = new Map();
+
+  cohort.results = rows.map(({ row, patientId, data }) => {
+    const derivation = deriveFields(data);
+    const validation = validatePatient(derivation.value);
+    if (!validation.valid || derivation.errors.length > 0) {
+      const errors = [...derivation.errors, ...(validation.errors || [])];
+      return { row, patientId, status: 'invalid', input: null, predictions: {}, errors, warnings: derivation.warnings };
+    }
+
+    const result = {
+      row,
+      patientId,
+      status: 'scored',
+      input: validation.value,
+      predictions: {},
+      errors: [],
+      warnings: derivation.warnings
+    };
+    pending.set(result, targets.length);
+    targets.forEach(target => tasks.push({ result, ...target }));
+    return result;
+  });
+
+  cohort.results
+    .filter(result => result.status === 'invalid')
+    .forEach(finishRow);
+
+  await mapWithConcurrency(tasks, concurrency, async ({ result, classifier, model }) => {
+    signal?.throwIfAborted();
+    let cell;
+    try {
+      const { value } = await cache.wrap(classifier, model, result.input, async () => {
+        const response = await python.post(`/predict/${classifier}`, result.input, {
+          params: { model },
+          timeout,
+          idempotent: true
+        });
+        return response.data;
+      });
+      cell = summarisePrediction(value);
+    } catch (error) {
+      cell = { error: upstreamMessage(error) };
+      result.errors.push({ field: null, message: `${classifier}/${model}: ${cell.error}` });
+    }
+
+    result.predictions[classifier] = result.predictions[classifier] || {};
+    result.predictions[classifier][model] = cell;
+
+    const remaining = pending.get(result) - 1;
+    pending.set(result, remaining);
+    if (remaining === 0) {
+      if (result.errors.length === targets.length) {
+        result.status = 'failed';
+      } else if (result.errors.length > 0) {
+        result.status = 'partial';
+      }
+      finishRow(result);
+    }
+  });
+
+  cohort.summary = {
+    total: rows.length,
+    scored: cohort.results.filter(result => result.status === 'scored').length,
+    partial: cohort.results.filter(result => result.status === 'partial').length,
+    invalid: cohort.results.filter(result => result.status === 'invalid').length,
+    failed: cohort.results.filter(result => result.status === 'failed').length
+  };
+
+  storeCohort(cohort);
+  return cohort;
+}
+
+module.exports = {
+  scoreCohort,
+  getCohort
+};
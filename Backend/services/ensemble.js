@@ -0,0 +1,105 @@
+// Combine one classifier's per-model predictions into a single consensus answer.
+//   mean     - unweighted soft vote (average of class probabilities)
+//   weighted - soft vote with per-model weights
+//   majority - hard vote on each model's predicted class; probabilities are vote shares
+
+const STRATEGIES = ['mean', 'weighted', 'majority'];
+
+const argmax = (values) => values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Parse "GradientBoosting:2,RandomForest:1" into { GradientBoosting: 2, RandomForest: 1 }.
+ * Returns { error } for malformed pairs or negative weights.
+ */
+function parseWeights(raw) {
+  const weights = {};
+  for (const pair of raw.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [model, value, ...rest] = pair.split(':');
+    const weight = Number(value);
+    if (!model || rest.length > 0 || value === undefined || value === '' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight "${pair}". Use model:weight with a non-negative number` };
+    }
+    weights[model.trim()] = weight;
+  }
+  return { weights };
+}
+
+/**
+ * Soft-vote the successful model cells of one classifier.
+ * `cells` maps model name to a prediction cell ({ probabilities, class_labels } or { error }).
+ * Models missing from `weights` count with weight 1. Throws if no model produced probabilities.
+ */
+function combine(cells, { strategy = 'mean', weights = {}, threshold = 0.15 } = {}) {
+  const usable = Object.entries(cells)
+    .filter(([, cell]) => !cell.error && Array.isArray(cell.probabilities?.[0]))
+    .map(([model, cell]) => ({
+      model,
+      probabilities: cell.probabilities[0],
+      weight: strategy === 'weighted' ? (weights[model] ?? 1) : 1
+    }));
+
+  if (usable.length === 0) {
+    throw new Error('No model returned probabilities to combine');
+  }
+
+  const classCount = usable[0].probabilities.length;
+  const totalWeight = usable.reduce((sum, { weight }) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    throw new Error('Ensemble weights must not all be zero');
+  }
+
+  const votes = new Array(classCount).fill(0);
+  usable.forEach(({ probabilities }) => {
+    votes[argmax(probabilities)]++;
+  });
+
+  const meanProbabilities = Array.from({ length: classCount }, (_, index) =>
+    usable.reduce((sum, { probabilities, weight }) => sum + probabilities[index] * weight, 0) / totalWeight);
+
+  let probabilities;
+  let consensusClass;
+  if (strategy === 'majority') {
+    probabilities = votes.map(count => count / usable.length);
+    // Break tied votes with the averaged probabilities
+    const topVotes = Math.max(...votes);
+    consensusClass = argmax(meanProbabilities.map((value, index) => (votes[index] === topVotes ? value : -1)));
+  } else {
+    probabilities = meanProbabilities;
+    consensusClass = argmax(probabilities);
+  }
+
+  // Spread of each class probability across models, averaged over classes
+  const stdDev = Array.from({ length: classCount }, (_, index) =>
+    standardDeviation(usable.map(({ probabilities: modelProbabilities }) => modelProbabilities[index])))
+    .reduce((sum, value) => sum + value, 0) / classCount;
+
+  const positive = usable.map(({ probabilities: modelProbabilities }) => modelProbabilities[classCount - 1]);
+
+  return {
+    prediction: [consensusClass],
+    probabilities: [probabilities.map(round)],
+    consensusProbability: round(probabilities[consensusClass]),
+    models: usable.map(({ model, weight }) => ({ model, weight })),
+    disagreement: {
+      stdDev: round(stdDev),
+      range: round(Math.max(...positive) - Math.min(...positive)),
+      agreement: round(votes[consensusClass] / usable.length),
+      votes,
+      threshold,
+      flagged: stdDev > threshold
+    }
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  parseWeights,
+  combine
+};
@@ -0,0 +1,113 @@
+const python = require('./pythonClient');
+const cache = require('./predictionCache');
+const { PATIENT_FIELDS, FIELD_ORDER } = require('../schemas/patientSchema');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { summarisePrediction } = require('../utils/predictions');
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Values to try for one field: every option of an enum, otherwise `samples`
+ * evenly spaced points across the schema's min-max range.
+ */
+function sampleValues(field, samples) {
+  if (field.type === 'enum') {
+    return field.options.map(option => option.value);
+  }
+
+  const step = (field.max - field.min) / (samples - 1);
+  const values = Array.from({ length: samples }, (_, index) => field.min + step * index);
+  return [...new Set(values.map(value => (field.type === 'integer' ? Math.round(value) : round(value, 1))))];
+}
+
+/**
+ * Model-agnostic sensitivity for one prediction. Each field is varied on its
+ * own across its valid range while every other field keeps the patient's value,
+ * and scored through the Python service's predict route (via the prediction cache).
+ *
+ * A feature's `effect` is the patient's positive-class probability minus the
+ * average over its sampled values: positive means the patient's actual value
+ * pushes risk up. `spread` is how far the probability moves across the range.
+ * Derived fields are not kept in step (BMI stays fixed while weight moves), so
+ * each effect is that of the field alone.
+ *
+ * Returns { baseline, features, summary } with features ranked by |effect|.
+ */
+async function explainPrediction(classifier, model, input, { samples, concurrency, timeout }) {
+  const score = async (record) => {
+    const { value } = await cache.wrap(classifier, model, record, async () => {
+      const response = await python.post(`/predict/${classifier}`, record, {
+        params: { model },
+        timeout,
+        idempotent: true
+      });
+      return response.data;
+    });
+    return value;
+  };
+
+  // A failed baseline fails the whole explanation; a failed sample is skipped
+  const baselineData = await score(input);
+  const baseline = summarisePrediction(baselineData);
+  if (baseline.probability === null) {
+    throw new python.UpstreamError('The model does not report probabilities, so it cannot be explained', {
+      status: 422,
+      code: 'NO_PROBABILITIES'
+    });
+  }
+
+  const jobs = FIELD_ORDER.flatMap(feature =>
+    sampleValues(PATIENT_FIELDS[feature], samples)
+      .filter(value => value !== input[feature])
+      .map(value => ({ feature, value })));
+
+  const summary = { calls: jobs.length + 1, failed: 0 };
+  const results = await mapWithConcurrency(jobs, concurrency, async ({ feature, value }) => {
+    try {
+      const data = await score({ ...input, [feature]: value });
+      return { feature, value, probability: summarisePrediction(data).probability };
+    } catch {
+      summary.failed++;
+      return null;
+    }
+  });
+
+  const features = FIELD_ORDER.map(feature => {
+    const field = PATIENT_FIELDS[feature];
+    const curve = [
+      { value: input[feature], probability: baseline.probability },
+      ...results.filter(result => result && result.feature === feature && result.probability !== null)
+        .map(({ value, probability }) => ({ value, probability }))
+    ].sort((a, b) => a.value - b.value);
+    const probabilities = curve.map(point => point.probability);
+    const mean = probabilities.reduce((sum, probability) => sum + probability, 0) / probabilities.length;
+
+    return {
+      feature,
+      label: field.label,
+      value: input[feature],
+      valueLabel: field.type === 'enum'
+        ? field.options.find(option => option.value === input[feature])?.label || String(input[feature])
+        : `${input[feature]}${field.unit ? ` ${field.unit}` : ''}`,
+      effect: curve.length > 1 ? round(baseline.probability - mean) : null,
+      spread: curve.length > 1 ? round(Math.max(...probabilities) - Math.min(...probabilities)) : null,
+      samples: curve.map(point => ({ value: point.value, probability: round(point.probability) }))
+    };
+  }).sort((a, b) => Math.abs(b.effect ?? 0) - Math.abs(a.effect ?? 0));
+
+  return {
+    baseline: {
+      prediction: baseline.prediction,
+      label: baseline.label,
+      probability: round(baseline.probability),
+      model: baselineData.model || model
+    },
+    features,
+    summary
+  };
+}
+
+module.exports = {
+  sampleValues,
+  explainPrediction
+};
@@ -0,0 +1,144 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prediction history persisted as a single JSON file: { version, patients: { [patientId]: [records] } }
+const STORE_VERSION = 1;
+const PATIENT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+let filePath = null;
+let data = null;
+let writeQueue = Promise.resolve();
+
+const isValidPatientId = (patientId) =>
+  typeof patientId === 'string' && PATIENT_ID_PATTERN.test(patientId);
+
+/**
+ * Load the store from disk, creating an empty one if the file does not exist yet.
+ */
+async function init(file) {
+  filePath = file;
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    data = JSON.parse(raw);
+    data.patients = Object.assign(Object.create(null), data.patients);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read history store ${filePath}: ${error.message}`);
+    }
+    data = { version: STORE_VERSION, patients: Object.create(null) };
+  }
+  return data;
+}
+
+const ensureLoaded = () => {
+  if (!data) {
+    throw new Error('History store used before init()');
+  }
+};
+
+// Patient IDs such as "constructor" or "__proto__" are valid, so patients live in a
+// prototype-less object and are only ever looked up as own properties
+const recordsOf = (patientId) =>
+  (Object.hasOwn(data.patients, patientId) ? data.patients[patientId] : null);
+
+// Writes are serialised and go through a temp file so a crash never leaves half a file behind
+function persist() {
+  const snapshot = JSON.stringify(data, null, 2);
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, filePath);
+    });
+  return writeQueue;
+}
+
+/**
+ * Append prediction records for a patient. Each record gets an id and timestamp
+ * unless one is supplied.
+ */
+async function addRecords(patientId, records) {
+  ensureLoaded();
+  const timestamp = new Date().toISOString();
+  const saved = records.map(record => ({
+    id: crypto.randomUUID(),
+    patientId,
+    timestamp,
+    ...record
+  }));
+
+  data.patients[patientId] = [...(recordsOf(patientId) || []), ...saved];
+  await persist();
+  return saved;
+}
+
+function listPatients() {
+  ensureLoaded();
+  return Object.entries(data.patients).map(([patientId, records]) => ({
+    patientId,
+    recordCount: records.length,
+    firstRecordedAt: records[0]?.timestamp || null,
+    lastRecordedAt: records[records.length - 1]?.timestamp || null
+  }));
+}
+
+/**
+ * Records for one patient, oldest first, optionally filtered by classifier
+ * and an inclusive ISO timestamp range.
+ */
+function getHistory(patientId, { classifier, from, to } = {}) {
+  ensureLoaded();
+  const records = recordsOf(patientId);
+  if (!records) return null;
+
+  return records.filter(record =>
+    (!classifier || record.classifier === classifier) &&
+    (!from || record.timestamp >= from) &&
+    (!to || record.timestamp <= to)
+  );
+}
+
+function getRecord(patientId, recordId) {
+  ensureLoaded();
+  return (recordsOf(patientId) || []).find(record => record.id === recordId) || null;
+}
+
+async function deleteRecord(patientId, recordId) {
+  ensureLoaded();
+  const records = recordsOf(patientId) || [];
+  const remaining = records.filter(record => record.id !== recordId);
+  if (remaining.length === records.length) return false;
+
+  if (remaining.length === 0) {
+    delete data.patients[patientId];
+  } else {
+    data.patients[patientId] = remaining;
+  }
+  await persist();
+  return true;
+}
+
+async function deletePatient(patientId) {
+  ensureLoaded();
+  const records = recordsOf(patientId);
+  if (!records) return 0;
+
+  const count = records.length;
+  delete data.patients[patientId];
+  await persist();
+  return count;
+}
+
+module.exports = {
+  init,
+  isValidPatientId,
+  addRecords,
+  listPatients,
+  getHistory,
+  getRecord,
+  deleteRecord,
+  deletePatient
+};
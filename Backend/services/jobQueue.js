@@ -0,0 +1,291 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const python = require('./pythonClient');
+const logger = require('../utils/logger');
+
+// Background prediction jobs persisted as a single JSON file: { version, jobs: [job] }.
+// A job is queued → running → succeeded | failed | cancelled, and goes back to
+// queued between retry attempts. Jobs that were running when the gateway stopped
+// are queued again on the next start, so submitted work is never silently lost.
+const STORE_VERSION = 1;
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+let filePath = null;
+let data = null;
+let writeQueue = Promise.resolve();
+let settings = { concurrency: 2, maxAttempts: 3, retryDelayMs: 2000, retentionMs: 24 * 60 * 60 * 1000 };
+let handlers = {};
+let wakeTimer = null;
+
+// Live state that isn't worth a disk write: abort controllers and progress of running jobs
+const running = new Map();
+
+const ensureLoaded = () => {
+  if (!data) {
+    throw new Error('Job queue used before init()');
+  }
+};
+
+// Writes are serialised and go through a temp file so a crash never leaves half a file behind
+function persist() {
+  const snapshot = JSON.stringify(data, null, 2);
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, filePath);
+    });
+  return writeQueue.catch(error => logger.error('Failed to save job queue:', error.message));
+}
+
+// Drop finished jobs older than the retention window
+function prune() {
+  const cutoff = new Date(Date.now() - settings.retentionMs).toISOString();
+  const before = data.jobs.length;
+  data.jobs = data.jobs.filter(job => !FINISHED.includes(job.status) || job.finishedAt >= cutoff);
+  return before - data.jobs.length;
+}
+
+/**
+ * Load the queue from disk and start working on it. `handlers` maps each job
+ * type to `async (params, { signal, progress }) => result`; a handler should
+ * stop early once `signal` is aborted and may call progress(completed, total, partial).
+ */
+async function init(file, options = {}) {
+  filePath = file;
+  settings = { ...settings, ...options.settings };
+  handlers = options.handlers || {};
+
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read job store ${filePath}: ${error.message}`);
+    }
+    data = { version: STORE_VERSION, jobs: [] };
+  }
+
+  const interrupted = data.jobs.filter(job => job.status === 'running');
+  interrupted.forEach(job => {
+    job.status = 'queued';
+    job.runAfter = null;
+    job.updatedAt = new Date().toISOString();
+  });
+  if (interrupted.length > 0) {
+    logger.warn(`Re-queued ${interrupted.length} job(s) interrupted by the last shutdown`);
+  }
+
+  prune();
+  await persist();
+  pump();
+  return data;
+}
+
+/**
+ * Public view of a job. Results are left out unless asked for, since a
+ * predict-all result is large and job lists are polled.
+ */
+function toView(job, { withResult = false } = {}) {
+  const live = running.get(job.id);
+  const view = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: live ? live.progress : job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt
+  };
+
+  if (withResult) {
+    view.result = job.status === 'succeeded' ? job.result : null;
+    view.partial = live ? live.partial : null;
+  }
+  return view;
+}
+
+/**
+ * Queue a job of a registered type for `ownerId`. Returns its public view.
+ */
+async function submit(type, params, ownerId) {
+  ensureLoaded();
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    ownerId,
+    status: 'queued',
+    params,
+    progress: { completed: 0, total: null },
+    attempts: 0,
+    maxAttempts: settings.maxAttempts,
+    runAfter: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now
+  };
+
+  data.jobs.push(job);
+  await persist();
+  pump();
+  return toView(job);
+}
+
+function find(id) {
+  ensureLoaded();
+  return data.jobs.find(job => job.id === id) || null;
+}
+
+/**
+ * Jobs belonging to `ownerId`, newest first, optionally filtered by status.
+ */
+function list(ownerId, { status, limit = 50 } = {}) {
+  ensureLoaded();
+  return data.jobs
+    .filter(job => job.ownerId === ownerId && (!status || job.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(job => toView(job));
+}
+
+/**
+ * Cancel a queued or running job. A running job's handler is aborted; calls
+ * already sent to the Python service finish, but their results are dropped.
+ * Returns false if the job had already finished.
+ */
+async function cancel(id) {
+  const job = find(id);
+  if (!job || FINISHED.includes(job.status)) return false;
+
+  const live = running.get(id);
+  if (live) {
+    job.progress = live.progress;
+    live.controller.abort(new Error('Job cancelled'));
+  }
+
+  const now = new Date().toISOString();
+  job.status = 'cancelled';
+  job.finishedAt = now;
+  job.updatedAt = now;
+  await persist();
+  return true;
+}
+
+function counts() {
+  const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  (data ? data.jobs : []).forEach(job => {
+    byStatus[job.status]++;
+  });
+  return byStatus;
+}
+
+// Start as many waiting jobs as there are free workers, and wake up again for
+// the earliest retry that isn't due yet
+function pump() {
+  if (!data) return;
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+
+  const now = Date.now();
+  const waiting = data.jobs.filter(job => job.status === 'queued');
+  const due = waiting.filter(job => !job.runAfter || job.runAfter <= now);
+
+  due.slice(0, Math.max(0, settings.concurrency - running.size)).forEach(run);
+
+  const next = Math.min(...waiting.filter(job => job.runAfter > now).map(job => job.runAfter));
+  if (Number.isFinite(next)) {
+    wakeTimer = setTimeout(pump, next - now);
+    wakeTimer.unref();
+  }
+}
+
+// Connection failures, timeouts and Python-side 5xx answers are worth another
+// attempt; a 4xx or a bug in the gateway won't change on retry
+const isRetryable = (status, code) => status >= 500 && code !== 'INTERNAL_ERROR';
+
+async function run(job) {
+  const controller = new AbortController();
+  const live = { controller, progress: { ...job.progress }, partial: null };
+  running.set(job.id, live);
+
+  job.status = 'running';
+  job.attempts++;
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.updatedAt = new Date().toISOString();
+  persist();
+
+  const progress = (completed, total, partial = null) => {
+    live.progress = { completed, total };
+    live.partial = partial;
+  };
+
+  let outcome;
+  try {
+    outcome = { result: await handlers[job.type](job.params, { signal: controller.signal, progress }) };
+  } catch (error) {
+    outcome = { error };
+  }
+
+  running.delete(job.id);
+
+  // cancel() has already recorded the outcome
+  if (controller.signal.aborted) {
+    pump();
+    return;
+  }
+
+  const now = new Date().toISOString();
+  job.progress = live.progress;
+  job.updatedAt = now;
+
+  if (!outcome.error) {
+    job.status = 'succeeded';
+    job.result = outcome.result;
+    job.error = null;
+    job.finishedAt = now;
+  } else {
+    const { status, body } = python.toHttpError(outcome.error, 'Job failed');
+    job.error = { code: body.code || 'JOB_FAILED', message: body.error };
+
+    if (isRetryable(status, body.code) && job.attempts < job.maxAttempts) {
+      const delay = settings.retryDelayMs * 2 ** (job.attempts - 1);
+      logger.warn(`Retrying job ${job.id} (${job.type}) in ${delay}ms (attempt ${job.attempts + 1}/${job.maxAttempts}): ${outcome.error.message}`);
+      job.status = 'queued';
+      job.runAfter = Date.now() + delay;
+    } else {
+      logger.error(`Job ${job.id} (${job.type}) failed:`, outcome.error.message);
+      job.status = 'failed';
+      job.finishedAt = now;
+    }
+  }
+
+  prune();
+  await persist();
+  pump();
+}
+
+module.exports = {
+  STATUSES,
+  init,
+  submit,
+  find,
+  list,
+  cancel,
+  counts,
+  toView
+};
@@ -0,0 +1,190 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the gateway. This module has no dependencies on other
+// services so anything (including the Python client) can record into it; gauges
+// that read other services' state are added by app.js with registerGauge().
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequests = new client.Counter({
+  name: 'gateway_http_requests_total',
+  help: 'HTTP requests handled by the gateway',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'gateway_http_request_duration_seconds',
+  help: 'Gateway request latency by route',
+  labelNames: ['method', 'route'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'gateway_upstream_request_duration_seconds',
+  help: 'Latency of calls to the Python service, per endpoint and classifier/model',
+  labelNames: ['endpoint', 'classifier', 'model'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'gateway_upstream_errors_total',
+  help: 'Failed calls to the Python service by HTTP status (or network error code)',
+  labelNames: ['endpoint', 'status'],
+  registers: [registry]
+});
+
+const upstreamTimeouts = new client.Counter({
+  name: 'gateway_upstream_timeouts_total',
+  help: 'Calls to the Python service that timed out',
+  labelNames: ['endpoint'],
+  registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+  name: 'gateway_rate_limited_total',
+  help: 'Requests rejected with 429 by each rate limiter',
+  labelNames: ['limiter'],
+  registers: [registry]
+});
+
+function recordRequest({ method, route, status, durationSeconds }) {
+  httpRequests.inc({ method, route, status: String(status) });
+  httpDuration.observe({ method, route }, durationSeconds);
+}
+
+/**
+ * Record one call to the Python service. Prediction paths are labelled with
+ * their classifier and model; everything else gets empty labels.
+ */
+function recordUpstream({ path, model, durationSeconds, status = null, timedOut = false }) {
+  const match = path.match(/^\/(predict|compare-models|model-info)\/([^/]+)$/);
+  const endpoint = match ? `/${match[1]}/:classifier` : path;
+  const classifier = match ? decodeURIComponent(match[2]) : '';
+
+  upstreamDuration.observe({ endpoint, classifier, model: model || (match ? 'default' : '') }, durationSeconds);
+  if (timedOut) {
+    upstreamTimeouts.inc({ endpoint });
+  } else if (status !== null) {
+    upstreamErrors.inc({ endpoint, status: String(status) });
+  }
+}
+
+const recordRateLimited = (limiter) => rateLimited.inc({ limiter });
+
+// Add a gauge whose value is read from `collect` at scrape time. Registering a
+// name again replaces the earlier gauge, so the app can be built more than once.
+function registerGauge({ name, help, labelNames = [], collect }) {
+  registry.removeSingleMetric(name);
+  return new client.Gauge({
+    name,
+    help,
+    labelNames,
+    registers: [registry],
+    collect() {
+      const values = collect();
+      if (typeof values === 'number') {
+        this.set(values);
+      } else {
+        values.forEach(({ labels, value }) => this.set(labels, value));
+      }
+    }
+  });
+}
+
+const render = () => registry.metrics();
+
+// Approximate a quantile from cumulative histogram buckets by linear interpolation
+function bucketQuantile(buckets, count, quantile) {
+  if (count === 0) return null;
+  const rank = quantile * count;
+  let previousBound = 0;
+  let previousCount = 0;
+
+  for (const { le, value } of buckets) {
+    if (value >= rank) {
+      if (le === '+Inf') return previousBound;
+      const width = value - previousCount;
+      return width === 0 ? le : previousBound + ((le - previousBound) * (rank - previousCount)) / width;
+    }
+    previousBound = le === '+Inf' ? previousBound : le;
+    previousCount = value;
+  }
+  return previousBound;
+}
+
+// Group a histogram's series by the given labels into { count, sum, p50, p95 } rows
+async function summariseHistogram(histogram, labelNames) {
+  const { values } = await histogram.get();
+  const groups = new Map();
+
+  values.forEach(({ metricName, labels, value }) => {
+    const key = labelNames.map(name => labels[name]).join('\u0000');
+    if (!groups.has(key)) {
+      groups.set(key, { labels: Object.fromEntries(labelNames.map(name => [name, labels[name]])), buckets: [], count: 0, sum: 0 });
+    }
+    const group = groups.get(key);
+    if (metricName.endsWith('_bucket')) group.buckets.push({ le: labels.le, value });
+    if (metricName.endsWith('_count')) group.count = value;
+    if (metricName.endsWith('_sum')) group.sum = value;
+  });
+
+  const toMs = (seconds) => (seconds === null ? null : Math.round(seconds * 10000) / 10);
+
+  return [...groups.values()].map(({ labels, buckets, count, sum }) => ({
+    ...labels,
+    count,
+    meanMs: toMs(count > 0 ? sum / count : null),
+    p50Ms: toMs(bucketQuantile(buckets, count, 0.5)),
+    p95Ms: toMs(bucketQuantile(buckets, count, 0.95))
+  }));
+}
+
+const counterValues = async (counter) => (await counter.get()).values
+  .map(({ labels, value }) => ({ ...labels, value }));
+
+/**
+ * JSON snapshot of the gateway metrics for the admin System panel. Counters are
+ * cumulative since start; the panel derives rates from successive snapshots.
+ */
+async function getSummary() {
+  const requests = await counterValues(httpRequests);
+  const routes = await summariseHistogram(httpDuration, ['method', 'route']);
+
+  return {
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+    requests: {
+      total: requests.reduce((sum, { value }) => sum + value, 0),
+      errors: requests.filter(({ status }) => Number(status) >= 500).reduce((sum, { value }) => sum + value, 0),
+      clientErrors: requests.filter(({ status }) => Number(status) >= 400 && Number(status) < 500)
+        .reduce((sum, { value }) => sum + value, 0)
+    },
+    routes: routes.map(route => ({
+      ...route,
+      errors: requests
+        .filter(({ method, route: name, status }) => method === route.method && name === route.route && Number(status) >= 500)
+        .reduce((sum, { value }) => sum + value, 0)
+    })),
+    predictions: (await summariseHistogram(upstreamDuration, ['endpoint', 'classifier', 'model']))
+      .filter(({ endpoint }) => endpoint === '/predict/:classifier'),
+    upstreamErrors: await counterValues(upstreamErrors),
+    upstreamTimeouts: await counterValues(upstreamTimeouts)
+  };
+}
+
+module.exports = {
+  contentType: registry.contentType,
+  recordRequest,
+  recordUpstream,
+  recordRateLimited,
+  registerGauge,
+  render,
+  getSummary
+};
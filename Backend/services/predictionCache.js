@@ -0,0 +1,159 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { FIELD_ORDER } = require('../schemas/patientSchema');
+const logger = require('../utils/logger');
+
+// In-memory LRU of Python service prediction responses. A Map keeps insertion
+// order, so re-inserting on every hit makes the first key the least recently used.
+
+const PERSIST_DELAY_MS = 1000;
+
+let settings = { enabled: true, maxEntries: 1000, ttlMs: 10 * 60 * 1000, file: null };
+let entries = new Map();
+let registryVersion = null;
+let persistTimer = null;
+let writeQueue = Promise.resolve();
+
+const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+
+/**
+ * Key on classifier, resolved model and the input vector in schema order, so
+ * field order and numeric formatting ("45" vs 45) in the request do not matter.
+ */
+const buildKey = (classifier, model, input) =>
+  `${classifier}|${model}|${FIELD_ORDER.map(field => Number(input[field])).join(',')}`;
+
+function schedulePersist() {
+  if (!settings.file || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    const snapshot = JSON.stringify({ registryVersion, entries: [...entries] });
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(settings.file), { recursive: true });
+        const tempPath = `${settings.file}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, settings.file);
+      })
+      .catch(error => logger.error('Failed to persist prediction cache:', error.message));
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+/**
+ * Apply settings and, when a file is configured, reload unexpired entries from it.
+ */
+async function init(options = {}) {
+  settings = { ...settings, ...options };
+  entries = new Map();
+  registryVersion = null;
+  if (!settings.enabled || !settings.file) return;
+
+  try {
+    const now = Date.now();
+    const saved = JSON.parse(await fs.readFile(settings.file, 'utf8'));
+    registryVersion = saved.registryVersion || null;
+    saved.entries
+      .filter(([, entry]) => entry.expiresAt > now)
+      .slice(-settings.maxEntries)
+      .forEach(([key, entry]) => entries.set(key, entry));
+    logger.info(`Loaded ${entries.size} cached predictions from ${settings.file}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable prediction cache ${settings.file}: ${error.message}`);
+    }
+  }
+}
+
+function get(key) {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  entries.delete(key);
+  if (entry.expiresAt <= Date.now()) {
+    stats.expirations++;
+    return undefined;
+  }
+
+  entries.set(key, entry);
+  return entry.value;
+}
+
+function set(key, value) {
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: Date.now() + settings.ttlMs });
+
+  while (entries.size > settings.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+  schedulePersist();
+}
+
+/**
+ * Return the cached response for this prediction, or call `fetcher` and cache
+ * its result. Resolves to { value, hit } so callers can report the outcome.
+ */
+async function wrap(classifier, model, input, fetcher) {
+  if (!settings.enabled) {
+    return { value: await fetcher(), hit: false };
+  }
+
+  const key = buildKey(classifier, model, input);
+  const cached = get(key);
+  if (cached !== undefined) {
+    stats.hits++;
+    return { value: cached, hit: true };
+  }
+
+  stats.misses++;
+  const value = await fetcher();
+  set(key, value);
+  return { value, hit: false };
+}
+
+function clear(reason = 'manual') {
+  const cleared = entries.size;
+  entries.clear();
+  stats.invalidations++;
+  schedulePersist();
+  logger.info(`Prediction cache cleared (${reason}): ${cleared} entries dropped`);
+  return cleared;
+}
+
+/**
+ * Called whenever the classifier registry is reloaded. Entries computed against a
+ * different set of models are dropped; a reload that changed nothing keeps them,
+ * so a persisted cache survives a restart against the same Python service.
+ */
+function syncRegistryVersion(version) {
+  if (registryVersion && registryVersion !== version) {
+    clear('model registry changed');
+  }
+  if (registryVersion !== version) {
+    registryVersion = version;
+    schedulePersist();
+  }
+}
+
+function getStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: settings.enabled,
+    size: entries.size,
+    maxEntries: settings.maxEntries,
+    ttlMs: settings.ttlMs,
+    persistent: Boolean(settings.file),
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : null
+  };
+}
+
+module.exports = {
+  init,
+  wrap,
+  clear,
+  syncRegistryVersion,
+  getStats
+};
@@ -0,0 +1,34 @@
+const history = require('./historyStore');
+const logger = require('../utils/logger');
+const { summarisePrediction } = require('../utils/predictions');
+
+// Save predictions to a patient's history without failing the request if the write fails
+async function recordHistory(patientId, records) {
+  if (!patientId || records.length === 0) return [];
+  try {
+    return await history.addRecords(patientId, records);
+  } catch (error) {
+    logger.error('Failed to save prediction history:', error.message);
+    return [];
+  }
+}
+
+const toHistoryRecord = (source, classifier, model, input, data) => {
+  const { prediction, label, probability, probabilities } = summarisePrediction(data);
+  return {
+    source,
+    classifier,
+    model,
+    input,
+    prediction,
+    label,
+    probability,
+    probabilities,
+    classLabels: data.class_labels || null
+  };
+};
+
+module.exports = {
+  recordHistory,
+  toHistoryRecord
+};
@@ -0,0 +1,83 @@
+const registry = require('./classifierRegistry');
+const python = require('./pythonClient');
+const { allTargets, predictMatrix } = require('./predictionMatrix');
+const { recordHistory, toHistoryRecord } = require('./predictionHistory');
+
+/**
+ * Job handlers for the work /api/predict-all and /api/compare-models do inline,
+ * run in the background by the job queue with `timeout` per Python service call
+ * (longer than the inline routes allow). Results have the same shape as the
+ * inline responses, without `success` and `timestamp`.
+ */
+function createPredictionJobHandlers({ concurrency, timeout }) {
+  return {
+    // params: { input, patientId, warnings }
+    'predict-all': async ({ input, patientId, warnings }, { signal, progress }) => {
+      if (registry.isEmpty()) {
+        await registry.refresh();
+      }
+      if (registry.isEmpty()) {
+        throw new python.UpstreamError('Classifier registry is unavailable. Is the Python service running?', {
+          status: 503,
+          code: 'UPSTREAM_UNAVAILABLE'
+        });
+      }
+
+      const targets = allTargets();
+      const partial = {};
+      progress(0, targets.length, partial);
+
+      const { predictions, summary } = await predictMatrix(input, targets, {
+        concurrency,
+        timeout,
+        signal,
+        onCell: ({ classifier, model, result }, completed, total) => {
+          partial[classifier] = { ...partial[classifier], [model]: result };
+          progress(completed, total, partial);
+        }
+      });
+
+      // Worth retrying only if nothing got through; partial failures are reported per cell
+      if (summary.succeeded === 0) {
+        const failure = Object.values(predictions).flatMap(Object.values)[0];
+        throw new python.UpstreamError(`Every prediction failed: ${failure.error}`, {
+          status: failure.code === 'UPSTREAM_TIMEOUT' ? 504 : 502,
+          code: failure.code || 'UPSTREAM_ERROR'
+        });
+      }
+
+      const records = await recordHistory(patientId, targets
+        .filter(({ classifier, model }) => !predictions[classifier][model].error)
+        .map(({ classifier, model }) =>
+          toHistoryRecord('predict-all', classifier, model, input, predictions[classifier][model])));
+
+      return {
+        patientId,
+        recordIds: records.map(record => record.id),
+        predictions,
+        summary,
+        input,
+        warnings
+      };
+    },
+
+    // params: { classifier, input, warnings }
+    'compare-models': async ({ classifier, input, warnings }, { progress }) => {
+      progress(0, 1);
+      const response = await python.post(`/compare-models/${classifier}`, input, {
+        timeout,
+        idempotent: true
+      });
+      progress(1, 1);
+
+      return {
+        classifier,
+        models: response.data.models,
+        input,
+        warnings
+      };
+    }
+  };
+}
+
+module.exports = { createPredictionJobHandlers };
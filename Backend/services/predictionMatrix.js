@@ -0,0 +1,64 @@
+const registry = require('./classifierRegistry');
+const python = require('./pythonClient');
+const cache = require('./predictionCache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Every registered classifier paired with every one of its models
+const allTargets = () =>
+  registry.listClassifiers().flatMap(classifier =>
+    registry.getClassifier(classifier).models.map(model => ({ classifier, model })));
+
+/**
+ * Score one patient against each classifier/model target, at most `concurrency`
+ * calls at a time. A failing cell is recorded as { error, code } instead of
+ * failing the whole matrix. `onCell` is called as each cell completes. Aborting
+ * `signal` stops new calls from starting and rejects with the abort reason.
+ */
+async function predictMatrix(input, targets, { concurrency, timeout, onCell, signal }) {
+  const predictions = {};
+  const summary = { total: targets.length, succeeded: 0, failed: 0, cached: 0 };
+  let completed = 0;
+
+  targets.forEach(({ classifier }) => {
+    predictions[classifier] = predictions[classifier] || {};
+  });
+
+  await mapWithConcurrency(targets, concurrency, async ({ classifier, model }) => {
+    signal?.throwIfAborted();
+    let cell;
+    try {
+      const { value, hit } = await cache.wrap(classifier, model, input, async () => {
+        const response = await python.post(`/predict/${classifier}`, input, {
+          params: { model },
+          timeout,
+          idempotent: true
+        });
+        return response.data;
+      });
+
+      cell = {
+        prediction: value.prediction,
+        probabilities: value.probabilities,
+        class_labels: value.class_labels,
+        model: value.model || model
+      };
+      summary.succeeded++;
+      if (hit) summary.cached++;
+    } catch (error) {
+      const { body } = python.toHttpError(error, 'Prediction failed');
+      cell = { error: body.error, code: body.code, model };
+      summary.failed++;
+    }
+
+    predictions[classifier][model] = cell;
+    completed++;
+    if (onCell) onCell({ classifier, model, result: cell }, completed, targets.length);
+  });
+
+  return { predictions, summary };
+}
+
+module.exports = {
+  allTargets,
+  predictMatrix
+};
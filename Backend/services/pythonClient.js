@@ -0,0 +1,281 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const metrics = require('./metrics');
+
+// Shared client for the Flask inference service: retries, circuit breaker and
+// one place that turns upstream failures into gateway responses.
+
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+class UpstreamError extends Error {
+  constructor(message, { status = 502, code = 'UPSTREAM_ERROR', retryAfter = null, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+let settings = {
+  baseUrl: null,
+  retries: 2,
+  retryBaseDelayMs: 200,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const circuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastFailure: null,
+  trialInFlight: false
+};
+
+function configure(options) {
+  settings = { ...settings, ...options };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isTimeout = (error) => TIMEOUT_CODES.includes(error.code);
+
+// Failures that say the service is unhealthy, as opposed to a bad request
+const isServiceFailure = (error) =>
+  !error.response || error.response.status >= 500;
+
+const isRetryable = (error) =>
+  RETRYABLE_CODES.includes(error.code) ||
+  (error.response && RETRYABLE_STATUSES.includes(error.response.status));
+
+const retryAfterSeconds = () =>
+  Math.max(1, Math.ceil((circuit.openedAt + settings.resetTimeoutMs - Date.now()) / 1000));
+
+/**
+ * Decide whether a call may go through. An open circuit moves to half-open once
+ * the reset timeout has passed, and then lets exactly one trial request through.
+ */
+function acquire() {
+  if (circuit.state === 'open') {
+    if (Date.now() - circuit.openedAt < settings.resetTimeoutMs) {
+      throw new UpstreamError('Python service is temporarily unavailable. Please retry shortly.', {
+        status: 503,
+        code: 'CIRCUIT_OPEN',
+        retryAfter: retryAfterSeconds()
+      });
+    }
+    circuit.state = 'half-open';
+    logger.warn('Python service circuit half-open: sending a trial request');
+  }
+
+  if (circuit.state === 'half-open') {
+    if (circuit.trialInFlight) {
+      throw new UpstreamError('Python service is recovering. Please retry shortly.', {
+        status: 503,
+        code: 'CIRCUIT_OPEN',
+        retryAfter: 1
+      });
+    }
+    circuit.trialInFlight = true;
+  }
+}
+
+function recordSuccess() {
+  if (circuit.state !== 'closed') {
+    logger.info('Python service circuit closed');
+  }
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.trialInFlight = false;
+}
+
+function recordFailure(error) {
+  circuit.trialInFlight = false;
+  circuit.lastFailure = { message: error.message, at: new Date().toISOString() };
+  circuit.consecutiveFailures++;
+
+  if (circuit.state === 'half-open' || circuit.consecutiveFailures >= settings.failureThreshold) {
+    if (circuit.state !== 'open') {
+      logger.error(`Python service circuit opened after ${circuit.consecutiveFailures} consecutive failures`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// Forward the caller's correlation ID so Flask logs can be matched to gateway logs
+const correlationHeaders = () => {
+  const { requestId } = requestContext.get();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+};
+
+/**
+ * Send a request to the Python service. Idempotent calls are retried with
+ * exponential backoff on connection errors and 502/503/504; timeouts are not
+ * retried so a slow service is not sent even more work.
+ */
+async function request({ method = 'get', path, data, params, timeout, idempotent = method === 'get' }) {
+  if (!settings.baseUrl) {
+    throw new Error('Python client used before configure()');
+  }
+
+  const attempts = idempotent ? settings.retries + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    acquire();
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${settings.baseUrl}${path}`,
+        data,
+        params,
+        timeout,
+        headers: {
+          ...correlationHeaders(),
+          ...(data && { 'Content-Type': 'application/json' })
+        }
+      });
+      recordSuccess();
+      metrics.recordUpstream({ path, model: params?.model, durationSeconds: elapsed() });
+      return response;
+    } catch (error) {
+      metrics.recordUpstream({
+        path,
+        model: params?.model,
+        durationSeconds: elapsed(),
+        status: error.response ? error.response.status : (error.code || 'ERROR'),
+        timedOut: isTimeout(error)
+      });
+
+      if (isServiceFailure(error)) {
+        recordFailure(error);
+      } else {
+        // A 4xx means the service is up and answering
+        recordSuccess();
+      }
+
+      if (attempt >= attempts || !isRetryable(error) || circuit.state === 'open') {
+        throw error;
+      }
+
+      const delay = settings.retryBaseDelayMs * 2 ** (attempt - 1);
+      logger.warn(`Retrying ${method.toUpperCase()} ${path} in ${delay}ms (attempt ${attempt + 1}/${attempts}): ${error.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+const get = (path, options = {}) => request({ ...options, method: 'get', path });
+const post = (path, data, options = {}) => request({ idempotent: false, ...options, method: 'post', path, data });
+
+/**
+ * Probe Flask's /health directly. The probe bypasses the breaker and does not
+ * affect it, so /health can report on the service even while the circuit is open.
+ */
+async function checkHealth(timeout = 2000) {
+  const started = Date.now();
+  try {
+    const { data } = await axios.get(`${settings.baseUrl}/health`, { timeout, headers: correlationHeaders() });
+    return { reachable: true, latencyMs: Date.now() - started, response: data };
+  } catch (error) {
+    return { reachable: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+function getCircuitState() {
+  return {
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    retryAfter: circuit.state === 'open' ? retryAfterSeconds() : null,
+    lastFailure: circuit.lastFailure
+  };
+}
+
+/**
+ * Map any error from a Python service call to { status, body, headers } so every
+ * route answers the same way: upstream 4xx/5xx pass through with Flask's message,
+ * an open circuit or refused connection is a 503, a timeout a 504.
+ */
+function toHttpError(error, fallbackMessage = 'Request to the Python service failed') {
+  if (error instanceof UpstreamError) {
+    return {
+      status: error.status,
+      headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {},
+      body: { success: false, error: error.message, code: error.code }
+    };
+  }
+
+  if (error.response) {
+    return {
+      status: error.response.status,
+      headers: {},
+      body: {
+        success: false,
+        error: error.response.data?.error || fallbackMessage,
+        code: 'UPSTREAM_ERROR'
+      }
+    };
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    return {
+      status: 503,
+      headers: { 'Retry-After': String(Math.ceil(settings.resetTimeoutMs / 1000)) },
+      body: {
+        success: false,
+        error: 'Python service is not running. Start the Flask server, or run the gateway with --mock-upstream for development.',
+        code: 'UPSTREAM_UNAVAILABLE'
+      }
+    };
+  }
+
+  if (isTimeout(error)) {
+    return {
+      status: 504,
+      headers: {},
+      body: { success: false, error: 'Python service timed out', code: 'UPSTREAM_TIMEOUT' }
+    };
+  }
+
+  if (error.isAxiosError) {
+    return {
+      status: 502,
+      headers: {},
+      body: { success: false, error: `${fallbackMessage}: ${error.message}`, code: 'UPSTREAM_ERROR' }
+    };
+  }
+
+  return {
+    status: 500,
+    headers: {},
+    body: { success: false, error: fallbackMessage, code: 'INTERNAL_ERROR' }
+  };
+}
+
+function sendUpstreamError(res, error, fallbackMessage) {
+  const { status, headers, body } = toHttpError(error, fallbackMessage);
+  logger.error(`${fallbackMessage}:`, error.message);
+  res.set(headers).status(status).json(body);
+}
+
+module.exports = {
+  UpstreamError,
+  configure,
+  request,
+  get,
+  post,
+  checkHealth,
+  getCircuitState,
+  toHttpError,
+  sendUpstreamError
+};
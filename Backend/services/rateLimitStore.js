@@ -0,0 +1,61 @@
+// Token buckets for the rate limiter. A store only has to implement
+//   consume(key, { capacity, windowMs }) -> Promise<{ allowed, remaining, resetMs, retryAfterMs }>
+// and may implement close(). The in-memory store below keeps buckets per process;
+// a shared store (e.g. Redis) can be dropped in for multi-instance deployments
+// as long as it refills and takes tokens atomically.
+
+/**
+ * Buckets hold up to `capacity` tokens and refill continuously, reaching full
+ * again `windowMs` after being emptied. Each request takes one token.
+ */
+function createMemoryStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const buckets = new Map();
+
+  const refill = (bucket, { capacity, windowMs }, now) => {
+    const elapsed = now - bucket.updatedAt;
+    bucket.tokens = Math.min(capacity, bucket.tokens + (elapsed * capacity) / windowMs);
+    bucket.updatedAt = now;
+  };
+
+  // Full buckets carry no state worth keeping, so idle clients don't grow the map
+  const prune = () => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      refill(bucket, bucket.limits, now);
+      if (bucket.tokens >= bucket.limits.capacity) buckets.delete(key);
+    });
+  };
+
+  const timer = setInterval(prune, pruneIntervalMs);
+  timer.unref();
+
+  async function consume(key, limits) {
+    const { capacity, windowMs } = limits;
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now, limits };
+    bucket.limits = limits;
+    refill(bucket, limits, now);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    buckets.set(key, bucket);
+
+    const msPerToken = windowMs / capacity;
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil((capacity - bucket.tokens) * msPerToken),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * msPerToken)
+    };
+  }
+
+  return {
+    consume,
+    close: () => clearInterval(timer),
+    size: () => buckets.size
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
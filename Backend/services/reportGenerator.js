@@ -0,0 +1,127 @@
+const PDFDocument = require('pdfkit');
+const { PATIENT_FIELDS, FIELD_ORDER } = require('../schemas/patientSchema');
+
+// Patient risk reports rendered locally with pdfkit's built-in fonts, so no
+// external service or font files are needed.
+
+const DISCLAIMER =
+  'This report was generated by a machine learning screening tool. The results are estimates ' +
+  'based on the inputs shown and are not a diagnosis. They must be interpreted by a qualified ' +
+  'clinician together with the patient\'s full clinical picture.';
+
+const MARGIN = 50;
+const COLORS = { text: '#111827', muted: '#6b7280', positive: '#b91c1c', negative: '#15803d', warning: '#a16207', rule: '#d1d5db' };
+
+const formatValue = (field, value) => {
+  const config = PATIENT_FIELDS[field];
+  if (config.type === 'enum') {
+    return config.options.find(option => option.value === value)?.label ?? String(value);
+  }
+  return config.unit && !config.label.includes(`(${config.unit})`) ? `${value} ${config.unit}` : String(value);
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+function rule(doc) {
+  doc.moveDown(0.5);
+  doc.strokeColor(COLORS.rule).lineWidth(0.5)
+    .moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+  doc.moveDown(0.5);
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(text);
+  rule(doc);
+}
+
+// Two-column label/value rows
+function keyValueRows(doc, rows) {
+  const labelWidth = 180;
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(label, MARGIN, y, { width: labelWidth });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(value, MARGIN + labelWidth, y);
+    doc.moveDown(0.2);
+  });
+  doc.x = MARGIN;
+}
+
+function resultBlock(doc, result) {
+  if (doc.y > doc.page.height - 140) doc.addPage();
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+    .text(`${result.displayName}  ·  ${result.model}`, MARGIN);
+
+  if (result.error) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.warning).text(`Not available: ${result.error}`);
+    doc.moveDown(0.6);
+    return;
+  }
+
+  const positive = result.prediction === 1;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .fillColor(positive ? COLORS.positive : COLORS.negative)
+    .text(`Result: ${result.label || (positive ? 'Positive' : 'Negative')}`);
+
+  if (result.probabilities) {
+    const parts = result.probabilities.map((probability, index) =>
+      `${result.classLabels?.[index] || `Class ${index}`}: ${formatPercent(probability)}`);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(`Probabilities: ${parts.join('   ')}`);
+  }
+
+  if (result.note) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.warning).text(result.note);
+  }
+
+  doc.moveDown(0.6);
+}
+
+/**
+ * Render a risk report and resolve with the PDF bytes.
+ * `results` are already-normalized rows: { displayName, model, prediction, label,
+ * probabilities, classLabels, note, error }.
+ */
+function renderReport({ patientId, input, results, predictedAt, generatedBy }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: { Title: `Patient risk report${patientId ? ` - ${patientId}` : ''}`, Creator: 'Heart Health Classification API' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const generatedAt = new Date().toISOString();
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text('Patient Risk Report');
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+      .text('Heart health classification results');
+    rule(doc);
+
+    keyValueRows(doc, [
+      ['Patient ID', patientId || 'Not recorded'],
+      ['Predictions made', predictedAt || generatedAt],
+      ['Report generated', generatedAt],
+      ['Generated by', generatedBy || 'Unknown']
+    ]);
+
+    heading(doc, 'Patient Inputs');
+    keyValueRows(doc, FIELD_ORDER.map(field => [PATIENT_FIELDS[field].label, formatValue(field, input[field])]));
+
+    heading(doc, 'Classifier Results');
+    results.forEach(result => resultBlock(doc, result));
+
+    if (doc.y > doc.page.height - 120) doc.addPage();
+    heading(doc, 'Disclaimer');
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(DISCLAIMER, { align: 'justify' });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  DISCLAIMER,
+  renderReport
+};
@@ -0,0 +1,106 @@
+const registry = require('./classifierRegistry');
+const { predictMatrix } = require('./predictionMatrix');
+const { validatePatient, PATIENT_FIELDS } = require('../schemas/patientSchema');
+const { deriveFields } = require('../../shared/derivedFields.js');
+const { summarisePrediction } = require('../utils/predictions');
+
+// Changing either of these makes the baseline's BMI stale, so it is recalculated
+const BMI_INPUTS = ['weight', 'height'];
+
+/**
+ * Apply a variant's changes to the normalized baseline record. Changes use the
+ * gateway's units (kg, cm); BMI is recalculated when weight or height changes
+ * unless the variant sets it explicitly.
+ * Returns { value, warnings } or { errors } in the schema's { field, code, message } shape.
+ */
+function applyChanges(baseline, changes) {
+  const unknown = Object.keys(changes).filter(field => !PATIENT_FIELDS[field]);
+  if (unknown.length > 0) {
+    return {
+      errors: unknown.map(field => ({ field, code: 'unknown', message: `${field} is not a patient field` }))
+    };
+  }
+
+  const merged = { ...baseline, ...changes };
+  if (BMI_INPUTS.some(field => field in changes) && !('BMI' in changes)) {
+    delete merged.BMI;
+  }
+
+  const derivation = deriveFields(merged);
+  const validation = validatePatient(derivation.value);
+  if (!validation.valid || derivation.errors.length > 0) {
+    return { errors: [...derivation.errors, ...(validation.errors || [])] };
+  }
+  return { value: validation.value, warnings: derivation.warnings };
+}
+
+/**
+ * One result per classifier, reduced to { model, prediction, label, probability,
+ * probabilities, class_labels } (or { model, error, code }) so scenarios can be
+ * compared on the positive-class probability.
+ */
+function toScenarioResults(predictions, targets) {
+  return Object.fromEntries(targets.map(({ classifier, model }) => {
+    const cell = predictions[classifier][model];
+    if (cell.error) return [classifier, cell];
+
+    const { prediction, label, probability } = summarisePrediction(cell);
+    return [classifier, {
+      model: cell.model,
+      prediction,
+      label,
+      probability,
+      probabilities: cell.probabilities,
+      class_labels: cell.class_labels
+    }];
+  }));
+}
+
+// Change in positive-class probability against the baseline, per classifier
+function deltas(results, baseline) {
+  return Object.fromEntries(Object.entries(results).map(([classifier, cell]) => {
+    const before = baseline[classifier];
+    const usable = !cell.error && !before.error && cell.probability !== null && before.probability !== null;
+    return [classifier, usable ? Math.round((cell.probability - before.probability) * 10000) / 10000 : null];
+  }));
+}
+
+// Each classifier once, with `model` where it has one and its default model otherwise
+const scenarioTargets = (classifiers, model) =>
+  classifiers.map(classifier => {
+    const entry = registry.getClassifier(classifier);
+    return { classifier, model: model && entry.models.includes(model) ? model : entry.defaultModel };
+  });
+
+/**
+ * Score a baseline and its variants against every target. Variants are scored
+ * one after another so the Python service sees at most `concurrency` calls;
+ * the baseline usually comes straight from the prediction cache.
+ */
+async function scoreScenarios(baseline, variants, targets, { concurrency, timeout }) {
+  const summary = { total: 0, succeeded: 0, failed: 0, cached: 0 };
+  const score = async (input) => {
+    const matrix = await predictMatrix(input, targets, { concurrency, timeout });
+    Object.keys(summary).forEach(key => { summary[key] += matrix.summary[key]; });
+    return toScenarioResults(matrix.predictions, targets);
+  };
+
+  const baselineResults = await score(baseline);
+  const variantResults = [];
+  for (const variant of variants) {
+    const results = await score(variant.input);
+    variantResults.push({ ...variant, results, delta: deltas(results, baselineResults) });
+  }
+
+  return {
+    baseline: { input: baseline, results: baselineResults },
+    variants: variantResults,
+    summary
+  };
+}
+
+module.exports = {
+  applyChanges,
+  scenarioTargets,
+  scoreScenarios
+};
@@ -0,0 +1,168 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const logger = require('../utils/logger');
+
+// Local user accounts persisted as a JSON file: { version, users: [...] }
+const STORE_VERSION = 1;
+const ROLES = ['admin', 'clinician', 'viewer'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+const DUMMY_HASH = bcrypt.hashSync('timing-equaliser', BCRYPT_ROUNDS);
+
+let filePath = null;
+let data = null;
+let writeQueue = Promise.resolve();
+
+// Never hand the password hash to callers outside this module
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+async function init(file) {
+  filePath = file;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read user store ${filePath}: ${error.message}`);
+    }
+    data = { version: STORE_VERSION, users: [] };
+  }
+  return data;
+}
+
+function persist() {
+  const snapshot = JSON.stringify(data, null, 2);
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    });
+  return writeQueue;
+}
+
+/**
+ * Check a username/password/role combination. Returns a list of problems,
+ * empty when the values are acceptable. Fields left undefined are skipped so
+ * the same check works for partial updates.
+ */
+function validateUserFields({ username, password, role }) {
+  const errors = [];
+  if (username !== undefined && !USERNAME_PATTERN.test(username || '')) {
+    errors.push({ field: 'username', message: 'Username must be 3-32 letters, digits, dots, dashes or underscores' });
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push({ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  return errors;
+}
+
+const findByUsername = (username) =>
+  data.users.find(user => user.username.toLowerCase() === String(username).toLowerCase()) || null;
+
+const listUsers = () => data.users.map(toPublicUser);
+
+function getUser(id) {
+  const user = data.users.find(entry => entry.id === id);
+  return user ? toPublicUser(user) : null;
+}
+
+const countAdmins = () => data.users.filter(user => user.role === 'admin').length;
+
+const ensureUsernameFree = (username) => {
+  if (findByUsername(username)) {
+    const error = new Error(`User ${username} already exists`);
+    error.code = 'USER_EXISTS';
+    throw error;
+  }
+};
+
+async function createUser({ username, password, role }) {
+  ensureUsernameFree(username);
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    role,
+    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    createdAt: new Date().toISOString()
+  };
+
+  // Checked again: a concurrent create for the same name may have finished while hashing
+  ensureUsernameFree(username);
+  data.users.push(user);
+  await persist();
+  return toPublicUser(user);
+}
+
+async function updateUser(id, { password, role }) {
+  const user = data.users.find(entry => entry.id === id);
+  if (!user) return null;
+
+  if (role !== undefined) user.role = role;
+  if (password !== undefined) user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  user.updatedAt = new Date().toISOString();
+
+  await persist();
+  return toPublicUser(user);
+}
+
+async function deleteUser(id) {
+  const remaining = data.users.filter(user => user.id !== id);
+  if (remaining.length === data.users.length) return false;
+
+  data.users = remaining;
+  await persist();
+  return true;
+}
+
+/**
+ * Resolve a username/password pair to the public user, or null. The hash
+ * comparison still runs for unknown users so timing does not reveal which
+ * usernames exist.
+ */
+async function verifyCredentials(username, password) {
+  const user = findByUsername(username || '');
+  const hash = user ? user.passwordHash : DUMMY_HASH;
+  const matches = await bcrypt.compare(String(password || ''), hash);
+  return user && matches ? toPublicUser(user) : null;
+}
+
+/**
+ * Create the first admin from environment credentials when the store is empty,
+ * so a fresh install is not locked out.
+ */
+async function ensureBootstrapAdmin(username, password) {
+  if (data.users.length > 0) return null;
+  if (!username || !password) {
+    logger.warn('⚠️  No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    return null;
+  }
+
+  const errors = validateUserFields({ username, password, role: 'admin' });
+  if (errors.length > 0) {
+    throw new Error(`Invalid bootstrap admin: ${errors.map(error => error.message).join('; ')}`);
+  }
+  return createUser({ username, password, role: 'admin' });
+}
+
+module.exports = {
+  ROLES,
+  init,
+  validateUserFields,
+  listUsers,
+  getUser,
+  countAdmins,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials,
+  ensureBootstrapAdmin
+};
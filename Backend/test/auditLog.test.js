@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../services/auditLog');
+const logger = require('../utils/logger');
+
+test('recording before init() logs the dropped entry instead of rejecting', async (t) => {
+  const logged = t.mock.method(logger, 'error', () => {});
+
+  await audit.record({ user: null }, 'predict', { classifier: 'BP_Class' });
+
+  assert.equal(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[0], /before init\(\)/);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCohort, toResultsCsv } = require('../services/cohortParser');
+
+const cohortWith = (patientIds) => ({
+  fields: ['age'],
+  targets: [{ classifier: 'BP_Class', model: 'RandomForest' }],
+  results: patientIds.map((patientId, index) => ({
+    row: index + 2,
+    patientId,
+    input: { age: -1 },
+    predictions: { BP_Class: { RandomForest: { label: 'Normal', probability: 0.25 } } },
+    errors: []
+  }))
+});
+
+test('uploaded patient IDs that a spreadsheet would run as formulas are written as text', () => {
+  const upload = 'patient_id,age\n=1+2,45\n+1+1,45\n-2,45\n@SUM(A1),45\nP-1,45\n';
+  const { rows } = parseCohort(upload, 'text/csv');
+  const patientIds = rows.map(row => row.patientId);
+
+  const [, ...lines] = parseCsv(toResultsCsv(cohortWith(patientIds)));
+
+  assert.deepEqual(lines.map(cells => cells[1]), [
+    '\'=1+2',
+    '\'+1+1',
+    '\'-2',
+    '\'@SUM(A1)',
+    'P-1'
+  ]);
+  // Numbers the gateway produced are left alone
+  assert.deepEqual(lines[0].slice(2), ['-1', 'Normal', '0.25', '']);
+});
+
+test('a leading tab or carriage return, e.g. from JSON lines, is neutralised too', () => {
+  const [, ...lines] = parseCsv(toResultsCsv(cohortWith(['\tcmd', '\r=1'])));
+
+  assert.deepEqual(lines.map(cells => cells[1]), ['\'\tcmd', '\'\r=1']);
+});
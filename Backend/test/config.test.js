@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, loadConfig } = require('../config');
+
+test('sizes and the token lifetime are parsed at load time', () => {
+  const config = loadConfig({ MAX_BODY_SIZE: '10kb', COHORT_MAX_UPLOAD_SIZE: '2mb', JWT_EXPIRES_IN: '30m' }, []);
+
+  assert.equal(config.maxBodySize, 10 * 1024);
+  assert.equal(config.cohort.maxUploadSize, 2 * 1024 * 1024);
+  assert.equal(config.auth.jwtExpiresIn, '30m');
+});
+
+test('unparseable sizes and durations fail fast instead of lifting the limit', () => {
+  assert.throws(
+    () => loadConfig({ MAX_BODY_SIZE: 'abc', COHORT_MAX_UPLOAD_SIZE: '0', JWT_EXPIRES_IN: 'soon' }, []),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.deepEqual(error.problems.map(problem => problem.split(' ')[0]), ['MAX_BODY_SIZE', 'COHORT_MAX_UPLOAD_SIZE', 'JWT_EXPIRES_IN']);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,271 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { startMockPythonService } = require('../mock/pythonService');
+
+// Contract test: start the gateway against a fake Python service, call every
+// documented operation and check each response against /api/openapi.json.
+// A response whose status or body isn't described by the spec fails the test.
+
+const MODELS = ['GradientBoosting', 'LogisticRegression', 'RandomForest'];
+const CLASSIFIERS = { BP_Class: MODELS, Diabetes_Class: MODELS, Broken_Class: MODELS };
+
+const PATIENT = {
+  age: 45, sex: 1, weight: 80, height: 175, smoking: 0,
+  alcohol_consumption: 1, physical_activity: 2, family_history: 0, cholesterol_medication: 0
+};
+
+// The mock Python service, with one extra classifier that fails every prediction
+// and comparisons slow enough that a background job can be cancelled mid-run
+const startFakeUpstream = () => startMockPythonService({
+  classifiers: CLASSIFIERS,
+  defaultModels: Object.fromEntries(Object.keys(CLASSIFIERS).map(key => [key, MODELS[0]])),
+  faults: [
+    { route: 'predict', classifier: 'Broken_Class', status: 500, error: 'Prediction failed: model exploded' },
+    { route: 'compare-models', latencyMs: 200 }
+  ]
+});
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+async function waitForHealth(baseUrl, gateway, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (gateway.exitCode !== null) throw new Error(`Gateway exited with code ${gateway.exitCode}`);
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Gateway did not start in time');
+}
+
+let upstream;
+let gateway;
+let dataDir;
+let baseUrl;
+let spec;
+let ajv;
+let token;
+const exercised = new Set();
+
+before(async () => {
+  upstream = await startFakeUpstream();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-contract-'));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  gateway = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PYTHON_SERVICE_URL: upstream.url,
+      DATA_DIR: dataDir,
+      ADMIN_USERNAME: 'admin',
+      ADMIN_PASSWORD: 'contract-test-password',
+      JWT_SECRET: 'contract-test-secret-that-is-long-enough',
+      UPSTREAM_RETRIES: '0',
+      RATE_LIMIT_ENABLED: 'false',
+      PREDICTION_CACHE_ENABLED: 'false',
+      LOG_LEVEL: 'error'
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  await waitForHealth(baseUrl, gateway);
+
+  spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+  ajv = new Ajv2020({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addSchema(spec, 'openapi');
+
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'contract-test-password' })
+  });
+  token = (await login.json()).token;
+});
+
+after(async () => {
+  if (gateway && gateway.exitCode === null) {
+    const exited = new Promise(resolve => gateway.once('exit', resolve));
+    gateway.kill();
+    await exited;
+  }
+  if (upstream) await upstream.close();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// JSON pointer escaping for a path template like /api/predict/{classifier}
+const pointer = (...segments) => segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+/**
+ * Call one documented operation and assert the response matches the spec.
+ * `template` is the spec path; `url` the concrete one to request.
+ */
+async function expectContract({ method, template, url = template, body, auth = true, status }) {
+  const operation = spec.paths[template]?.[method];
+  assert.ok(operation, `${method.toUpperCase()} ${template} is not in the spec`);
+
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (auth) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method: method.toUpperCase(),
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const payload = await response.json();
+
+  assert.equal(response.status, status, `${method.toUpperCase()} ${url} returned ${response.status}: ${JSON.stringify(payload)}`);
+  assert.ok(operation.responses[status], `${method.toUpperCase()} ${template} returned ${status}, which the spec does not document`);
+
+  const schemaRef = `openapi#/${pointer('paths', template, method, 'responses', status, 'content', 'application/json', 'schema')}`;
+  const validate = ajv.getSchema(schemaRef);
+  assert.ok(validate, `No JSON schema for ${status} on ${method.toUpperCase()} ${template}`);
+  assert.ok(validate(payload), `${method.toUpperCase()} ${url} ${status} drifted from the spec: ${ajv.errorsText(validate.errors)}`);
+
+  exercised.add(`${method} ${template}`);
+  return payload;
+}
+
+test('the spec is a valid OpenAPI 3.1 document listing the live classifiers', () => {
+  assert.equal(spec.openapi, '3.1.0');
+  const param = spec.paths['/api/predict/{classifier}'].post.parameters.find(p => p.name === 'classifier');
+  assert.deepEqual(param.schema.enum.sort(), Object.keys(CLASSIFIERS).sort());
+});
+
+test('health and auth', async () => {
+  await expectContract({ method: 'get', template: '/health', auth: false, status: 200 });
+  await expectContract({ method: 'post', template: '/api/auth/login', auth: false, status: 400, body: {} });
+  await expectContract({
+    method: 'post', template: '/api/auth/login', auth: false, status: 401,
+    body: { username: 'admin', password: 'wrong-password' }
+  });
+  await expectContract({
+    method: 'post', template: '/api/auth/login', auth: false, status: 200,
+    body: { username: 'admin', password: 'contract-test-password' }
+  });
+});
+
+test('metadata routes', async () => {
+  await expectContract({ method: 'get', template: '/api/classifiers', status: 200 });
+  await expectContract({ method: 'get', template: '/api/classifiers', auth: false, status: 401 });
+  await expectContract({ method: 'get', template: '/api/schema', status: 200 });
+  await expectContract({ method: 'get', template: '/api/model-info/{classifier}', url: '/api/model-info/BP_Class?model=RandomForest', status: 200 });
+  await expectContract({ method: 'get', template: '/api/model-info/{classifier}', url: '/api/model-info/Nope_Class', status: 400 });
+});
+
+test('single predictions', async () => {
+  const template = '/api/predict/{classifier}';
+  const result = await expectContract({ method: 'post', template, url: '/api/predict/BP_Class', body: PATIENT, status: 200 });
+  assert.equal(result.input.BMI, 26.1);
+
+  await expectContract({ method: 'post', template, url: '/api/predict/BP_Class?model=Nope', body: PATIENT, status: 400 });
+  await expectContract({ method: 'post', template, url: '/api/predict/BP_Class', body: { ...PATIENT, age: 500 }, status: 422 });
+  await expectContract({ method: 'post', template, url: '/api/predict/Broken_Class', body: PATIENT, status: 500 });
+});
+
+test('multi-model predictions', async () => {
+  const all = await expectContract({ method: 'post', template: '/api/predict-all', body: PATIENT, status: 200 });
+  assert.ok(all.predictions.Broken_Class.GradientBoosting.error);
+
+  await expectContract({ method: 'post', template: '/api/compare-models/{classifier}', url: '/api/compare-models/Diabetes_Class', body: PATIENT, status: 200 });
+  await expectContract({ method: 'post', template: '/api/ensemble/{classifier}', url: '/api/ensemble/BP_Class?strategy=majority', body: PATIENT, status: 200 });
+  await expectContract({ method: 'post', template: '/api/ensemble/{classifier}', url: '/api/ensemble/BP_Class?strategy=median', body: PATIENT, status: 400 });
+  await expectContract({ method: 'post', template: '/api/explain/{classifier}', url: '/api/explain/BP_Class', body: PATIENT, status: 200 });
+});
+
+// Poll a job until it leaves queued/running
+async function waitForJob(id, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const { job } = await expectContract({ method: 'get', template: '/api/jobs/{jobId}', url: `/api/jobs/${id}`, status: 200 });
+    if (!['queued', 'running'].includes(job.status)) return job;
+    assert.ok(Date.now() < deadline, `Job ${id} still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('background jobs', async () => {
+  const submitted = await expectContract({ method: 'post', template: '/api/jobs/predict-all', body: PATIENT, status: 202 });
+  const done = await waitForJob(submitted.job.id);
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.progress.completed, done.progress.total);
+  assert.ok(done.result.predictions.BP_Class.RandomForest.prediction);
+
+  await expectContract({ method: 'post', template: '/api/jobs/{jobId}/cancel', url: `/api/jobs/${done.id}/cancel`, status: 409 });
+  await expectContract({ method: 'post', template: '/api/jobs/predict-all', body: { ...PATIENT, age: 500 }, status: 422 });
+
+  const comparison = await expectContract({ method: 'post', template: '/api/jobs/compare-models/{classifier}', url: '/api/jobs/compare-models/BP_Class', body: PATIENT, status: 202 });
+  const cancelled = await expectContract({ method: 'post', template: '/api/jobs/{jobId}/cancel', url: `/api/jobs/${comparison.job.id}/cancel`, status: 200 });
+  assert.equal(cancelled.job.status, 'cancelled');
+  await expectContract({ method: 'post', template: '/api/jobs/compare-models/{classifier}', url: '/api/jobs/compare-models/Nope_Class', body: PATIENT, status: 400 });
+
+  const listed = await expectContract({ method: 'get', template: '/api/jobs', url: '/api/jobs?status=cancelled', status: 200 });
+  assert.deepEqual(listed.jobs.map(job => job.id), [comparison.job.id]);
+  await expectContract({ method: 'get', template: '/api/jobs', url: '/api/jobs?limit=0', status: 400 });
+  await expectContract({ method: 'get', template: '/api/jobs/{jobId}', url: '/api/jobs/not-a-job', status: 404 });
+});
+
+test('v1 metadata routes', async () => {
+  const listed = await expectContract({ method: 'get', template: '/api/v1/classifiers', status: 200 });
+  assert.deepEqual(listed.data.classifiers.map(entry => entry.key).sort(), Object.keys(CLASSIFIERS).sort());
+
+  const denied = await expectContract({ method: 'get', template: '/api/v1/classifiers', auth: false, status: 401 });
+  assert.equal(denied.error.code, 'UNAUTHENTICATED');
+
+  await expectContract({ method: 'get', template: '/api/v1/schema', status: 200 });
+  const info = await expectContract({ method: 'get', template: '/api/v1/model-info/{classifier}', url: '/api/v1/model-info/BP_Class?model=RandomForest', status: 200 });
+  assert.equal(info.data.model, 'RandomForest');
+  await expectContract({ method: 'get', template: '/api/v1/model-info/{classifier}', url: '/api/v1/model-info/Nope_Class', status: 400 });
+});
+
+test('v1 predictions use typed envelopes', async () => {
+  const template = '/api/v1/predict/{classifier}';
+  const result = await expectContract({ method: 'post', template, url: '/api/v1/predict/BP_Class', body: PATIENT, status: 200 });
+  assert.equal(result.apiVersion, 'v1');
+  assert.equal(result.data.label, result.data.prediction === 1 ? 'Positive' : 'Negative');
+  assert.equal(result.data.probabilities.Positive, result.data.positiveProbability);
+  assert.ok(result.meta.requestId);
+
+  const invalid = await expectContract({ method: 'post', template, url: '/api/v1/predict/BP_Class', body: { ...PATIENT, age: 500 }, status: 422 });
+  assert.equal(invalid.error.code, 'VALIDATION_FAILED');
+  assert.equal(invalid.error.details[0].field, 'age');
+
+  const failed = await expectContract({ method: 'post', template, url: '/api/v1/predict/Broken_Class', body: PATIENT, status: 500 });
+  assert.equal(failed.error.code, 'UPSTREAM_ERROR');
+
+  const all = await expectContract({ method: 'post', template: '/api/v1/predict-all', body: PATIENT, status: 200 });
+  assert.equal(all.data.results.length, Object.values(CLASSIFIERS).flat().length);
+  assert.ok(all.data.results.filter(cell => cell.classifier === 'Broken_Class').every(cell => cell.status === 'error'));
+
+  await expectContract({ method: 'post', template: '/api/v1/compare-models/{classifier}', url: '/api/v1/compare-models/Diabetes_Class', body: PATIENT, status: 200 });
+  await expectContract({ method: 'post', template: '/api/v1/ensemble/{classifier}', url: '/api/v1/ensemble/BP_Class', body: PATIENT, status: 200 });
+  await expectContract({ method: 'post', template: '/api/v1/ensemble/{classifier}', url: '/api/v1/ensemble/BP_Class?strategy=median', body: PATIENT, status: 400 });
+});
+
+test('every documented operation is exercised', () => {
+  const documented = Object.entries(spec.paths)
+    .flatMap(([template, operations]) => Object.keys(operations).map(method => `${method} ${template}`));
+  assert.deepEqual(documented.filter(operation => !exercised.has(operation)), []);
+});
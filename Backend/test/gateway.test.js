@@ -0,0 +1,434 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig } = require('../config');
+const logger = require('../utils/logger');
+const users = require('../services/userStore');
+const { createApp, init, shutdown } = require('../app');
+const { startMockPythonService } = require('../mock/pythonService');
+
+// Integration tests: the gateway app runs in this process against the mock
+// Python service, and each test drives it over HTTP. Upstream failures are
+// injected per test with upstream.configure().
+
+const PATIENT = {
+  age: 45, sex: 1, weight: 80, height: 175, smoking: 0,
+  alcohol_consumption: 1, physical_activity: 2, family_history: 0, cholesterol_medication: 0
+};
+
+const UPSTREAM_TIMEOUT_MS = 300;
+
+let upstream;
+let upstreamPort;
+let server;
+let baseUrl;
+let dataDir;
+let token;
+
+async function api(method, url, { body, auth = token, headers = {} } = {}) {
+  const requestHeaders = { ...headers };
+  if (auth) requestHeaders.Authorization = `Bearer ${auth}`;
+  if (body !== undefined && !requestHeaders['Content-Type']) requestHeaders['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: requestHeaders,
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  const payload = type.includes('json') ? await response.json() : await response.text();
+  return { status: response.status, headers: response.headers, body: payload };
+}
+
+// Assert a status, showing the body when it doesn't match
+function expectStatus(response, status) {
+  assert.equal(response.status, status, `expected ${status}, got ${response.status}: ${JSON.stringify(response.body)}`);
+  return response.body;
+}
+
+async function login(username, password) {
+  const { body } = await api('POST', '/api/auth/login', { body: { username, password }, auth: null });
+  return body.token;
+}
+
+before(async () => {
+  upstream = await startMockPythonService();
+  upstreamPort = new URL(upstream.url).port;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-integration-'));
+
+  const config = loadConfig({
+    PYTHON_SERVICE_URL: upstream.url,
+    DATA_DIR: dataDir,
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'integration-password',
+    JWT_SECRET: 'integration-test-secret-that-is-long-enough',
+    PREDICT_TIMEOUT_MS: String(UPSTREAM_TIMEOUT_MS),
+    MODEL_INFO_TIMEOUT_MS: String(UPSTREAM_TIMEOUT_MS),
+    UPSTREAM_RETRIES: '0',
+    CIRCUIT_FAILURE_THRESHOLD: '1000',
+    RATE_LIMIT_ENABLED: 'false',
+    PREDICTION_CACHE_ENABLED: 'false',
+    REGISTRY_REFRESH_MS: '0',
+    MAX_BODY_SIZE: '10kb',
+    LOG_LEVEL: 'error'
+  }, []);
+  logger.setLevel(config.logLevel);
+
+  const app = createApp(config);
+  await init(config);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  token = await login('admin', 'integration-password');
+});
+
+after(async () => {
+  if (server) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  await shutdown();
+  if (upstream) await upstream.close();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  upstream.reset();
+});
+
+test('health, metrics and API docs are served without a token', async () => {
+  const health = expectStatus(await api('GET', '/health', { auth: null }), 200);
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.upstream.url, upstream.url);
+
+  const metrics = expectStatus(await api('GET', '/metrics', { auth: null }), 200);
+  assert.match(metrics, /gateway_http_requests_total/);
+
+  const spec = expectStatus(await api('GET', '/api/openapi.json', { auth: null }), 200);
+  assert.equal(spec.openapi, '3.1.0');
+  expectStatus(await api('GET', '/api/docs', { auth: null }), 200);
+});
+
+test('authentication and permissions', async () => {
+  expectStatus(await api('POST', '/api/auth/login', { body: {}, auth: null }), 400);
+  expectStatus(await api('POST', '/api/auth/login', { body: { username: 'admin', password: 'wrong-password' }, auth: null }), 401);
+
+  const me = expectStatus(await api('GET', '/api/auth/me'), 200);
+  assert.equal(me.user.username, 'admin');
+
+  assert.equal(expectStatus(await api('GET', '/api/classifiers', { auth: null }), 401).error, 'Authentication required');
+  assert.equal(expectStatus(await api('GET', '/api/classifiers', { auth: 'not-a-token' }), 401).error, 'Invalid token');
+
+  expectStatus(await api('POST', '/api/users', { body: { username: 'reader', password: 'reader-password', role: 'viewer' } }), 201);
+  const viewer = await login('reader', 'reader-password');
+  expectStatus(await api('GET', '/api/classifiers', { auth: viewer }), 200);
+  expectStatus(await api('POST', '/api/predict/BP_Class', { body: PATIENT, auth: viewer }), 403);
+  expectStatus(await api('GET', '/api/users', { auth: viewer }), 403);
+});
+
+test('metadata routes', async () => {
+  const { classifiers } = expectStatus(await api('GET', '/api/classifiers'), 200);
+  assert.deepEqual(Object.keys(classifiers), ['BP_Class', 'Diabetes_Class', 'Dyslipidemia_Class']);
+
+  const { schema } = expectStatus(await api('GET', '/api/schema'), 200);
+  assert.ok(schema.fields.age);
+
+  const info = expectStatus(await api('GET', '/api/model-info/BP_Class?model=RandomForest'), 200);
+  assert.equal(info.model_type, 'RandomForest');
+
+  const v1 = expectStatus(await api('GET', '/api/v1/classifiers'), 200);
+  assert.equal(v1.apiVersion, 'v1');
+
+  const refreshed = expectStatus(await api('POST', '/api/classifiers/refresh'), 200);
+  assert.equal(refreshed.count, 3);
+});
+
+test('prediction routes succeed against the upstream', async () => {
+  const single = expectStatus(await api('POST', '/api/predict/BP_Class?patientId=p-100', { body: PATIENT }), 200);
+  assert.equal(single.classifier, 'BP_Class');
+  assert.equal(single.input.BMI, 26.1);
+  assert.ok(single.recordId);
+
+  const all = expectStatus(await api('POST', '/api/predict-all', { body: PATIENT }), 200);
+  assert.deepEqual(Object.keys(all.predictions.BP_Class), ['GradientBoosting', 'LogisticRegression', 'RandomForest']);
+
+  const compared = expectStatus(await api('POST', '/api/compare-models/Diabetes_Class', { body: PATIENT }), 200);
+  assert.equal(Object.keys(compared.models).length, 3);
+
+  const ensemble = expectStatus(await api('POST', '/api/ensemble/BP_Class?strategy=majority', { body: PATIENT }), 200);
+  assert.equal(ensemble.strategy, 'majority');
+
+  expectStatus(await api('POST', '/api/explain/BP_Class', { body: PATIENT }), 200);
+
+  const scenarios = expectStatus(await api('POST', '/api/scenarios', {
+    body: { baseline: PATIENT, variants: [{ label: 'Quit smoking', changes: { smoking: 0 } }] }
+  }), 200);
+  assert.equal(scenarios.success, true);
+
+  const v1 = expectStatus(await api('POST', '/api/v1/predict/BP_Class', { body: PATIENT }), 200);
+  assert.equal(v1.data.classifier, 'BP_Class');
+
+  const forwarded = upstream.calls().filter(call => call.route === 'predict' && call.classifier === 'BP_Class');
+  assert.ok(forwarded.length >= 2);
+});
+
+test('history, reports, cohorts and jobs', async () => {
+  expectStatus(await api('POST', '/api/predict/Diabetes_Class?patientId=p-200', { body: PATIENT }), 200);
+
+  const { patients } = expectStatus(await api('GET', '/api/patients'), 200);
+  assert.ok(patients.some(patient => patient.patientId === 'p-200'));
+  const { records } = expectStatus(await api('GET', '/api/patients/p-200/history'), 200);
+  expectStatus(await api('GET', `/api/patients/p-200/history/${records[0].id}`), 200);
+  expectStatus(await api('DELETE', `/api/patients/p-200/history/${records[0].id}`), 200);
+  expectStatus(await api('GET', '/api/patients/bad%20id/history'), 400);
+
+  const { recordId } = expectStatus(await api('POST', '/api/predict/BP_Class?patientId=p-200', { body: PATIENT }), 200);
+  const report = await api('POST', '/api/reports', { body: { patientId: 'p-200', recordIds: [recordId] } });
+  expectStatus(report, 200);
+  assert.equal(report.headers.get('content-type'), 'application/pdf');
+
+  const rescored = await api('POST', '/api/reports', {
+    body: { input: PATIENT, targets: [{ classifier: 'BP_Class', model: 'GradientBoosting' }, { classifier: 'Diabetes_Class', model: 'Ensemble', strategy: 'mean' }] }
+  });
+  expectStatus(rescored, 200);
+  assert.equal(rescored.headers.get('content-type'), 'application/pdf');
+
+  // Reports are built from the gateway's own results, so client-supplied ones are never rendered
+  const forged = expectStatus(await api('POST', '/api/reports', {
+    body: { input: PATIENT, results: [{ classifier: 'BP_Class', model: 'GradientBoosting', prediction: [0], probabilities: [[0.99, 0.01]] }] }
+  }), 422);
+  assert.ok(forged.details.some(problem => problem.field === 'targets'));
+  expectStatus(await api('POST', '/api/reports', { body: { patientId: 'p-201', recordIds: [recordId] } }), 422);
+
+  const { entries: [generated] } = expectStatus(await api('GET', '/api/audit?action=report.generate&limit=2'), 200);
+  assert.equal(generated.source, 'rescored');
+  assert.deepEqual(generated.results.map(row => row.model), ['GradientBoosting', 'Ensemble (mean)']);
+  assert.equal(typeof generated.results[0].probability, 'number');
+
+  const csv = `${Object.keys(PATIENT).join(',')}\n${Object.values(PATIENT).join(',')}\n`;
+  const cohort = expectStatus(await api('POST', '/api/cohort/predict', { body: csv, headers: { 'Content-Type': 'text/csv' } }), 200);
+  assert.equal(cohort.summary.scored, 1);
+  const download = expectStatus(await api('GET', cohort.downloadUrl), 200);
+  assert.match(download, /BP_Class/);
+
+  const submitted = expectStatus(await api('POST', '/api/jobs/predict-all', { body: PATIENT }), 202);
+  let job = submitted.job;
+  for (let attempt = 0; attempt < 50 && ['queued', 'running'].includes(job.status); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    job = expectStatus(await api('GET', `/api/jobs/${job.id}`), 200).job;
+  }
+  assert.equal(job.status, 'succeeded');
+  expectStatus(await api('GET', '/api/jobs'), 200);
+});
+
+test('cohort results are private to the uploader and admins', async () => {
+  for (const username of ['cohort-owner', 'cohort-other']) {
+    expectStatus(await api('POST', '/api/users', { body: { username, password: `${username}-password`, role: 'clinician' } }), 201);
+  }
+  const owner = await login('cohort-owner', 'cohort-owner-password');
+  const other = await login('cohort-other', 'cohort-other-password');
+
+  const csv = `${Object.keys(PATIENT).join(',')}\n${Object.values(PATIENT).join(',')}\n`;
+  const { downloadUrl } = expectStatus(await api('POST', '/api/cohort/predict', {
+    body: csv, headers: { 'Content-Type': 'text/csv' }, auth: owner
+  }), 200);
+
+  expectStatus(await api('GET', downloadUrl, { auth: owner }), 200);
+  expectStatus(await api('GET', downloadUrl), 200);
+  expectStatus(await api('GET', downloadUrl, { auth: other }), 404);
+});
+
+test('cohort scoring stops calling upstream once the client disconnects', async () => {
+  upstream.configure({ latencyMs: 50 });
+  const csv = [Object.keys(PATIENT).join(','), ...Array(40).fill(Object.values(PATIENT).join(','))].join('\n');
+  const controller = new AbortController();
+
+  const response = await fetch(`${baseUrl}/api/cohort/predict`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/csv', Accept: 'application/x-ndjson' },
+    body: csv,
+    signal: controller.signal
+  });
+  await response.body.getReader().read();
+  controller.abort();
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const called = upstream.calls().filter(call => call.route === 'predict').length;
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  // 40 rows × 3 classifiers would take ~1.5s at 4 calls in flight
+  assert.ok(called < 40 * 3, `${called} upstream calls`);
+  assert.equal(upstream.calls().filter(call => call.route === 'predict').length, called);
+});
+
+test('admin routes', async () => {
+  expectStatus(await api('GET', '/api/cache'), 200);
+  expectStatus(await api('DELETE', '/api/cache'), 200);
+
+  const system = expectStatus(await api('GET', '/api/system/metrics'), 200);
+  assert.equal(system.circuit.state, 'closed');
+
+  const audit = expectStatus(await api('GET', '/api/audit?action=predict'), 200);
+  assert.ok(audit.entries.length > 0);
+
+  const { users: list } = expectStatus(await api('GET', '/api/users'), 200);
+  const reader = list.find(user => user.username === 'reader');
+  assert.ok(reader, 'created by the authentication test');
+  expectStatus(await api('PATCH', `/api/users/${reader.id}`, { body: { role: 'clinician' } }), 200);
+  expectStatus(await api('DELETE', `/api/users/${reader.id}`), 200);
+});
+
+test('invalid patient input is rejected before reaching the upstream', async () => {
+  const invalid = expectStatus(await api('POST', '/api/predict/BP_Class', { body: { ...PATIENT, age: 500 } }), 422);
+  assert.equal(invalid.details[0].field, 'age');
+
+  const { age, ...withoutAge } = PATIENT;
+  assert.ok(age);
+  const missing = expectStatus(await api('POST', '/api/predict-all', { body: withoutAge }), 422);
+  assert.ok(missing.details.some(problem => problem.field === 'age'));
+
+  expectStatus(await api('POST', '/api/predict/BP_Class?patientId=not%20valid', { body: PATIENT }), 400);
+  expectStatus(await api('POST', '/api/scenarios', { body: { baseline: PATIENT, variants: [] } }), 422);
+  expectStatus(await api('POST', '/api/reports', { body: { input: PATIENT, results: [] } }), 422);
+  expectStatus(await api('POST', '/api/cohort/predict', { body: '', headers: { 'Content-Type': 'text/csv' } }), 400);
+
+  const v1 = expectStatus(await api('POST', '/api/v1/predict/BP_Class', { body: { ...PATIENT, age: 500 } }), 422);
+  assert.equal(v1.error.code, 'VALIDATION_FAILED');
+
+  assert.deepEqual(upstream.calls().filter(call => call.route !== 'classifiers'), []);
+});
+
+test('unknown classifiers and models are rejected', async () => {
+  const routes = [
+    ['POST', '/api/predict/Nope_Class'],
+    ['POST', '/api/compare-models/Nope_Class'],
+    ['POST', '/api/ensemble/Nope_Class'],
+    ['POST', '/api/explain/Nope_Class'],
+    ['POST', '/api/jobs/compare-models/Nope_Class'],
+    ['GET', '/api/model-info/Nope_Class']
+  ];
+  for (const [method, url] of routes) {
+    const body = expectStatus(await api(method, url, { body: method === 'POST' ? PATIENT : undefined }), 400);
+    assert.match(body.error, /^Invalid classifier/, `${method} ${url}`);
+  }
+
+  const model = expectStatus(await api('POST', '/api/predict/BP_Class?model=Nope', { body: PATIENT }), 400);
+  assert.match(model.error, /^Invalid model type/);
+  expectStatus(await api('GET', '/api/model-info/BP_Class?model=Nope'), 400);
+  expectStatus(await api('POST', '/api/cohort/predict?classifiers=Nope_Class', {
+    body: `${Object.keys(PATIENT).join(',')}\n${Object.values(PATIENT).join(',')}\n`,
+    headers: { 'Content-Type': 'text/csv' }
+  }), 400);
+
+  const v1 = expectStatus(await api('POST', '/api/v1/predict/Nope_Class', { body: PATIENT }), 400);
+  assert.equal(v1.error.code, 'INVALID_REQUEST');
+});
+
+test('Object.prototype names are not classifiers', async () => {
+  for (const name of ['constructor', '__proto__', 'toString']) {
+    for (const url of [`/api/predict/${name}`, `/api/predict/${name}?model=RandomForest`, `/api/explain/${name}`]) {
+      assert.match(expectStatus(await api('POST', url, { body: PATIENT }), 400).error, /^Invalid classifier/, url);
+    }
+    expectStatus(await api('POST', '/api/scenarios', {
+      body: { baseline: PATIENT, variants: [{ label: 'Quit smoking', changes: { smoking: 0 } }], classifiers: [name] }
+    }), 400);
+    expectStatus(await api('POST', '/api/reports', {
+      body: { input: PATIENT, targets: [{ classifier: name, model: 'RandomForest' }] }
+    }), 422);
+    expectStatus(await api('POST', `/api/cohort/predict?classifiers=${name}`, {
+      body: `${Object.keys(PATIENT).join(',')}\n${Object.values(PATIENT).join(',')}\n`,
+      headers: { 'Content-Type': 'text/csv' }
+    }), 400);
+  }
+
+  assert.deepEqual(upstream.calls().filter(call => call.route === 'predict'), []);
+});
+
+test('upstream 4xx and 5xx responses are passed through', async () => {
+  upstream.configure({
+    faults: [
+      { route: 'predict', classifier: 'BP_Class', status: 400, error: 'columns are missing: {\'BMI\'}' },
+      { route: 'predict', classifier: 'Diabetes_Class', status: 500, error: 'Prediction failed: model exploded' },
+      { route: 'model-info', status: 404, error: 'Model not found' }
+    ]
+  });
+
+  const badRequest = expectStatus(await api('POST', '/api/predict/BP_Class', { body: PATIENT }), 400);
+  assert.equal(badRequest.error, 'columns are missing: {\'BMI\'}');
+  assert.equal(badRequest.code, 'UPSTREAM_ERROR');
+
+  const failed = expectStatus(await api('POST', '/api/predict/Diabetes_Class', { body: PATIENT }), 500);
+  assert.equal(failed.error, 'Prediction failed: model exploded');
+
+  expectStatus(await api('GET', '/api/model-info/BP_Class'), 404);
+
+  // predict-all reports failed cells instead of failing the request
+  const all = expectStatus(await api('POST', '/api/predict-all', { body: PATIENT }), 200);
+  assert.equal(all.predictions.Diabetes_Class.GradientBoosting.error, 'Prediction failed: model exploded');
+  assert.ok(all.predictions.Dyslipidemia_Class.GradientBoosting.prediction);
+
+  const v1 = expectStatus(await api('POST', '/api/v1/predict/Diabetes_Class', { body: PATIENT }), 500);
+  assert.equal(v1.error.code, 'UPSTREAM_ERROR');
+});
+
+test('upstream timeouts answer 504', async () => {
+  upstream.configure({ faults: [{ route: 'predict', timeout: true }, { route: 'model-info', latencyMs: UPSTREAM_TIMEOUT_MS * 3 }] });
+
+  const started = Date.now();
+  const timedOut = expectStatus(await api('POST', '/api/predict/BP_Class', { body: PATIENT }), 504);
+  assert.equal(timedOut.code, 'UPSTREAM_TIMEOUT');
+  assert.ok(Date.now() - started < UPSTREAM_TIMEOUT_MS * 3);
+
+  assert.equal(expectStatus(await api('GET', '/api/model-info/BP_Class'), 504).code, 'UPSTREAM_TIMEOUT');
+});
+
+test('a stopped upstream maps to 503', async () => {
+  await upstream.close();
+  // Let the gateway's pooled keep-alive sockets see the close before calling again
+  await new Promise(resolve => setTimeout(resolve, 50));
+  try {
+    const response = await api('POST', '/api/predict/BP_Class', { body: PATIENT });
+    const refused = expectStatus(response, 503);
+    assert.equal(refused.code, 'UPSTREAM_UNAVAILABLE');
+    assert.ok(response.headers.get('retry-after'));
+
+    const v1 = expectStatus(await api('GET', '/api/v1/model-info/BP_Class'), 503);
+    assert.equal(v1.error.code, 'UPSTREAM_UNAVAILABLE');
+
+    const health = expectStatus(await api('GET', '/health', { auth: null }), 200);
+    assert.equal(health.status, 'degraded');
+    assert.equal(health.upstream.health.reachable, false);
+  } finally {
+    upstream = await startMockPythonService({ port: Number(upstreamPort) });
+  }
+
+  expectStatus(await api('POST', '/api/predict/BP_Class', { body: PATIENT }), 200);
+});
+
+test('unknown routes answer 404', async () => {
+  assert.equal(expectStatus(await api('GET', '/nope', { auth: null }), 404).error, 'Endpoint not found');
+  assert.equal(expectStatus(await api('GET', '/api/nope'), 404).error, 'Endpoint not found');
+  expectStatus(await api('GET', '/api/jobs/not-a-job'), 404);
+  expectStatus(await api('GET', '/api/cohort/not-a-cohort/results.csv'), 404);
+
+  const v1 = expectStatus(await api('GET', '/api/v1/nope'), 404);
+  assert.equal(v1.error.code, 'NOT_FOUND');
+});
+
+test('the error middleware handles bad bodies and unexpected errors', async (t) => {
+  const badJson = expectStatus(await api('POST', '/api/predict/BP_Class', { body: '{"age":', headers: { 'Content-Type': 'application/json' } }), 400);
+  assert.equal(badJson.error, 'Request body is not valid JSON');
+
+  const tooLarge = expectStatus(await api('POST', '/api/predict/BP_Class', { body: { ...PATIENT, notes: 'x'.repeat(20000) } }), 413);
+  assert.match(tooLarge.error, /too large/);
+
+  t.mock.method(users, 'listUsers', () => {
+    throw new Error('disk on fire');
+  });
+  const unexpected = expectStatus(await api('GET', '/api/users'), 500);
+  assert.deepEqual(unexpected, { success: false, error: 'An unexpected error occurred' });
+});
@@ -0,0 +1,50 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const history = require('../services/historyStore');
+
+// Patient IDs that name Object.prototype members are valid and must behave like any other
+const PROTOTYPE_IDS = ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'valueOf'];
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+const file = path.join(dataDir, 'history.json');
+
+beforeEach(async () => {
+  fs.rmSync(file, { force: true });
+  await history.init(file);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('patients named after Object.prototype members have no history until recorded', async () => {
+  for (const patientId of PROTOTYPE_IDS) {
+    assert.ok(history.isValidPatientId(patientId));
+    assert.equal(history.getHistory(patientId), null, patientId);
+    assert.equal(history.getRecord(patientId, 'missing'), null, patientId);
+    assert.equal(await history.deleteRecord(patientId, 'missing'), false, patientId);
+    assert.equal(await history.deletePatient(patientId), 0, patientId);
+  }
+  assert.deepEqual(history.listPatients(), []);
+});
+
+test('patients named after Object.prototype members are stored, reloaded and deleted', async () => {
+  for (const patientId of PROTOTYPE_IDS) {
+    const [saved] = await history.addRecords(patientId, [{ classifier: 'BP_Class', model: 'RandomForest' }]);
+    assert.equal(history.getHistory(patientId).length, 1, patientId);
+    assert.equal(history.getRecord(patientId, saved.id).id, saved.id, patientId);
+  }
+
+  await history.init(file);
+  assert.deepEqual(history.listPatients().map(patient => patient.patientId).sort(), [...PROTOTYPE_IDS].sort());
+  assert.equal(history.getHistory('__proto__').length, 1);
+  assert.equal(Object.getPrototypeOf({}), Object.prototype);
+
+  for (const patientId of PROTOTYPE_IDS) {
+    assert.equal(await history.deletePatient(patientId), 1, patientId);
+    assert.equal(history.getHistory(patientId), null, patientId);
+  }
+});
@@ -0,0 +1,161 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { startMockPythonService } = require('../mock/pythonService');
+
+// The mock Python service answers the Flask routes deterministically and
+// injects the failures it is configured with; the gateway can run against it.
+
+const PATIENT = {
+  age: 45, sex: 1, weight: 80, height: 175, BMI: 26.1, smoking: 0,
+  alcohol_consumption: 1, physical_activity: 2, family_history: 0, cholesterol_medication: 0
+};
+
+let mock;
+
+const post = (route, body) => fetch(`${mock.url}${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+before(async () => {
+  mock = await startMockPythonService();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+test('answers the Flask routes with the Flask response shapes', async () => {
+  const health = await (await fetch(`${mock.url}/health`)).json();
+  assert.equal(health.status, 'healthy');
+
+  const { classifiers, default_models: defaults } = await (await fetch(`${mock.url}/classifiers`)).json();
+  assert.deepEqual(Object.keys(classifiers), ['BP_Class', 'Diabetes_Class', 'Dyslipidemia_Class']);
+  assert.equal(defaults.BP_Class, 'GradientBoosting');
+
+  const single = await (await post('/predict/BP_Class?model=RandomForest', PATIENT)).json();
+  assert.equal(single.model, 'RandomForest');
+  assert.equal(single.prediction.length, 1);
+  assert.equal(single.probabilities[0].length, 2);
+  assert.deepEqual(single.class_labels, ['Negative', 'Positive']);
+
+  const all = await (await post('/predict-all', PATIENT)).json();
+  assert.deepEqual(Object.keys(all.predictions), Object.keys(classifiers));
+
+  const compared = await (await post('/compare-models/Diabetes_Class', PATIENT)).json();
+  assert.deepEqual(Object.keys(compared.models), classifiers.Diabetes_Class);
+
+  const info = await (await fetch(`${mock.url}/model-info/BP_Class`)).json();
+  assert.equal(info.has_predict_proba, true);
+  assert.equal(info.feature_count, info.features.length);
+});
+
+test('scores are deterministic and respond to risk factors', async () => {
+  const first = await (await post('/predict/BP_Class', PATIENT)).json();
+  const second = await (await post('/predict/BP_Class', PATIENT)).json();
+  assert.deepEqual(first, second);
+
+  const riskier = await (await post('/predict/BP_Class', { ...PATIENT, age: 80, BMI: 38, family_history: 1 })).json();
+  assert.ok(riskier.probabilities[0][1] > first.probabilities[0][1]);
+});
+
+test('rejects bad input the way Flask does', async () => {
+  const unknown = await post('/predict/Nope_Class', PATIENT);
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).error, /Invalid classifier/);
+
+  const missing = await post('/predict/BP_Class', { age: 45 });
+  assert.equal(missing.status, 400);
+
+  const model = await post('/predict/BP_Class?model=Nope', PATIENT);
+  assert.equal(model.status, 400);
+});
+
+test('injects errors a limited number of times', async () => {
+  mock.configure({ faults: [{ route: 'predict', classifier: 'BP_Class', status: 503, error: 'warming up', times: 2 }] });
+
+  assert.equal((await post('/predict/BP_Class', PATIENT)).status, 503);
+  assert.equal((await post('/predict/Diabetes_Class', PATIENT)).status, 200);
+  assert.equal((await post('/predict/BP_Class', PATIENT)).status, 503);
+  assert.equal((await post('/predict/BP_Class', PATIENT)).status, 200);
+
+  assert.deepEqual(mock.calls().map(call => call.status), [503, 200, 503, 200]);
+});
+
+test('injects latency and hung requests', async () => {
+  mock.configure({ latencyMs: 150 });
+  const started = Date.now();
+  await fetch(`${mock.url}/health`);
+  assert.ok(Date.now() - started >= 150);
+
+  mock.configure({ latencyMs: 0, faults: [{ route: 'predict', timeout: true }] });
+  await assert.rejects(
+    fetch(`${mock.url}/predict/BP_Class`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(PATIENT),
+      signal: AbortSignal.timeout(200)
+    }),
+    { name: 'TimeoutError' }
+  );
+});
+
+test('can be reconfigured over HTTP', async () => {
+  await fetch(`${mock.url}/__mock/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ withoutProbabilities: ['BP_Class/GradientBoosting'] })
+  });
+
+  const result = await (await post('/predict/BP_Class', PATIENT)).json();
+  assert.equal(result.probabilities, undefined);
+
+  await fetch(`${mock.url}/__mock/reset`, { method: 'POST' });
+  const { calls } = await (await fetch(`${mock.url}/__mock/state`)).json();
+  assert.deepEqual(calls, []);
+});
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+test('the gateway starts against an in-process mock with --mock-upstream', async () => {
+  const [port, mockPort] = [await freePort(), await freePort()];
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-mock-'));
+  const gateway = spawn(process.execPath, [path.join(__dirname, '..', 'server.js'), '--mock-upstream'], {
+    env: { ...process.env, PORT: String(port), MOCK_UPSTREAM_PORT: String(mockPort), DATA_DIR: dataDir, LOG_LEVEL: 'error' },
+    stdio: 'ignore'
+  });
+
+  try {
+    let health = null;
+    for (let attempt = 0; attempt < 100 && !health; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      health = await fetch(`http://127.0.0.1:${port}/health`).then(response => response.json(), () => null);
+    }
+    assert.ok(health, 'gateway did not start');
+    assert.equal(health.status, 'healthy');
+    assert.equal(health.upstream.url, `http://127.0.0.1:${mockPort}`);
+  } finally {
+    const exited = new Promise(resolve => gateway.once('exit', resolve));
+    gateway.kill();
+    await exited;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig } = require('../config');
+const logger = require('../utils/logger');
+const { createApp, init, shutdown } = require('../app');
+const { startMockPythonService } = require('../mock/pythonService');
+
+// The batch allowance is spent only by routes that fan out to the Python service
+
+const PATIENT = {
+  age: 45, sex: 1, weight: 80, height: 175, smoking: 0,
+  alcohol_consumption: 1, physical_activity: 2, family_history: 0, cholesterol_medication: 0
+};
+const CSV = `${Object.keys(PATIENT).join(',')}\n${Object.values(PATIENT).join(',')}\n`;
+
+let upstream;
+let server;
+let baseUrl;
+let dataDir;
+let token;
+
+async function api(method, url, body, headers = { 'Content-Type': 'application/json' }) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { ...headers, Authorization: `Bearer ${token}` },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+}
+
+before(async () => {
+  upstream = await startMockPythonService();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-rate-limit-'));
+
+  const config = loadConfig({
+    PYTHON_SERVICE_URL: upstream.url,
+    DATA_DIR: dataDir,
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'rate-limit-password',
+    JWT_SECRET: 'rate-limit-test-secret-that-is-long-enough',
+    UPSTREAM_RETRIES: '0',
+    RATE_LIMIT_BATCH_MAX: '1',
+    REGISTRY_REFRESH_MS: '0',
+    LOG_LEVEL: 'error'
+  }, []);
+  logger.setLevel(config.logLevel);
+
+  const app = createApp(config);
+  await init(config);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'rate-limit-password' })
+  });
+  token = (await login.json()).token;
+});
+
+after(async () => {
+  if (server) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  await shutdown();
+  if (upstream) await upstream.close();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('downloads and reports from history do not use the batch allowance', async () => {
+  const predicted = await api('POST', '/api/predict/BP_Class?patientId=p-1', PATIENT);
+  assert.equal(predicted.status, 200);
+
+  const cohort = await api('POST', '/api/cohort/predict', CSV, { 'Content-Type': 'text/csv' });
+  assert.equal(cohort.status, 200);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await api('GET', cohort.body.downloadUrl)).status, 200);
+    assert.equal((await api('POST', '/api/reports', { patientId: 'p-1', recordIds: [predicted.body.recordId] })).status, 200);
+  }
+
+  assert.equal((await api('POST', '/api/cohort/predict', CSV, { 'Content-Type': 'text/csv' })).status, 429);
+  assert.equal((await api('POST', '/api/reports', {
+    input: PATIENT, targets: [{ classifier: 'BP_Class', model: 'RandomForest' }]
+  })).status, 429);
+  assert.equal((await api('POST', '/api/scenarios', {
+    baseline: PATIENT, variants: [{ label: 'Quit smoking', changes: { smoking: 0 } }]
+  })).status, 429);
+});
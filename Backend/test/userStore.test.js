@@ -0,0 +1,27 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const users = require('../services/userStore');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+
+before(async () => {
+  await users.init(path.join(dataDir, 'users.json'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('concurrent creates for one username store a single user', async () => {
+  const results = await Promise.allSettled([
+    users.createUser({ username: 'dr.ada', password: 'first-password', role: 'clinician' }),
+    users.createUser({ username: 'Dr.Ada', password: 'second-password', role: 'admin' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'USER_EXISTS');
+  assert.equal(users.listUsers().filter(user => user.username.toLowerCase() === 'dr.ada').length, 1);
+});
@@ -0,0 +1,111 @@
+const { LOG_LEVELS } = require('../config');
+const { FIELD_ORDER } = require('../schemas/patientSchema');
+const requestContext = require('./requestContext');
+
+// Structured logger: one JSON object per line with time, level, message, the
+// current request's correlation ID and any fields passed in. Fields that could
+// identify a patient (IDs, clinical inputs) or carry credentials are redacted.
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+const SENSITIVE_KEYS = new Set([
+  'patientId',
+  'patient_id',
+  'input',
+  'inputData',
+  'password',
+  'token',
+  'authorization',
+  ...FIELD_ORDER
+]);
+
+let threshold = LOG_LEVELS.indexOf('info');
+let format = 'json';
+
+function setLevel(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  threshold = index;
+}
+
+function setFormat(next) {
+  if (!['json', 'pretty'].includes(next)) {
+    throw new Error(`Unknown log format: ${next}`);
+  }
+  format = next;
+}
+
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SENSITIVE_KEYS.has(key) ? REDACTED : redact(item, depth + 1)]));
+}
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(threshold >= LOG_LEVELS.indexOf('debug') && { stack: error.stack })
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "time level [requestId] message key=value ..." for reading logs in a terminal
+function toPretty({ time, level, msg, requestId, ...fields }) {
+  const extras = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), requestId && `[${requestId}]`, msg, ...extras]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Log calls take a message followed by any mix of field objects (merged into the
+ * entry after redaction), Errors (serialized under `err`) and other values
+ * (appended to the message), so `logger.error('Refresh failed:', error.message)`
+ * and `logger.info('Scored', { rows })` both work.
+ */
+const write = (level) => (message, ...args) => {
+  if (LOG_LEVELS.indexOf(level) > threshold) return;
+
+  const parts = [String(message)];
+  const fields = {};
+
+  args.forEach(arg => {
+    if (arg instanceof Error) {
+      fields.err = serializeError(arg);
+    } else if (isPlainObject(arg)) {
+      Object.assign(fields, redact(arg));
+    } else if (arg !== undefined) {
+      parts.push(String(arg));
+    }
+  });
+
+  const { requestId } = requestContext.get();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: parts.join(' ').trim(),
+    ...(requestId && { requestId }),
+    ...fields
+  };
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  stream.write(`${format === 'json' ? JSON.stringify(entry) : toPretty(entry)}\n`);
+};
+
+module.exports = {
+  setLevel,
+  setFormat,
+  redact,
+  error: write('error'),
+  warn: write('warn'),
+  info: write('info'),
+  debug: write('debug')
+};
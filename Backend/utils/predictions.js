@@ -0,0 +1,26 @@
+// Reduce a Python service prediction to a scalar label and positive-class probability
+function summarisePrediction(data) {
+  const value = Array.isArray(data.prediction) ? data.prediction[0] : data.prediction;
+  const probabilities = Array.isArray(data.probabilities) ? data.probabilities[0] : null;
+
+  return {
+    prediction: value,
+    label: data.class_labels?.[value] || (value === 1 ? 'Positive' : 'Negative'),
+    probability: probabilities ? probabilities[probabilities.length - 1] : null,
+    probabilities
+  };
+}
+
+// Key one row of class probabilities by class label ({ Negative: 0.2, Positive: 0.8 }).
+// Binary models without class_labels get the same Negative/Positive names as above.
+function namedProbabilities(probabilities, classLabels) {
+  if (!Array.isArray(probabilities)) return null;
+
+  const labels = classLabels?.length === probabilities.length
+    ? classLabels
+    : probabilities.map((_, index) => (probabilities.length === 2 ? ['Negative', 'Positive'][index] : String(index)));
+
+  return Object.fromEntries(labels.map((label, index) => [String(label), probabilities[index]]));
+}
+
+module.exports = { summarisePrediction, namedProbabilities };
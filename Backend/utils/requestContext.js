@@ -0,0 +1,11 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values (the correlation ID) that follow a request through every
+// async call it makes, so the logger and the Python client can read them
+// without threading `req` through each function.
+const storage = new AsyncLocalStorage();
+
+const run = (context, fn) => storage.run(context, fn);
+const get = () => storage.getStore() || {};
+
+module.exports = { run, get };
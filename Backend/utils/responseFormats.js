@@ -0,0 +1,214 @@
+const { summarisePrediction, namedProbabilities } = require('./predictions');
+
+const API_VERSION = 'v1';
+
+// Typed code for a v1 error whose legacy body doesn't already carry one
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+const errorCode = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+
+const v1Meta = (req) => ({
+  requestId: req.id,
+  timestamp: new Date().toISOString(),
+  warnings: req.inputWarnings || []
+});
+
+const v1Success = (req, data) => ({ success: true, apiVersion: API_VERSION, data, meta: v1Meta(req) });
+
+/**
+ * Re-shape a legacy `{ success: false, error, code?, details? }` body as a v1
+ * error envelope. Bodies that are already v1 are returned unchanged.
+ */
+function toV1Error(status, body, req) {
+  if (body.apiVersion === API_VERSION) return body;
+
+  const error = { code: body.code || errorCode(status), message: body.error || 'Request failed' };
+  if (body.details) error.details = body.details;
+
+  return { success: false, apiVersion: API_VERSION, error, meta: v1Meta(req) };
+}
+
+// One Python service prediction as a scalar label plus probabilities keyed by class
+function v1Prediction(data) {
+  const { prediction, label, probability, probabilities } = summarisePrediction(data);
+  return {
+    label,
+    prediction,
+    probabilities: namedProbabilities(probabilities, data.class_labels),
+    positiveProbability: probability
+  };
+}
+
+// A matrix or comparison cell: either a prediction or a typed error, never both
+const v1Result = (classifier, model, cell) => (cell.error
+  ? { classifier, model, status: 'error', error: { code: cell.code || 'UPSTREAM_ERROR', message: cell.error } }
+  : { classifier, model, status: 'ok', ...v1Prediction(cell) });
+
+const v1Classifier = ([key, entry]) => ({
+  key,
+  displayName: entry.displayName,
+  models: entry.models,
+  defaultModel: entry.defaultModel,
+  features: entry.features
+});
+
+/**
+ * Response bodies for the prediction routes. `legacy` is the original /api
+ * shape the frontend reads; `v1` wraps the same results in the typed
+ * /api/v1 envelope. Each formatter gets the route's result and the request.
+ */
+const legacy = {
+  classifiers: ({ classifiers, count, updatedAt }) => ({ success: true, classifiers, count, updatedAt }),
+
+  schema: ({ fields, order }) => ({ success: true, schema: { fields, order } }),
+
+  modelInfo: ({ info }) => ({ success: true, ...info }),
+
+  prediction: ({ classifier, patientId, recordId, data, input }, req) => ({
+    success: true,
+    classifier,
+    patientId,
+    recordId,
+    prediction: data.prediction,
+    probabilities: data.probabilities,
+    class_labels: data.class_labels,
+    model: data.model,
+    input,
+    warnings: req.inputWarnings,
+    timestamp: new Date().toISOString()
+  }),
+
+  predictAll: ({ patientId, recordIds, predictions, summary, input }, req) => ({
+    success: true,
+    patientId,
+    recordIds,
+    predictions,
+    summary,
+    input,
+    warnings: req.inputWarnings,
+    timestamp: new Date().toISOString()
+  }),
+
+  // NDJSON events for a streamed predict-all
+  stream: {
+    start: ({ targets }) => ({ type: 'start', total: targets.length, targets }),
+    cell: (cell, completed, total) => ({ type: 'cell', completed, total, ...cell }),
+    done: ({ summary, patientId, recordIds }, req) => ({
+      type: 'done',
+      summary,
+      patientId,
+      recordIds,
+      warnings: req.inputWarnings,
+      timestamp: new Date().toISOString()
+    }),
+    error: (message) => ({ type: 'error', error: message })
+  },
+
+  comparison: ({ classifier, models, input }, req) => ({
+    success: true,
+    classifier,
+    models,
+    input,
+    warnings: req.inputWarnings,
+    timestamp: new Date().toISOString()
+  }),
+
+  ensemble: ({ classifier, patientId, recordId, strategy, result, classLabels, cells, input }, req) => ({
+    success: true,
+    classifier,
+    patientId,
+    recordId,
+    model: 'Ensemble',
+    strategy,
+    prediction: result.prediction,
+    probabilities: result.probabilities,
+    class_labels: classLabels,
+    consensusProbability: result.consensusProbability,
+    disagreement: result.disagreement,
+    weights: result.models,
+    models: cells,
+    input,
+    warnings: req.inputWarnings,
+    timestamp: new Date().toISOString()
+  })
+};
+
+const v1 = {
+  classifiers: ({ classifiers, updatedAt }, req) =>
+    v1Success(req, { classifiers: Object.entries(classifiers).map(v1Classifier), updatedAt }),
+
+  schema: ({ fields, order }, req) => v1Success(req, { fields, order }),
+
+  modelInfo: ({ classifier, info }, req) => v1Success(req, {
+    classifier,
+    model: info.model_type,
+    availableModels: info.available_models,
+    hasProbabilities: Boolean(info.has_predict_proba),
+    features: info.features
+  }),
+
+  prediction: ({ classifier, patientId, recordId, data, input, cached }, req) => v1Success(req, {
+    classifier,
+    model: data.model,
+    ...v1Prediction(data),
+    cached,
+    patientId,
+    recordId,
+    input
+  }),
+
+  predictAll: ({ patientId, recordIds, targets, predictions, summary, input }, req) => v1Success(req, {
+    results: targets.map(({ classifier, model }) => v1Result(classifier, model, predictions[classifier][model])),
+    summary,
+    patientId,
+    recordIds,
+    input
+  }),
+
+  stream: {
+    start: ({ targets }) => ({ type: 'start', apiVersion: API_VERSION, total: targets.length, targets }),
+    cell: ({ classifier, model, result }, completed, total) =>
+      ({ type: 'cell', completed, total, result: v1Result(classifier, model, result) }),
+    done: ({ summary, patientId, recordIds }, req) =>
+      ({ type: 'done', summary, patientId, recordIds, meta: v1Meta(req) }),
+    error: (message) => ({ type: 'error', error: { code: 'INTERNAL_ERROR', message } })
+  },
+
+  comparison: ({ classifier, models, input }, req) => v1Success(req, {
+    classifier,
+    results: Object.entries(models).map(([model, cell]) => v1Result(classifier, model, cell)),
+    input
+  }),
+
+  ensemble: ({ classifier, patientId, recordId, strategy, result, classLabels, cells, input }, req) => v1Success(req, {
+    classifier,
+    model: 'Ensemble',
+    strategy,
+    ...v1Prediction({ ...result, class_labels: classLabels }),
+    disagreement: result.disagreement,
+    weights: result.models,
+    results: Object.entries(cells).map(([model, cell]) => v1Result(classifier, model, cell)),
+    patientId,
+    recordId,
+    input
+  })
+};
+
+module.exports = {
+  API_VERSION,
+  legacy,
+  v1,
+  toV1Error
+};
@@ -0,0 +1,8 @@
+// Route template for a finished request ("/api/patients/:patientId/history")
+// rather than its URL, so IDs in paths never reach logs or metric labels
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl ? `${req.baseUrl}/*` : '(unmatched)';
+}
+
+module.exports = { routeLabel };
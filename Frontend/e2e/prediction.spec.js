@@ -0,0 +1,96 @@
+import { expect, test } from '@playwright/test'
+import { ADMIN, MOCK_UPSTREAM_URL } from './servers.js'
+
+// The Prediction workflow through the real UI, gateway and mock inference service
+
+const PATIENT = {
+  age: '45',
+  sex: '1',
+  weight: '80',
+  height: '175',
+  smoking: '0',
+  alcohol_consumption: '1',
+  physical_activity: '2',
+  family_history: '1',
+  cholesterol_medication: '0',
+}
+
+async function signIn(page) {
+  await page.goto('/prediction')
+  await expect(page).toHaveURL(/\/login$/)
+  await page.locator('input[autocomplete="username"]').fill(ADMIN.username)
+  await page.locator('input[autocomplete="current-password"]').fill(ADMIN.password)
+  await page.getByRole('button', { name: 'Sign In' }).click()
+  await expect(page).toHaveURL(/\/prediction$/)
+}
+
+async function fillPatient(page, values = PATIENT) {
+  for (const [name, value] of Object.entries(values)) {
+    const field = page.locator(`[name="${name}"]`)
+    if (await field.evaluate((element) => element.tagName === 'SELECT')) {
+      await field.selectOption(value)
+    } else {
+      await field.fill(value)
+    }
+  }
+}
+
+// Change how the mock inference service behaves; reset after each test
+const configureUpstream = (request, settings) =>
+  request.put(`${MOCK_UPSTREAM_URL}/__mock/config`, { data: settings })
+
+test.beforeEach(async ({ page }) => {
+  await signIn(page)
+})
+
+test.afterEach(async ({ request }) => {
+  await request.post(`${MOCK_UPSTREAM_URL}/__mock/reset`)
+})
+
+test('validates the form before calling the gateway', async ({ page }) => {
+  await page.getByRole('button', { name: 'Predict Blood Pressure' }).click()
+
+  await expect(page.getByRole('heading', { name: 'Error' })).toBeVisible()
+  await expect(page.getByText(/Age is required/)).toBeVisible()
+})
+
+test('runs a single prediction', async ({ page }) => {
+  await fillPatient(page)
+  await expect(page.getByPlaceholder('Calculated from weight and height')).toHaveValue('26.1')
+
+  await page.getByRole('button', { name: 'Predict Blood Pressure' }).click()
+
+  const result = page.locator('div.border-2', { has: page.getByRole('heading', { name: 'Blood Pressure Result' }) })
+  await expect(result).toBeVisible()
+  await expect(result.getByText(/^(Positive|Negative)$/).first()).toBeVisible()
+  await expect(result.getByText('GradientBoosting')).toBeVisible()
+  await expect(result.getByText(/^\d+\.\d%$/)).toHaveCount(2)
+  await expect(page.getByRole('button', { name: 'Download report' })).toBeVisible()
+})
+
+test('runs a complete analysis across every classifier and model', async ({ page }) => {
+  await page.getByRole('button', { name: 'Complete Analysis (All Models)' }).click()
+  await expect(page.getByText(/test all 3 classifiers/)).toContainText('(9 total predictions)')
+
+  await fillPatient(page)
+  await page.getByRole('button', { name: 'Run Complete Analysis' }).click()
+
+  await expect(page.getByRole('heading', { name: 'Complete Health Analysis Results' })).toBeVisible()
+  await expect(page.getByRole('button', { name: 'Run Complete Analysis' })).toBeEnabled({ timeout: 15_000 })
+  for (const name of ['Blood Pressure', 'Diabetes', 'Dyslipidemia (Cholesterol)']) {
+    const section = page.locator('div.bg-gray-50', { has: page.getByRole('heading', { name, exact: true }) })
+    await expect(section.getByText('Result:')).toHaveCount(3)
+  }
+})
+
+test('shows inference service failures in the error banner', async ({ page, request }) => {
+  await configureUpstream(request, {
+    faults: [{ route: 'predict', classifier: 'BP_Class', status: 500, error: 'Prediction failed: model exploded' }],
+  })
+
+  await fillPatient(page)
+  await page.getByRole('button', { name: 'Predict Blood Pressure' }).click()
+
+  await expect(page.getByText('Prediction failed: model exploded')).toBeVisible()
+  await expect(page.getByRole('heading', { name: 'Blood Pressure Result' })).toHaveCount(0)
+})
@@ -0,0 +1,11 @@
+// Where the end-to-end servers listen, shared by playwright.config.js and the specs
+export const GATEWAY_PORT = 3100
+export const MOCK_UPSTREAM_PORT = 5100
+export const WEB_PORT = 4173
+
+export const GATEWAY_URL = `http://127.0.0.1:${GATEWAY_PORT}`
+export const MOCK_UPSTREAM_URL = `http://127.0.0.1:${MOCK_UPSTREAM_PORT}`
+export const WEB_URL = `http://127.0.0.1:${WEB_PORT}`
+
+// Bootstrap admin the gateway creates on first start
+export const ADMIN = { username: 'e2e-admin', password: 'e2e-admin-password' }
@@ -0,0 +1,50 @@
+import os from 'node:os'
+import path from 'node:path'
+import { defineConfig, devices } from '@playwright/test'
+import { ADMIN, GATEWAY_PORT, GATEWAY_URL, MOCK_UPSTREAM_PORT, WEB_PORT, WEB_URL } from './e2e/servers.js'
+
+// End-to-end tests (npm run test:e2e): the production build served by
+// `vite preview`, talking to a real gateway that runs against the Node mock of
+// the Python service (--mock-upstream), driven by headless Chromium.
+
+export default defineConfig({
+  testDir: './e2e',
+  // The tests share one gateway and reconfigure its mock upstream
+  workers: 1,
+  forbidOnly: Boolean(process.env.CI),
+  retries: process.env.CI ? 1 : 0,
+  use: {
+    baseURL: WEB_URL,
+    trace: 'retain-on-failure',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+  webServer: [
+    {
+      command: 'node server.js --mock-upstream',
+      cwd: '../Backend',
+      url: `${GATEWAY_URL}/health`,
+      env: {
+        ...process.env,
+        PORT: String(GATEWAY_PORT),
+        MOCK_UPSTREAM_PORT: String(MOCK_UPSTREAM_PORT),
+        DATA_DIR: path.join(os.tmpdir(), 'heart-health-e2e'),
+        ADMIN_USERNAME: ADMIN.username,
+        ADMIN_PASSWORD: ADMIN.password,
+        JWT_SECRET: 'e2e-secret-that-is-at-least-32-characters',
+        CORS_ALLOWED_ORIGINS: WEB_URL,
+        RATE_LIMIT_ENABLED: 'false',
+        PREDICTION_CACHE_ENABLED: 'false',
+        UPSTREAM_RETRIES: '0',
+        LOG_LEVEL: 'warn',
+      },
+    },
+    {
+      command: `npm run build && npm run preview -- --host 127.0.0.1 --port ${WEB_PORT} --strictPort`,
+      url: WEB_URL,
+      env: { ...process.env, VITE_API_BASE_URL: GATEWAY_URL },
+      timeout: 180_000,
+    },
+  ],
+})
@@ -4,6 +4,8 @@ import Footer from "./components/Footer";
 import Home from "./Pages/Home";
 import Dashboard from "./Pages/Dashboard";
 import Prediction from "./Pages/Prediction";
+import Login from "./Pages/Login";
+import ProtectedRoute from "./components/ProtectedRoute";
 import React from "react";
 function App() {
   return (
@@ -12,8 +14,23 @@ function App() {
       <main className="flex-grow container mx-auto px-6 py-10 bg-gray-100">
         <Routes>
           <Route path="/" element={<Home />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/prediction" element={<Prediction />} />
+          <Route path="/login" element={<Login />} />
+          <Route
+            path="/dashboard"
+            element={
+              <ProtectedRoute permission="history:read">
+                <Dashboard />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/prediction"
+            element={
+              <ProtectedRoute permission="predict">
+                <Prediction />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </main>
       <Footer />
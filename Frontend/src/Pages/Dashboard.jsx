@@ -1,35 +1,146 @@
-import React from "react";
-import { Heart, Activity, Droplet, Zap, BarChart3 } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Activity, AlertCircle, Calendar, ClipboardList, Scale, TrendingUp } from "lucide-react";
+import TimeSeriesChart from "../components/TimeSeriesChart";
+import SystemPanel from "../components/SystemPanel";
+import { useAuth } from "../auth/useAuth";
+import { useApiClient } from "../api/useApiClient";
+import { useClassifiers } from "../api/useClassifiers";
+import { useResource } from "../api/useResource";
+
+const CLASSIFIER_COLORS = ["#dc2626", "#2563eb", "#9333ea", "#ea580c", "#059669", "#0891b2"];
+
+// Convert date inputs (local YYYY-MM-DD) to an inclusive ISO range for the history API
+const toRangeParams = (from, to) => ({
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+});
+
+// One point per recorded visit; predict-all saves several records with the same timestamp
+const buildMeasurementSeries = (records) => {
+  const byTime = new Map();
+  records.forEach((record) => {
+    byTime.set(record.timestamp, {
+      time: Date.parse(record.timestamp),
+      BMI: record.input.BMI,
+      weight: record.input.weight,
+    });
+  });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
+
+// Positive-class probability (%) per classifier at each timestamp for one model
+const buildRiskSeries = (records, model) => {
+  const byTime = new Map();
+  records
+    .filter((record) => record.model === model && record.probability !== null)
+    .forEach((record) => {
+      const point = byTime.get(record.timestamp) || { time: Date.parse(record.timestamp) };
+      point[record.classifier] = record.probability * 100;
+      byTime.set(record.timestamp, point);
+    });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
+
+// Model with the most records, so the risk chart opens on the densest series
+const mostCommonModel = (records) => {
+  const counts = {};
+  records.forEach((record) => {
+    counts[record.model] = (counts[record.model] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+};
+
+// Stable while nothing has loaded, so the chart memos don't recompute
+const NO_PATIENTS = [];
+const NO_RECORDS = [];
 
 function Dashboard() {
-  const vitals = [
-    { 
-      icon: <Heart className="w-6 h-6" />, 
-      label: "Heart Rate", 
-      value: "72 bpm", 
-      color: "text-red-500", 
-      bg: "bg-red-50" 
+  const { hasPermission } = useAuth();
+  const api = useApiClient();
+  const [patientId, setPatientId] = useState("");
+  const [model, setModel] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  // Display names for the legend; they're cosmetic, so a failed load falls back to classifier keys
+  const { classifiers } = useClassifiers();
+  const classifierNames = useMemo(
+    () => Object.fromEntries(Object.entries(classifiers).map(([key, entry]) => [key, entry.displayName])),
+    [classifiers]
+  );
+
+  // Patients with recorded history
+  const loadPatients = useCallback((signal) => api.getPatients({ signal }).then((data) => data.patients), [api]);
+  const patientList = useResource(loadPatients);
+  const patients = patientList.data || NO_PATIENTS;
+
+  // Open on the first patient; a reloaded list keeps the chosen one unless it has gone
+  useEffect(() => {
+    setPatientId((current) => (
+      patients.some((patient) => patient.patientId === current) ? current : patients[0]?.patientId || ""
+    ));
+  }, [patients]);
+
+  // Reload history whenever the patient or date range changes; useResource aborts
+  // the previous request so a slow answer can't replace a newer patient's records
+  const loadHistory = useCallback((signal) => {
+    if (!patientId) return Promise.resolve(NO_RECORDS);
+    return api.getHistory(patientId, { ...toRangeParams(from, to), signal }).then((data) => data.records);
+  }, [api, patientId, from, to]);
+  const history = useResource(loadHistory);
+  const records = (!history.error && history.data) || NO_RECORDS;
+  const loading = history.loading;
+
+  // Keep the chosen model while the new records have it
+  useEffect(() => {
+    setModel((current) => (records.some((record) => record.model === current) ? current : mostCommonModel(records)));
+  }, [records]);
+
+  const error = patientList.error
+    ? `Could not load patients: ${patientList.error.message}`
+    : history.error?.message || null;
+
+  const measurements = useMemo(() => buildMeasurementSeries(records), [records]);
+  const risk = useMemo(() => buildRiskSeries(records, model), [records, model]);
+  const models = useMemo(() => [...new Set(records.map((record) => record.model))], [records]);
+  const riskSeries = useMemo(
+    () => [...new Set(records.map((record) => record.classifier))].map((key, index) => ({
+      key,
+      label: classifierNames[key] || key,
+      color: CLASSIFIER_COLORS[index % CLASSIFIER_COLORS.length],
+    })),
+    [records, classifierNames]
+  );
+
+  const latest = measurements[measurements.length - 1];
+  const summary = [
+    {
+      icon: <Activity className="w-6 h-6" />,
+      label: "Latest BMI",
+      value: latest ? latest.BMI.toFixed(1) : "—",
+      color: "text-blue-500",
+      bg: "bg-blue-50"
     },
-    { 
-      icon: <Activity className="w-6 h-6" />, 
-      label: "Blood Pressure", 
-      value: "120/80", 
-      color: "text-blue-500", 
-      bg: "bg-blue-50" 
+    {
+      icon: <Scale className="w-6 h-6" />,
+      label: "Latest Weight",
+      value: latest ? `${latest.weight} kg` : "—",
+      color: "text-purple-500",
+      bg: "bg-purple-50"
     },
-    { 
-      icon: <Droplet className="w-6 h-6" />, 
-      label: "Blood Glucose", 
-      value: "95 mg/dL", 
-      color: "text-purple-500", 
-      bg: "bg-purple-50" 
+    {
+      icon: <ClipboardList className="w-6 h-6" />,
+      label: "Predictions Recorded",
+      value: records.length,
+      color: "text-red-500",
+      bg: "bg-red-50"
     },
-    { 
-      icon: <Zap className="w-6 h-6" />, 
-      label: "Temperature", 
-      value: "98.6°F", 
-      color: "text-orange-500", 
-      bg: "bg-orange-50" 
+    {
+      icon: <Calendar className="w-6 h-6" />,
+      label: "Last Visit",
+      value: latest ? new Date(latest.time).toLocaleDateString() : "—",
+      color: "text-orange-500",
+      bg: "bg-orange-50"
     }
   ];
 
@@ -44,35 +155,129 @@ function Dashboard() {
         </p>
       </div>
 
+      {/* Patient and Date Range Selection */}
+      <div className="bg-white rounded-xl p-6 shadow-md border border-gray-100 mb-8 grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="font-semibold text-gray-700 mb-2 block">Patient:</label>
+          <select
+            value={patientId}
+            onChange={(e) => setPatientId(e.target.value)}
+            className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 bg-white"
+          >
+            {patients.length === 0 && <option value="">No patients recorded yet</option>}
+            {patients.map((patient) => (
+              <option key={patient.patientId} value={patient.patientId}>
+                {patient.patientId} ({patient.recordCount} records)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="font-semibold text-gray-700 mb-2 block">From:</label>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+            className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+        </div>
+        <div>
+          <label className="font-semibold text-gray-700 mb-2 block">To:</label>
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+            className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-8 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 mt-0.5" />
+          <div>
+            <h4 className="font-semibold text-red-800">Error</h4>
+            <p className="text-red-700 text-sm">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {patients.length === 0 && !error && (
+        <div className="mb-8 p-4 bg-blue-50 border border-blue-200 rounded-lg text-blue-800 text-sm">
+          No patient history yet. Enter a Patient ID on the Prediction page to start recording predictions.
+        </div>
+      )}
+
       <div className="grid md:grid-cols-4 gap-6 mb-8">
-        {vitals.map((vital, index) => (
-          <div 
-            key={index} 
+        {summary.map((item, index) => (
+          <div
+            key={index}
             className="bg-white rounded-xl p-6 shadow-md hover:shadow-lg transition-shadow border border-gray-100"
           >
-            <div className={`${vital.bg} ${vital.color} w-12 h-12 rounded-xl flex items-center justify-center mb-4`}>
-              {vital.icon}
+            <div className={`${item.bg} ${item.color} w-12 h-12 rounded-xl flex items-center justify-center mb-4`}>
+              {item.icon}
             </div>
-            <p className="text-sm text-gray-500 mb-1">{vital.label}</p>
-            <p className="text-2xl font-bold text-gray-800">{vital.value}</p>
+            <p className="text-sm text-gray-500 mb-1">{item.label}</p>
+            <p className="text-2xl font-bold text-gray-800">{item.value}</p>
           </div>
         ))}
       </div>
 
-      <div className="bg-white rounded-2xl p-12 shadow-lg border border-gray-100">
-        <div className="text-center">
-          <div className="inline-flex p-6 bg-gradient-to-br from-blue-100 to-purple-100 rounded-full mb-6">
-            <BarChart3 className="w-16 h-16 text-blue-600" />
+      <div className={`grid gap-8 ${loading ? "opacity-50" : ""}`}>
+        <div className="bg-white rounded-2xl p-6 shadow-lg border border-gray-100">
+          <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Activity className="w-5 h-5 text-blue-600" />
+            BMI Over Time
+          </h3>
+          <TimeSeriesChart
+            data={measurements}
+            series={[{ key: "BMI", label: "BMI", color: "#2563eb" }]}
+          />
+        </div>
+
+        <div className="bg-white rounded-2xl p-6 shadow-lg border border-gray-100">
+          <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Scale className="w-5 h-5 text-purple-600" />
+            Weight Over Time
+          </h3>
+          <TimeSeriesChart
+            data={measurements}
+            series={[{ key: "weight", label: "Weight", color: "#9333ea" }]}
+            unit=" kg"
+          />
+        </div>
+
+        <div className="bg-white rounded-2xl p-6 shadow-lg border border-gray-100">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <TrendingUp className="w-5 h-5 text-red-600" />
+              Risk Probability by Classifier
+            </h3>
+            {models.length > 0 && (
+              <select
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                className="border border-gray-300 p-2 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-400 bg-white"
+              >
+                {models.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            )}
           </div>
-          <h3 className="text-2xl font-bold text-gray-800 mb-3">Interactive Analytics</h3>
-          <p className="text-gray-500 max-w-xl mx-auto">
-            Comprehensive charts and time series visualizations will display here, showing patient trends,
-            anomaly detection, and predictive insights powered by advanced analytics.
-          </p>
+          <TimeSeriesChart data={risk} series={riskSeries} unit="%" yDomain={[0, 100]} />
         </div>
       </div>
+
+      {hasPermission("metrics:read") && (
+        <div className="mt-8">
+          <SystemPanel />
+        </div>
+      )}
     </section>
   );
 }
 
-export default Dashboard;
\ No newline at end of file
+export default Dashboard;
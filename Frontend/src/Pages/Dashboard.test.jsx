@@ -0,0 +1,47 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Dashboard from "./Dashboard";
+import { AuthContext } from "../auth/AuthContext";
+import { createFakeApi, json } from "../test/fakeApi";
+
+const PATIENTS = [
+  { patientId: "PAT-1", recordCount: 2, firstRecordedAt: null, lastRecordedAt: null },
+  { patientId: "PAT-2", recordCount: 1, firstRecordedAt: null, lastRecordedAt: null },
+];
+
+// Signed in as a clinician; a new authFetch makes every resource load again, like a refreshed session
+const withAuth = (authFetch) => (
+  <AuthContext.Provider value={{ authFetch, hasPermission: (permission) => permission !== "metrics:read" }}>
+    <Dashboard />
+  </AuthContext.Provider>
+);
+
+describe("Dashboard", () => {
+  it("keeps the chosen patient when the patient list reloads", async () => {
+    let patients = PATIENTS;
+    const api = createFakeApi({
+      "GET /api/patients": () => json({ success: true, patients, count: patients.length }),
+      "GET /api/classifiers": () => json({ success: true, classifiers: {}, count: 0 }),
+      "GET /api/patients/PAT-1/history": () => json({ success: true, patientId: "PAT-1", records: [], count: 0 }),
+      "GET /api/patients/PAT-2/history": () => json({ success: true, patientId: "PAT-2", records: [], count: 0 }),
+    });
+    const user = userEvent.setup();
+    const { rerender } = render(withAuth(api.authFetch));
+
+    const select = screen.getByRole("combobox");
+    await waitFor(() => expect(select).toHaveValue("PAT-1"));
+    await user.selectOptions(select, "PAT-2");
+
+    patients = [PATIENTS[0], { ...PATIENTS[1], recordCount: 3 }];
+    rerender(withAuth(vi.fn((...args) => api.authFetch(...args))));
+    await screen.findByRole("option", { name: "PAT-2 (3 records)" });
+    expect(select).toHaveValue("PAT-2");
+
+    // A patient that is no longer listed falls back to the first one
+    patients = [PATIENTS[0]];
+    rerender(withAuth(api.authFetch));
+    await waitFor(() => expect(select).toHaveValue("PAT-1"));
+  });
+});
@@ -1,231 +1,244 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Brain, AlertCircle, CheckCircle, Loader } from "lucide-react";
+import CohortPanel from "../components/CohortPanel";
+import ReportButton from "../components/ReportButton";
+import WhatIfPanel from "../components/WhatIfPanel";
+import ExplanationPanel from "../components/ExplanationPanel";
+import { useClassifiers } from "../api/useClassifiers";
+import { usePrediction } from "../api/usePrediction";
+import { usePredictionJob } from "../api/usePredictionJob";
+import { useSchema } from "../api/useSchema";
+import { deriveFields } from "../../../shared/derivedFields.js";
+
+// Field rules (types, enum codes, ranges) are served by the gateway so the
+// form and the server validate against the same schema
+const validateFieldValue = (field, rawValue) => {
+  if (rawValue === "") return `${field.label} is required`;
+
+  const value = Number(rawValue);
+  if (!Number.isFinite(value)) return `${field.label} must be a number`;
+
+  if (field.type === 'enum') {
+    return field.options.some((opt) => opt.value === value)
+      ? null
+      : `${field.label} must be one of: ${field.options.map((opt) => opt.value).join(", ")}`;
+  }
 
-const CLASSIFIERS = {
-  'BP_Class': 'Blood Pressure',
-  'Diabetes_Class': 'Diabetes',
-  'Dyslipidemia_Class': 'Dyslipidemia (Cholesterol)'
-};
+  if (field.type === 'integer' && !Number.isInteger(value)) {
+    return `${field.label} must be a whole number`;
+  }
 
-const MODEL_TYPES = ['GradientBoosting', 'LogisticRegression', 'RandomForest'];
-
-// API Base URL - change this if your backend is on a different port/host
-const API_BASE_URL = 'http://localhost:3000';
-
-// Field configurations - defines which fields should be dropdowns vs numeric inputs
-const FIELD_CONFIG = {
-  age: { type: 'number', label: 'Age', placeholder: 'Enter age (e.g., 45)' },
-  sex: { 
-    type: 'select', 
-    label: 'Sex', 
-    options: [
-      { value: '1', label: 'Male' },
-      { value: '0', label: 'Female' }
-    ]
-  },
-  weight: { type: 'number', label: 'Weight (kg)', placeholder: 'Enter weight in kg' },
-  height: { type: 'number', label: 'Height (cm)', placeholder: 'Enter height in cm' },
-  BMI: { type: 'number', label: 'BMI', placeholder: 'Enter BMI' },
-  smoking: { 
-    type: 'select', 
-    label: 'Smoking Status', 
-    options: [
-      { value: '0', label: 'Non-smoker' },
-      { value: '1', label: 'Current smoker' },
-      { value: '2', label: 'Former smoker' }
-    ]
-  },
-  alcohol_consumption: { 
-    type: 'select', 
-    label: 'Alcohol Consumption', 
-    options: [
-      { value: '0', label: 'None' },
-      { value: '1', label: 'Occasional' },
-      { value: '2', label: 'Regular' },
-      { value: '3', label: 'Heavy' }
-    ]
-  },
-  physical_activity: { 
-    type: 'select', 
-    label: 'Physical Activity Level', 
-    options: [
-      { value: '0', label: 'Sedentary' },
-      { value: '1', label: 'Light' },
-      { value: '2', label: 'Moderate' },
-      { value: '3', label: 'Active' },
-      { value: '4', label: 'Very Active' }
-    ]
-  },
-  family_history: { 
-    type: 'select', 
-    label: 'Family History', 
-    options: [
-      { value: '0', label: 'No' },
-      { value: '1', label: 'Yes' }
-    ]
-  },
-  cholesterol_medication: { 
-    type: 'select', 
-    label: 'Cholesterol Medication', 
-    options: [
-      { value: '0', label: 'No' },
-      { value: '1', label: 'Yes' }
-    ]
+  if (value < field.min || value > field.max) {
+    return `${field.label} must be between ${field.min} and ${field.max}`;
   }
+
+  return null;
+};
+
+// Pseudo-model that asks the gateway for a consensus across all of a classifier's models
+const ENSEMBLE = 'ensemble';
+
+const ENSEMBLE_STRATEGIES = [
+  { value: 'weighted', label: 'Weighted soft vote' },
+  { value: 'mean', label: 'Mean soft vote' },
+  { value: 'majority', label: 'Majority vote' },
+];
+
+// How often a running complete analysis is checked
+const JOB_POLL_MS = 1000;
+
+// The gateway builds reports itself: from the history records a prediction saved,
+// or, without a patient ID, by scoring the same input again. That input already
+// passed validation, so a BMI kept by override is sent with the override again.
+const rescoreRequest = (prediction, targets) => ({
+  patientId: prediction.patientId || undefined,
+  input: { ...prediction.input, bmi_override: true },
+  targets,
+});
+
+const singleReportRequest = (prediction) => (prediction.recordId
+  ? { patientId: prediction.patientId, recordIds: [prediction.recordId] }
+  : rescoreRequest(prediction, [{
+    classifier: prediction.classifier,
+    model: prediction.model,
+    ...(prediction.strategy && { strategy: prediction.strategy }),
+  }]));
+
+const matrixReportRequest = (prediction) => (prediction.recordIds?.length
+  ? { patientId: prediction.patientId, recordIds: prediction.recordIds }
+  : rescoreRequest(prediction, Object.entries(prediction.predictions).flatMap(([classifier, models]) =>
+    Object.keys(models).map((model) => ({ classifier, model })))));
+
+// Every classifier × model awaiting a result, filled in as the job reports them
+const pendingPredictions = (classifiers, partial) =>
+  Object.fromEntries(Object.entries(classifiers).map(([key, entry]) =>
+    [key, { ...Object.fromEntries(entry.models.map((model) => [model, null])), ...partial?.[key] }]));
+
+// Why a complete analysis ended without results, if it did
+const analysisErrorMessage = ({ job, error }) => {
+  if (error) return error.message;
+  if (job?.status === 'failed') return job.error?.message || 'Complete analysis failed';
+  if (job?.status === 'cancelled') return 'Complete analysis was cancelled';
+  return null;
 };
 
 function Prediction() {
-  const [inputs, setInputs] = useState({
-    age: "",
-    sex: "",
-    weight: "",
-    height: "",
-    BMI: "",
-    smoking: "",
-    alcohol_consumption: "",
-    physical_activity: "",
-    family_history: "",
-    cholesterol_medication: "",
-  });
-  
-  const [classifier, setClassifier] = useState('BP_Class');
-  const [modelType, setModelType] = useState('GradientBoosting');
-  const [prediction, setPrediction] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const { schema, error: schemaError } = useSchema();
+  const { classifiers, error: classifiersError } = useClassifiers();
+  const single = usePrediction();
+  const analysis = usePredictionJob({ pollInterval: JOB_POLL_MS });
+  const [inputs, setInputs] = useState({});
+
+  const [classifier, setClassifier] = useState('');
+  const [modelType, setModelType] = useState('');
+  const [ensembleStrategy, setEnsembleStrategy] = useState('weighted');
+  const [formError, setFormError] = useState(null);
   const [predictionMode, setPredictionMode] = useState('single');
+  const [patientId, setPatientId] = useState('');
+  const [analysisInput, setAnalysisInput] = useState(null);
+  const [units, setUnits] = useState({ weight: 'kg', height: 'cm' });
+  const [heightImperial, setHeightImperial] = useState({ ft: '', in: '' });
+  const [bmiOverride, setBmiOverride] = useState(false);
+  const [whatIf, setWhatIf] = useState(null);
+
+  // Initialise an empty form once the schema has loaded
+  useEffect(() => {
+    if (schema) setInputs(Object.fromEntries(schema.order.map((key) => [key, ""])));
+  }, [schema]);
+
+  // Start on the first classifier the gateway discovered
+  useEffect(() => {
+    const [firstKey, firstEntry] = Object.entries(classifiers)[0] || [];
+    setClassifier(firstKey || '');
+    setModelType(firstEntry?.defaultModel || '');
+  }, [classifiers]);
+
+  // Complete analysis shows every cell from the start and fills them in while the job runs
+  let prediction = single.data;
+  if (predictionMode === 'all') {
+    const { job } = analysis;
+    if (job?.status === 'succeeded') {
+      prediction = { success: true, ...job.result, timestamp: job.finishedAt };
+    } else if (analysis.running && analysisInput) {
+      prediction = { success: true, predictions: pendingPredictions(classifiers, job?.partial), input: analysisInput };
+    } else {
+      prediction = null;
+    }
+  }
+
+  const loading = single.loading || analysis.running;
+  const progress = analysis.job?.progress || { completed: 0, total: 0 };
+  const loadError = (schemaError && `Could not load patient form: ${schemaError.message}`)
+    || (classifiersError && `Could not load classifiers: ${classifiersError.message}`);
+  const error = formError || single.error?.message || analysisErrorMessage(analysis) || loadError;
+
+  const getDisplayName = (key) => classifiers[key]?.displayName || key;
+  const modelOptions = classifiers[classifier]?.models || [];
+  const totalPredictions = Object.values(classifiers)
+    .reduce((sum, entry) => sum + entry.models.length, 0);
+
+  const handleClassifierChange = (e) => {
+    const next = e.target.value;
+    const entry = classifiers[next];
+    setClassifier(next);
+    if (entry && modelType !== ENSEMBLE && !entry.models.includes(modelType)) {
+      setModelType(entry.defaultModel);
+    }
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setInputs(prev => ({ ...prev, [name]: value }));
   };
 
-  // Validate that all fields are filled
+  // Run the form through the same derivation as the gateway: unit conversion to
+  // kg/cm and BMI calculated from weight and height unless overridden
+  const derivation = deriveFields({
+    ...inputs,
+    weight_unit: units.weight,
+    height_unit: units.height,
+    ...(units.height === 'ft_in' && { height_ft: heightImperial.ft, height_in: heightImperial.in }),
+    BMI: bmiOverride ? inputs.BMI : '',
+    bmi_override: bmiOverride,
+  });
+  const bmiWarning = derivation.warnings.find((warning) => warning.field === 'BMI');
+
+  // Validate every field against the schema rules
   const validateInputs = () => {
-    const emptyFields = Object.entries(inputs).filter(([_, value]) => value === "");
-    if (emptyFields.length > 0) {
-      const fieldNames = emptyFields.map(([key]) => FIELD_CONFIG[key]?.label || key).join(", ");
-      setError(`Please fill in all fields: ${fieldNames}`);
+    if (!schema) {
+      setFormError('Patient form is not loaded yet');
       return false;
     }
-    return true;
+
+    const messages = [
+      ...derivation.errors.map((issue) => issue.message),
+      ...schema.order
+        // A calculated BMI is only missing because weight or height is, which is reported already
+        .filter((key) => key !== 'BMI' || bmiOverride)
+        .map((key) => validateFieldValue(schema.fields[key], derivation.value[key] ?? "")),
+    ].filter(Boolean);
+
+    setFormError(messages.length > 0 ? messages.join(". ") : null);
+    return messages.length === 0;
   };
 
-  // Convert string inputs to numbers
+  // Normalized (kg/cm, derived BMI) record as numbers
   const prepareInputData = () => {
     const numericInputs = {};
-    for (const [key, value] of Object.entries(inputs)) {
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) {
-        throw new Error(`Invalid numeric value for ${FIELD_CONFIG[key]?.label || key}: ${value}`);
-      }
-      numericInputs[key] = numValue;
+    for (const key of schema.order) {
+      numericInputs[key] = Number(derivation.value[key]);
     }
     return numericInputs;
   };
 
-  const handleSinglePredict = async () => {
+  // The gateway re-checks BMI against weight and height, so pass the override along
+  const toRequestInput = (numericInputs) =>
+    (bmiOverride ? { ...numericInputs, bmi_override: true } : numericInputs);
+
+  // Predictions are saved to the patient's history when an ID is given
+  const historyOptions = () => ({ patientId: patientId.trim() });
+
+  const handleSinglePredict = () => {
     if (!validateInputs()) return;
 
-    setLoading(true);
-    setError(null);
-    setPrediction(null);
-
-    try {
-      const numericInputs = prepareInputData();
-      console.log('Sending data:', numericInputs);
-
-      const response = await fetch(
-        `${API_BASE_URL}/api/predict/${classifier}?model=${modelType}`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(numericInputs),
-        }
-      );
-      
-      const data = await response.json();
-      console.log('Response:', data);
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Prediction failed');
-      }
-      
-      setPrediction(data);
-    } catch (err) {
-      console.error('Error:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
+    const input = toRequestInput(prepareInputData());
+    if (modelType === ENSEMBLE) {
+      single.ensemble(classifier, input, { strategy: ensembleStrategy, ...historyOptions() });
+    } else {
+      single.predict(classifier, input, { model: modelType, ...historyOptions() });
     }
   };
 
-  const handlePredictAll = async () => {
+  const handlePredictAll = () => {
     if (!validateInputs()) return;
 
-    setLoading(true);
-    setError(null);
-    setPrediction(null);
-
-    try {
-      const numericInputs = prepareInputData();
-      console.log('Sending comprehensive prediction data:', numericInputs);
-
-      // Get predictions for all classifiers with all models
-      const allPredictions = {};
-      
-      for (const classifierKey of Object.keys(CLASSIFIERS)) {
-        allPredictions[classifierKey] = {};
-        
-        for (const model of MODEL_TYPES) {
-          try {
-            const response = await fetch(
-              `${API_BASE_URL}/api/predict/${classifierKey}?model=${model}`,
-              {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(numericInputs),
-              }
-            );
-            
-            const data = await response.json();
-            
-            if (response.ok && data.success) {
-              allPredictions[classifierKey][model] = {
-                prediction: data.prediction,
-                probabilities: data.probabilities,
-                class_labels: data.class_labels
-              };
-            } else {
-              allPredictions[classifierKey][model] = {
-                error: data.error || 'Prediction failed'
-              };
-            }
-          } catch (err) {
-            allPredictions[classifierKey][model] = {
-              error: err.message
-            };
-          }
-        }
-      }
-      
-      setPrediction({
-        success: true,
-        predictions: allPredictions,
-        input: numericInputs
-      });
-      
-    } catch (err) {
-      console.error('Error:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
+    const numericInputs = prepareInputData();
+    setAnalysisInput(numericInputs);
+    analysis.start(toRequestInput(numericInputs), historyOptions());
+  };
+
+  // Freeze the current form as the what-if baseline; sliders vary it from there
+  const handleStartWhatIf = () => {
+    if (!validateInputs()) return;
+
+    setWhatIf((prev) => ({
+      run: (prev?.run || 0) + 1,
+      baseline: toRequestInput(prepareInputData()),
+    }));
+  };
+
+  const switchMode = (mode) => {
+    setPredictionMode(mode);
+    setFormError(null);
+    single.reset();
+    analysis.reset();
   };
 
   const handleSubmit = () => {
     if (predictionMode === 'single') {
       handleSinglePredict();
+    } else if (predictionMode === 'whatif') {
+      handleStartWhatIf();
     } else {
       handlePredictAll();
     }
@@ -253,10 +266,151 @@ function Prediction() {
     );
   };
 
+  const inputClass = "border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400";
+  const unitSelectClass = "border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 bg-white";
+
+  // Field label without the "(kg)" style unit suffix, for fields with a unit picker
+  const bareLabel = (config) => config.label.replace(/\s*\(.*\)$/, '');
+
+  const renderWeightField = (config) => (
+    <div key="weight" className="flex flex-col">
+      <label className="font-semibold text-gray-700 mb-1">{bareLabel(config)}</label>
+      <div className="flex gap-2">
+        <input
+          type="number"
+          step="any"
+          min={units.weight === 'kg' ? config.min : undefined}
+          max={units.weight === 'kg' ? config.max : undefined}
+          name="weight"
+          value={inputs.weight}
+          onChange={handleChange}
+          placeholder={units.weight === 'kg' ? config.placeholder : 'Enter weight in lb'}
+          className={`${inputClass} flex-1 min-w-0`}
+        />
+        <select
+          value={units.weight}
+          onChange={(e) => setUnits((prev) => ({ ...prev, weight: e.target.value }))}
+          className={unitSelectClass}
+        >
+          <option value="kg">kg</option>
+          <option value="lb">lb</option>
+        </select>
+      </div>
+      {units.weight === 'lb' && derivation.derived.includes('weight') && (
+        <span className="text-xs text-gray-500 mt-1">= {derivation.value.weight} kg</span>
+      )}
+    </div>
+  );
+
+  const renderHeightField = (config) => (
+    <div key="height" className="flex flex-col">
+      <label className="font-semibold text-gray-700 mb-1">{bareLabel(config)}</label>
+      <div className="flex gap-2">
+        {units.height === 'cm' ? (
+          <input
+            type="number"
+            step="any"
+            min={config.min}
+            max={config.max}
+            name="height"
+            value={inputs.height}
+            onChange={handleChange}
+            placeholder={config.placeholder}
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+        ) : (
+          <>
+            <input
+              type="number"
+              step={1}
+              min={0}
+              value={heightImperial.ft}
+              onChange={(e) => setHeightImperial((prev) => ({ ...prev, ft: e.target.value }))}
+              placeholder="ft"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <input
+              type="number"
+              step="any"
+              min={0}
+              max={11.9}
+              value={heightImperial.in}
+              onChange={(e) => setHeightImperial((prev) => ({ ...prev, in: e.target.value }))}
+              placeholder="in"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+          </>
+        )}
+        <select
+          value={units.height}
+          onChange={(e) => setUnits((prev) => ({ ...prev, height: e.target.value }))}
+          className={unitSelectClass}
+        >
+          <option value="cm">cm</option>
+          <option value="ft_in">ft / in</option>
+        </select>
+      </div>
+      {units.height === 'ft_in' && derivation.derived.includes('height') && (
+        <span className="text-xs text-gray-500 mt-1">= {derivation.value.height} cm</span>
+      )}
+    </div>
+  );
+
+  const renderBmiField = (config) => (
+    <div key="BMI" className="flex flex-col">
+      <div className="flex items-center justify-between mb-1">
+        <label className="font-semibold text-gray-700">{config.label}</label>
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={bmiOverride}
+            onChange={(e) => {
+              setBmiOverride(e.target.checked);
+              if (e.target.checked && inputs.BMI === '' && derivation.derived.includes('BMI')) {
+                setInputs((prev) => ({ ...prev, BMI: String(derivation.value.BMI) }));
+              }
+            }}
+          />
+          Override
+        </label>
+      </div>
+      {bmiOverride ? (
+        <input
+          type="number"
+          step="any"
+          min={config.min}
+          max={config.max}
+          name="BMI"
+          value={inputs.BMI}
+          onChange={handleChange}
+          placeholder={config.placeholder}
+          className={inputClass}
+        />
+      ) : (
+        <input
+          type="text"
+          readOnly
+          value={derivation.value.BMI ?? ''}
+          placeholder="Calculated from weight and height"
+          className={`${inputClass} bg-gray-50 text-gray-700`}
+        />
+      )}
+      {bmiWarning && (
+        <span className="text-xs text-yellow-700 mt-1">
+          Does not match weight and height (calculated {bmiWarning.expected}).
+        </span>
+      )}
+    </div>
+  );
+
   const renderInputField = (key) => {
-    const config = FIELD_CONFIG[key];
+    const config = schema.fields[key];
+
+    if (key === 'weight') return renderWeightField(config);
+    if (key === 'height') return renderHeightField(config);
+    if (key === 'BMI') return renderBmiField(config);
     
-    if (config.type === 'select') {
+    if (config.type === 'enum') {
       return (
         <div key={key} className="flex flex-col">
           <label className="font-semibold text-gray-700 mb-1">
@@ -286,12 +440,14 @@ function Prediction() {
         </label>
         <input
           type="number"
-          step="any"
+          step={config.type === 'integer' ? 1 : 'any'}
+          min={config.min}
+          max={config.max}
           name={key}
           value={inputs[key]}
           onChange={handleChange}
           placeholder={config.placeholder}
-          className="border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+          className={inputClass}
         />
       </div>
     );
@@ -315,11 +471,7 @@ function Prediction() {
         {/* Prediction Mode Selection */}
         <div className="mb-6 flex gap-4">
           <button
-            onClick={() => {
-              setPredictionMode('single');
-              setPrediction(null);
-              setError(null);
-            }}
+            onClick={() => switchMode('single')}
             className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all ${
               predictionMode === 'single'
                 ? 'bg-purple-600 text-white shadow-lg'
@@ -329,11 +481,7 @@ function Prediction() {
             Single Prediction
           </button>
           <button
-            onClick={() => {
-              setPredictionMode('all');
-              setPrediction(null);
-              setError(null);
-            }}
+            onClick={() => switchMode('all')}
             className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all ${
               predictionMode === 'all'
                 ? 'bg-purple-600 text-white shadow-lg'
@@ -342,8 +490,33 @@ function Prediction() {
           >
             Complete Analysis (All Models)
           </button>
+          <button
+            onClick={() => switchMode('whatif')}
+            className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all ${
+              predictionMode === 'whatif'
+                ? 'bg-purple-600 text-white shadow-lg'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            What-if
+          </button>
+          <button
+            onClick={() => switchMode('cohort')}
+            className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all ${
+              predictionMode === 'cohort'
+                ? 'bg-purple-600 text-white shadow-lg'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            Cohort (File Upload)
+          </button>
         </div>
 
+        {/* Cohort Upload */}
+        {predictionMode === 'cohort' && (
+          <CohortPanel classifiers={classifiers} />
+        )}
+
         {/* Single Classifier Options */}
         {predictionMode === 'single' && (
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
@@ -353,11 +526,11 @@ function Prediction() {
               </label>
               <select
                 value={classifier}
-                onChange={(e) => setClassifier(e.target.value)}
+                onChange={handleClassifierChange}
                 className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 bg-white"
               >
-                {Object.entries(CLASSIFIERS).map(([key, label]) => (
-                  <option key={key} value={key}>{label}</option>
+                {Object.entries(classifiers).map(([key, entry]) => (
+                  <option key={key} value={key}>{entry.displayName}</option>
                 ))}
               </select>
             </div>
@@ -371,11 +544,41 @@ function Prediction() {
                 onChange={(e) => setModelType(e.target.value)}
                 className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 bg-white"
               >
-                {MODEL_TYPES.map((model) => (
+                {modelOptions.map((model) => (
                   <option key={model} value={model}>{model}</option>
                 ))}
+                {modelOptions.length > 1 && (
+                  <option value={ENSEMBLE}>Ensemble (all models)</option>
+                )}
               </select>
             </div>
+
+            {modelType === ENSEMBLE && (
+              <div className="sm:col-span-2">
+                <label className="font-semibold text-gray-700 mb-2 block">
+                  Ensemble Strategy:
+                </label>
+                <select
+                  value={ensembleStrategy}
+                  onChange={(e) => setEnsembleStrategy(e.target.value)}
+                  className="w-full border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400 bg-white"
+                >
+                  {ENSEMBLE_STRATEGIES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* What-if Info */}
+        {predictionMode === 'whatif' && (
+          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-blue-800 text-sm">
+              <strong>What-if Mode:</strong> Enter the patient's current details, then adjust smoking, activity,
+              alcohol and weight to see how the risk for each classifier changes.
+            </p>
           </div>
         )}
 
@@ -383,37 +586,79 @@ function Prediction() {
         {predictionMode === 'all' && (
           <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
             <p className="text-blue-800 text-sm">
-              <strong>Complete Analysis Mode:</strong> This will test all {Object.keys(CLASSIFIERS).length} classifiers 
-              with all {MODEL_TYPES.length} models ({Object.keys(CLASSIFIERS).length * MODEL_TYPES.length} total predictions).
+              <strong>Complete Analysis Mode:</strong> This will test all {Object.keys(classifiers).length} classifiers 
+              with all of their models ({totalPredictions} total predictions).
             </p>
           </div>
         )}
 
-        {/* Input Fields */}
-        <div className="mb-6">
-          <h3 className="font-semibold text-gray-800 mb-4 text-lg">Patient Information</h3>
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            {Object.keys(inputs).map((key) => renderInputField(key))}
-          </div>
-        </div>
+        {predictionMode !== 'cohort' && (
+          <>
+            {/* Input Fields */}
+            <div className="mb-6">
+              <h3 className="font-semibold text-gray-800 mb-4 text-lg">Patient Information</h3>
+              <div className="flex flex-col mb-4">
+                <label className="font-semibold text-gray-700 mb-1">
+                  Patient ID <span className="text-gray-500 font-normal text-sm">(optional, saves to history)</span>
+                </label>
+                <input
+                  type="text"
+                  value={patientId}
+                  onChange={(e) => setPatientId(e.target.value)}
+                  placeholder="e.g., PAT-0001"
+                  maxLength={64}
+                  className="border border-gray-300 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {schema ? (
+                  schema.order.map((key) => renderInputField(key))
+                ) : (
+                  <p className="text-gray-500 text-sm">Loading patient form...</p>
+                )}
+              </div>
+            </div>
 
-        {/* Submit Button */}
-        <button
-          onClick={handleSubmit}
-          disabled={loading}
-          className="w-full bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-semibold px-8 py-4 rounded-xl transition-all duration-200 hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100 flex items-center justify-center gap-2"
-        >
-          {loading ? (
-            <>
-              <Loader className="w-5 h-5 animate-spin" />
-              {predictionMode === 'all' ? 'Running Complete Analysis...' : 'Processing...'}
-            </>
-          ) : (
-            <>
-              {predictionMode === 'all' ? 'Run Complete Analysis' : `Predict ${CLASSIFIERS[classifier]}`}
-            </>
-          )}
-        </button>
+            {/* Submit Button */}
+            <button
+              onClick={handleSubmit}
+              disabled={loading || !schema || !classifier}
+              className="w-full bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-semibold px-8 py-4 rounded-xl transition-all duration-200 hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100 flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader className="w-5 h-5 animate-spin" />
+                  {predictionMode === 'all'
+                    ? `Running Complete Analysis... ${progress.total ? `(${progress.completed}/${progress.total})` : ''}`
+                    : 'Processing...'}
+                </>
+              ) : (
+                <>
+                  {predictionMode === 'all' && 'Run Complete Analysis'}
+                  {predictionMode === 'single' && `Predict ${getDisplayName(classifier)}`}
+                  {predictionMode === 'whatif' && (whatIf ? 'Restart from Current Inputs' : 'Start What-if Simulation')}
+                </>
+              )}
+            </button>
+            {analysis.running && analysis.job && (
+              <button
+                onClick={analysis.cancel}
+                className="w-full mt-2 text-sm font-semibold text-gray-600 hover:text-red-700"
+              >
+                Cancel analysis
+              </button>
+            )}
+          </>
+        )}
+
+        {predictionMode === 'whatif' && whatIf && schema && (
+          <WhatIfPanel
+            key={whatIf.run}
+            baseline={whatIf.baseline}
+            schema={schema}
+            getDisplayName={getDisplayName}
+          />
+        )}
 
         {/* Error Display */}
         {error && (
@@ -429,10 +674,13 @@ function Prediction() {
         {/* Single Prediction Result */}
         {prediction && predictionMode === 'single' && prediction.success && (
           <div className="mt-6 space-y-4">
+            <div className="flex justify-end">
+              <ReportButton request={singleReportRequest(prediction)} patientId={prediction.patientId} />
+            </div>
             <div className={`p-6 rounded-xl border-2 ${getResultClass(prediction.prediction)}`}>
               <div className="flex items-center justify-between mb-4">
                 <h4 className="font-bold text-gray-800 text-lg">
-                  {CLASSIFIERS[prediction.classifier]} Result
+                  {getDisplayName(prediction.classifier)} Result
                 </h4>
                 {getResultIcon(prediction.prediction)}
               </div>
@@ -450,6 +698,50 @@ function Prediction() {
                   <span className="text-gray-900">{prediction.model}</span>
                 </div>
 
+                {prediction.disagreement && (
+                  <div className="mt-4 pt-4 border-t space-y-2">
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-700 font-semibold">Strategy:</span>
+                      <span className="text-gray-900 capitalize">{prediction.strategy}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-700 font-semibold">Consensus Probability:</span>
+                      <span className="text-gray-900">{(prediction.consensusProbability * 100).toFixed(1)}%</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-700 font-semibold">Model Agreement:</span>
+                      <span className="text-gray-900">
+                        {(prediction.disagreement.agreement * 100).toFixed(0)}% (spread ±{(prediction.disagreement.stdDev * 100).toFixed(1)}%)
+                      </span>
+                    </div>
+
+                    {prediction.disagreement.flagged && (
+                      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start gap-2">
+                        <AlertCircle className="w-4 h-4 text-yellow-600 mt-0.5" />
+                        <p className="text-sm text-yellow-800">
+                          The models disagree beyond the configured threshold. Review the individual model results before relying on this answer.
+                        </p>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                      {Object.entries(prediction.models).map(([modelName, result]) => (
+                        <div key={modelName} className="bg-white p-3 rounded-lg">
+                          <div className="text-xs text-gray-600">{modelName}</div>
+                          <div className="text-sm font-bold">
+                            {result.error ? 'Error' : getResultText(result.prediction)}
+                          </div>
+                          {!result.error && result.probabilities && (
+                            <div className="text-xs text-purple-600">
+                              {(result.probabilities[0][result.probabilities[0].length - 1] * 100).toFixed(1)}% {result.class_labels?.at(-1) || 'positive'}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {prediction.probabilities && (
                   <div className="mt-4 pt-4 border-t">
                     <span className="text-gray-700 font-semibold block mb-2">Confidence:</span>
@@ -469,23 +761,51 @@ function Prediction() {
                 )}
               </div>
             </div>
+
+            {/* The explanation perturbs one model, so it isn't offered for ensemble results */}
+            {!prediction.strategy && prediction.probabilities && (
+              <div className="p-6 rounded-xl border-2 border-gray-200 bg-white">
+                <ExplanationPanel
+                  key={prediction.timestamp}
+                  classifier={prediction.classifier}
+                  model={prediction.model}
+                  input={prediction.input}
+                />
+              </div>
+            )}
           </div>
         )}
 
         {/* Complete Analysis Results - All Classifiers with All Models */}
         {prediction && predictionMode === 'all' && prediction.success && (
           <div className="mt-6 space-y-6">
-            <h4 className="font-bold text-gray-800 text-xl mb-4">Complete Health Analysis Results</h4>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="font-bold text-gray-800 text-xl">Complete Health Analysis Results</h4>
+              {!loading && prediction.timestamp && (
+                <ReportButton request={matrixReportRequest(prediction)} patientId={prediction.patientId} />
+              )}
+            </div>
             
             {Object.entries(prediction.predictions).map(([classifierKey, models]) => (
               <div key={classifierKey} className="border-2 border-gray-200 rounded-xl p-6 bg-gray-50">
                 <h5 className="font-bold text-gray-900 text-lg mb-4 flex items-center gap-2">
                   <Brain className="w-6 h-6 text-purple-600" />
-                  {CLASSIFIERS[classifierKey]}
+                  {getDisplayName(classifierKey)}
                 </h5>
                 
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   {Object.entries(models).map(([modelName, result]) => {
+                    if (!result) {
+                      return (
+                        <div key={modelName} className="p-4 rounded-lg border-2 bg-white border-gray-200">
+                          <div className="flex items-center gap-2">
+                            <Loader className="w-4 h-4 text-gray-400 animate-spin" />
+                            <span className="font-semibold text-gray-500">{modelName}</span>
+                          </div>
+                        </div>
+                      );
+                    }
+
                     if (result.error) {
                       return (
                         <div key={modelName} className="p-4 rounded-lg border-2 bg-yellow-50 border-yellow-200">
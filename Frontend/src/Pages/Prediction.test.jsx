@@ -0,0 +1,371 @@
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Prediction from "./Prediction";
+import { createFakeApi, json, renderWithApi } from "../test/fakeApi";
+
+const MODELS = ["GradientBoosting", "LogisticRegression", "RandomForest"];
+
+const yesNo = [{ value: 0, label: "No" }, { value: 1, label: "Yes" }];
+
+const SCHEMA = {
+  fields: {
+    age: { type: "integer", label: "Age", min: 1, max: 120, placeholder: "Enter age (e.g., 45)" },
+    sex: { type: "enum", label: "Sex", options: [{ value: 1, label: "Male" }, { value: 0, label: "Female" }] },
+    weight: { type: "number", label: "Weight (kg)", min: 20, max: 300, placeholder: "Enter weight in kg" },
+    height: { type: "number", label: "Height (cm)", min: 100, max: 250, placeholder: "Enter height in cm" },
+    BMI: { type: "number", label: "BMI", min: 10, max: 70, placeholder: "Enter BMI" },
+    smoking: { type: "enum", label: "Smoking Status", options: [{ value: 0, label: "Non-smoker" }, { value: 1, label: "Current smoker" }] },
+    family_history: { type: "enum", label: "Family History", options: yesNo },
+  },
+  order: ["age", "sex", "weight", "height", "BMI", "smoking", "family_history"],
+};
+
+const CLASSIFIERS = {
+  BP_Class: { displayName: "Blood Pressure", models: MODELS, defaultModel: "GradientBoosting" },
+  Diabetes_Class: { displayName: "Diabetes", models: MODELS, defaultModel: "RandomForest" },
+};
+
+const PATIENT = { age: "45", sex: "1", weight: "80", height: "175", smoking: "0", family_history: "1" };
+
+// The record the form should send for PATIENT, with BMI derived from weight and height
+const SENT = { age: 45, sex: 1, weight: 80, height: 175, BMI: 26.1, smoking: 0, family_history: 1 };
+
+const metadataRoutes = {
+  "GET /api/schema": () => json({ success: true, schema: SCHEMA }),
+  "GET /api/classifiers": () => json({ success: true, classifiers: CLASSIFIERS, count: 2 }),
+};
+
+const predictionFor = (call, prediction, probabilities) => json({
+  success: true,
+  classifier: call.path.split("/").pop(),
+  model: call.query.model,
+  prediction: [prediction],
+  probabilities: [probabilities],
+  class_labels: ["Negative", "Positive"],
+  input: call.body,
+  timestamp: "2026-01-01T00:00:00.000Z",
+});
+
+async function renderPage(routes = {}) {
+  const api = createFakeApi({ ...metadataRoutes, ...routes });
+  const user = userEvent.setup();
+  const view = renderWithApi(<Prediction />, api);
+  await screen.findByRole("button", { name: "Predict Blood Pressure" });
+  return { api, user, ...view };
+}
+
+async function fillPatient(user, container, values = PATIENT) {
+  for (const [name, value] of Object.entries(values)) {
+    const field = container.querySelector(`[name="${name}"]`);
+    if (field.tagName === "SELECT") {
+      await user.selectOptions(field, value);
+    } else {
+      await user.clear(field);
+      await user.type(field, value);
+    }
+  }
+}
+
+const errorBanner = () => screen.getByRole("heading", { name: "Error" }).parentElement;
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("Prediction page", () => {
+  it("builds the form from the gateway schema and classifier registry", async () => {
+    const { container } = await renderPage();
+
+    for (const key of ["age", "sex", "weight", "height", "smoking", "family_history"]) {
+      expect(container.querySelector(`[name="${key}"]`)).toBeInTheDocument();
+    }
+    expect(screen.getByPlaceholderText("Calculated from weight and height")).toHaveAttribute("readonly");
+    expect(screen.getByRole("option", { name: "Blood Pressure" })).toBeInTheDocument();
+    expect(screen.getByRole("option", { name: "Ensemble (all models)" })).toBeInTheDocument();
+  });
+
+  it("shows an error when the schema can't be loaded", async () => {
+    const api = createFakeApi({
+      ...metadataRoutes,
+      "GET /api/schema": () => json({ success: false, error: "Service unavailable" }, 503),
+    });
+    renderWithApi(<Prediction />, api);
+
+    expect(await screen.findByText("Could not load patient form: Service unavailable")).toBeInTheDocument();
+  });
+
+  describe("form validation", () => {
+    it("reports missing fields without calling the gateway", async () => {
+      const { api, user } = await renderPage();
+
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+
+      expect(errorBanner()).toHaveTextContent("Age is required");
+      expect(errorBanner()).toHaveTextContent("Smoking Status is required");
+      expect(api.calls.filter((call) => call.method === "POST")).toEqual([]);
+    });
+
+    it("checks ranges and whole numbers against the schema", async () => {
+      const { api, user, container } = await renderPage();
+
+      await fillPatient(user, container, { ...PATIENT, age: "150" });
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+      expect(errorBanner()).toHaveTextContent("Age must be between 1 and 120");
+
+      await fillPatient(user, container, { age: "45.5" });
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+      expect(errorBanner()).toHaveTextContent("Age must be a whole number");
+
+      expect(api.calls.filter((call) => call.method === "POST")).toEqual([]);
+    });
+
+    it("derives BMI from weight and height", async () => {
+      const { user, container } = await renderPage();
+
+      await fillPatient(user, container, { weight: "80", height: "175" });
+
+      expect(screen.getByPlaceholderText("Calculated from weight and height")).toHaveValue("26.1");
+    });
+  });
+
+  describe("single prediction", () => {
+    it("sends numeric inputs and renders the result with probabilities", async () => {
+      const { api, user, container } = await renderPage({
+        "POST /api/predict/BP_Class": (call) => predictionFor(call, 1, [0.27, 0.73]),
+      });
+
+      await fillPatient(user, container);
+      await user.type(screen.getByPlaceholderText("e.g., PAT-0001"), "PAT-7");
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+
+      expect(await screen.findByText("Blood Pressure Result")).toBeInTheDocument();
+      const request = api.calls.find((call) => call.method === "POST");
+      expect(request.query).toEqual({ model: "GradientBoosting", patientId: "PAT-7" });
+      expect(request.body).toEqual(SENT);
+
+      const result = screen.getByText("Blood Pressure Result").closest("div.border-2");
+      expect(result).toHaveClass("bg-red-50");
+      expect(within(result).getByText("Positive", { selector: ".text-2xl" })).toBeInTheDocument();
+      expect(within(result).getByText("GradientBoosting")).toBeInTheDocument();
+      expect(within(result).getByText("27.0%")).toBeInTheDocument();
+      expect(within(result).getByText("73.0%")).toBeInTheDocument();
+    });
+
+    it("renders a negative result in green", async () => {
+      const { user, container } = await renderPage({
+        "POST /api/predict/Diabetes_Class": (call) => predictionFor(call, 0, [0.9, 0.1]),
+      });
+
+      await fillPatient(user, container);
+      await user.selectOptions(screen.getByDisplayValue("Blood Pressure"), "Diabetes_Class");
+      expect(screen.getByDisplayValue("GradientBoosting")).toBeInTheDocument();
+      await user.click(screen.getByRole("button", { name: "Predict Diabetes" }));
+
+      const result = (await screen.findByText("Diabetes Result")).closest("div.border-2");
+      expect(result).toHaveClass("bg-green-50");
+      expect(within(result).getByText("Negative", { selector: ".text-2xl" })).toBeInTheDocument();
+      expect(within(result).getByText("90.0%")).toBeInTheDocument();
+    });
+
+    it("shows the gateway's validation details in the error banner", async () => {
+      const { user, container } = await renderPage({
+        "POST /api/predict/BP_Class": () => json({
+          success: false,
+          error: "Invalid patient data",
+          details: [
+            { field: "age", message: "Age must be between 1 and 120" },
+            { field: "BMI", message: "BMI does not match weight and height" },
+          ],
+        }, 422),
+      });
+
+      await fillPatient(user, container);
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+
+      await waitFor(() => expect(errorBanner()).toHaveTextContent(
+        "Age must be between 1 and 120. BMI does not match weight and height"
+      ));
+      expect(screen.queryByText("Blood Pressure Result")).not.toBeInTheDocument();
+    });
+
+    it("shows upstream failures in the error banner", async () => {
+      const { user, container } = await renderPage({
+        "POST /api/predict/BP_Class": () => json({
+          success: false,
+          error: "Python service is not running.",
+          code: "UPSTREAM_UNAVAILABLE",
+        }, 503),
+      });
+
+      await fillPatient(user, container);
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+
+      await waitFor(() => expect(errorBanner()).toHaveTextContent("Python service is not running."));
+      expect(screen.getByRole("button", { name: "Predict Blood Pressure" })).toBeEnabled();
+    });
+
+    it("asks for an ensemble and flags model disagreement", async () => {
+      const { api, user, container } = await renderPage({
+        "POST /api/ensemble/BP_Class": (call) => json({
+          success: true,
+          classifier: "BP_Class",
+          model: "ensemble",
+          strategy: call.query.strategy,
+          prediction: [1],
+          probabilities: [[0.4, 0.6]],
+          consensusProbability: 0.6,
+          disagreement: { agreement: 0.67, stdDev: 0.21, flagged: true },
+          models: {
+            GradientBoosting: { prediction: [1], probabilities: [[0.2, 0.8]], class_labels: ["Negative", "Positive"] },
+            LogisticRegression: { prediction: [0], probabilities: [[0.65, 0.35]], class_labels: ["Negative", "Positive"] },
+            RandomForest: { error: "Model unavailable" },
+          },
+          input: call.body,
+          timestamp: "2026-01-01T00:00:00.000Z",
+        }),
+      });
+
+      await fillPatient(user, container);
+      await user.selectOptions(screen.getByDisplayValue("GradientBoosting"), "ensemble");
+      await user.selectOptions(screen.getByDisplayValue("Weighted soft vote"), "majority");
+      await user.click(screen.getByRole("button", { name: "Predict Blood Pressure" }));
+
+      const consensus = await screen.findByText("Consensus Probability:");
+      expect(consensus.nextSibling).toHaveTextContent("60.0%");
+      expect(api.calls.find((call) => call.method === "POST").query).toEqual({ strategy: "majority" });
+      expect(screen.getByText(/models disagree beyond the configured threshold/)).toBeInTheDocument();
+      expect(screen.getByText("80.0% Positive")).toBeInTheDocument();
+      expect(screen.getByText("Error")).toBeInTheDocument();
+    });
+  });
+
+  describe("complete analysis", () => {
+    const cell = (prediction, positive) => ({
+      prediction: [prediction],
+      probabilities: [[1 - positive, positive]],
+      class_labels: ["Negative", "Positive"],
+    });
+
+    const RESULT = {
+      predictions: {
+        BP_Class: {
+          GradientBoosting: cell(1, 0.8),
+          LogisticRegression: cell(0, 0.3),
+          RandomForest: { error: "Prediction failed: model exploded" },
+        },
+        Diabetes_Class: {
+          GradientBoosting: cell(0, 0.1),
+          LogisticRegression: cell(0, 0.2),
+          RandomForest: cell(0, 0.15),
+        },
+      },
+      input: SENT,
+    };
+
+    const job = (status, extra = {}) => ({
+      id: "job-1",
+      type: "predict-all",
+      status,
+      progress: { completed: 0, total: 6 },
+      ...extra,
+    });
+
+    it("describes the analysis when switching modes", async () => {
+      const { user } = await renderPage();
+
+      await user.click(screen.getByRole("button", { name: "Complete Analysis (All Models)" }));
+
+      expect(screen.getByText(/test all 2 classifiers/)).toHaveTextContent("(6 total predictions)");
+      expect(screen.getByRole("button", { name: "Run Complete Analysis" })).toBeInTheDocument();
+      expect(screen.queryByRole("option", { name: "Blood Pressure" })).not.toBeInTheDocument();
+    });
+
+    it("submits a background job and renders every classifier and model", async () => {
+      const { api, user, container } = await renderPage({
+        "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+        "GET /api/jobs/job-1": () => json({
+          success: true,
+          job: job("succeeded", { progress: { completed: 6, total: 6 }, result: RESULT, finishedAt: "2026-01-01T00:00:00.000Z" }),
+        }),
+      });
+
+      await user.click(screen.getByRole("button", { name: "Complete Analysis (All Models)" }));
+      await fillPatient(user, container);
+      await user.click(screen.getByRole("button", { name: "Run Complete Analysis" }));
+
+      expect(await screen.findByText("Complete Health Analysis Results")).toBeInTheDocument();
+      await screen.findByText("Error: Prediction failed: model exploded");
+      expect(api.calls.find((call) => call.method === "POST").body).toEqual(SENT);
+
+      const bp = screen.getByRole("heading", { name: "Blood Pressure" }).parentElement;
+      expect(within(bp).getByText("Positive", { selector: "p" })).toBeInTheDocument();
+      expect(within(bp).getByText("80.0%")).toBeInTheDocument();
+      const diabetes = screen.getByRole("heading", { name: "Diabetes" }).parentElement;
+      expect(within(diabetes).getAllByText("Negative", { selector: "p" })).toHaveLength(3);
+      expect(screen.getByRole("button", { name: "Run Complete Analysis" })).toBeEnabled();
+    });
+
+    it("fills in results while the job runs and offers to cancel it", async () => {
+      let polls = 0;
+      const { api, user, container } = await renderPage({
+        "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+        "POST /api/jobs/job-1/cancel": () => json({ success: true, job: job("cancelled") }),
+        "GET /api/jobs/job-1": () => {
+          polls++;
+          return polls === 1
+            ? json({ success: true, job: job("running", { progress: { completed: 1, total: 6 }, partial: { BP_Class: { GradientBoosting: cell(1, 0.8) } } }) })
+            : json({ success: true, job: job("cancelled") });
+        },
+      });
+
+      await user.click(screen.getByRole("button", { name: "Complete Analysis (All Models)" }));
+      await fillPatient(user, container);
+      await user.click(screen.getByRole("button", { name: "Run Complete Analysis" }));
+
+      expect(await screen.findByText("80.0%")).toBeInTheDocument();
+      expect(screen.getByRole("button", { name: /Running Complete Analysis\.\.\. \(1\/6\)/ })).toBeDisabled();
+
+      await user.click(screen.getByRole("button", { name: "Cancel analysis" }));
+      expect(api.calls.some((call) => call.method === "POST" && call.path === "/api/jobs/job-1/cancel")).toBe(true);
+
+      await waitFor(() => expect(errorBanner()).toHaveTextContent("Complete analysis was cancelled"), { timeout: 3000 });
+      expect(screen.queryByText("Complete Health Analysis Results")).not.toBeInTheDocument();
+    });
+
+    it("reports a failed job", async () => {
+      const { user, container } = await renderPage({
+        "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+        "GET /api/jobs/job-1": () => json({
+          success: true,
+          job: job("failed", { error: { message: "Every prediction failed", code: "UPSTREAM_ERROR" } }),
+        }),
+      });
+
+      await user.click(screen.getByRole("button", { name: "Complete Analysis (All Models)" }));
+      await fillPatient(user, container);
+      await user.click(screen.getByRole("button", { name: "Run Complete Analysis" }));
+
+      await waitFor(() => expect(errorBanner()).toHaveTextContent("Every prediction failed"));
+    });
+
+    it("clears results and errors when switching back to single mode", async () => {
+      const { user } = await renderPage();
+
+      await user.click(screen.getByRole("button", { name: "Complete Analysis (All Models)" }));
+      await user.click(screen.getByRole("button", { name: "Run Complete Analysis" }));
+      expect(errorBanner()).toHaveTextContent("Age is required");
+
+      await user.click(screen.getByRole("button", { name: "Single Prediction" }));
+      expect(screen.queryByRole("heading", { name: "Error" })).not.toBeInTheDocument();
+      expect(screen.getByRole("button", { name: "Predict Blood Pressure" })).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,523 @@
+import { API_BASE_URL } from "../config";
+import { readEventStream } from "../utils/readEventStream";
+
+// Client for the gateway's REST API (/api). Every call
+// can be cancelled with an AbortSignal and times out on its own, and every
+// failure - HTTP error, network error, timeout or cancellation - is thrown as an
+// ApiError. Response types mirror the gateway's OpenAPI spec (/api/openapi.json).
+
+/**
+ * @typedef {Record<string, number | boolean>} PatientInput
+ *   Patient record keyed by schema field; `bmi_override: true` keeps a submitted BMI
+ *
+ * @typedef {Object} ClassifierEntry
+ * @property {string} displayName
+ * @property {string[]} models
+ * @property {string} defaultModel
+ * @property {string[]} [features]
+ *
+ * @typedef {Object} SchemaField
+ * @property {"integer" | "number" | "enum"} type
+ * @property {string} label
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {string} [unit]
+ * @property {string} [placeholder]
+ * @property {{ value: number, label: string }[]} [options]
+ *
+ * @typedef {Object} PatientSchema
+ * @property {Record<string, SchemaField>} fields
+ * @property {string[]} order
+ *
+ * @typedef {Object} ModelResult One model's answer, or why it has none
+ * @property {number[]} [prediction]
+ * @property {number[][]} [probabilities]
+ * @property {string[]} [class_labels]
+ * @property {string} [error]
+ *
+ * @typedef {Object} PredictionResult
+ * @property {true} success
+ * @property {string} classifier
+ * @property {string} model
+ * @property {number[]} prediction
+ * @property {number[][]} [probabilities]
+ * @property {string[]} [class_labels]
+ * @property {PatientInput} input
+ * @property {string | null} patientId
+ * @property {string | null} recordId
+ * @property {string} timestamp
+ *
+ * @typedef {PredictionResult & {
+ *   strategy: "mean" | "weighted" | "majority",
+ *   consensusProbability: number,
+ *   disagreement: { agreement: number, stdDev: number, flagged: boolean },
+ *   models: Record<string, ModelResult>
+ * }} EnsembleResult
+ *
+ * @typedef {Object} PredictAllResult
+ * @property {true} success
+ * @property {Record<string, Record<string, ModelResult>>} predictions Classifier → model → result
+ * @property {{ total: number, succeeded: number, failed: number }} summary
+ * @property {PatientInput} input
+ * @property {string | null} patientId
+ * @property {string} timestamp
+ *
+ * @typedef {Object} ComparisonResult
+ * @property {true} success
+ * @property {string} classifier
+ * @property {Record<string, ModelResult>} models
+ * @property {PatientInput} input
+ * @property {string} timestamp
+ *
+ * @typedef {Object} ModelInfo
+ * @property {true} success
+ * @property {string} classifier
+ * @property {string} model_type
+ * @property {string[]} available_models
+ * @property {boolean} has_predict_proba
+ * @property {string[]} features
+ * @property {number} feature_count
+ *
+ * @typedef {Object} Job A background job; `result` once it has succeeded, `partial` while it runs
+ * @property {string} id
+ * @property {"predict-all" | "compare-models"} type
+ * @property {"queued" | "running" | "succeeded" | "failed" | "cancelled"} status
+ * @property {{ completed: number, total: number }} progress
+ * @property {{ message: string, code: string } | null} error
+ * @property {Object | null} [result]
+ * @property {Object | null} [partial]
+ * @property {string | null} finishedAt
+ *
+ * @typedef {Object} PatientSummary
+ * @property {string} patientId
+ * @property {number} recordCount
+ * @property {string | null} firstRecordedAt
+ * @property {string | null} lastRecordedAt
+ *
+ * @typedef {Object} HistoryRecord One saved prediction
+ * @property {string} id
+ * @property {string} patientId
+ * @property {string} timestamp
+ * @property {"predict" | "predict-all" | "ensemble"} source
+ * @property {string} classifier
+ * @property {string} model
+ * @property {PatientInput} input
+ * @property {number} prediction
+ * @property {string} label
+ * @property {number | null} probability Positive-class probability
+ *
+ * @typedef {{ patientId: string, recordIds: string[] }
+ *   | { patientId?: string, input: PatientInput, targets: { classifier: string, model: string, strategy?: string }[] }} ReportRequest
+ *   What a report covers: saved history records, or an input the gateway scores again
+ *
+ * @typedef {Object} CohortEvent One line of the cohort NDJSON stream
+ * @property {"start" | "row" | "done"} type
+ *
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] Cancels the request; it then rejects with code ABORTED
+ * @property {number} [timeout] Milliseconds before the request rejects with code TIMEOUT
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+// Fan-out calls (inline predict-all, explain, re-scored reports) wait on many upstream calls
+const BATCH_TIMEOUT_MS = 120000;
+
+/**
+ * Every failed call. `code` is the gateway's error code when it sent one (e.g.
+ * UPSTREAM_TIMEOUT, VALIDATION_FAILED), otherwise HTTP_ERROR, or NETWORK_ERROR,
+ * TIMEOUT or ABORTED for requests that never got an answer.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = "HTTP_ERROR", details = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  get isAbort() {
+    return this.code === "ABORTED";
+  }
+}
+
+// Accepts both the /api error body and the /api/v1 envelope
+const toApiError = (response, data, fallback) => {
+  const error = data && typeof data.error === "object" ? data.error : data || {};
+  const message = typeof data?.error === "object" ? error.message : data?.error;
+  const details = error.details || data?.details || null;
+
+  return new ApiError(
+    details?.length ? details.map((detail) => detail.message).join(". ") : message || fallback,
+    { status: response.status, code: error.code || "HTTP_ERROR", details }
+  );
+};
+
+const toQuery = (params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== "")
+  ).toString();
+  return query ? `?${query}` : "";
+};
+
+// Identical GETs (and predictions marked `dedupe`) that are in flight at the same
+// time share one request, per fetch function so different sessions never mix
+const inFlight = new WeakMap();
+
+/**
+ * Wait for a shared request on behalf of one caller. The caller's own signal
+ * only rejects its own promise; the request itself is aborted once every
+ * caller has given up on it.
+ */
+const join = (entry, signal, release) => new Promise((resolve, reject) => {
+  const leave = () => {
+    entry.subscribers--;
+    // Deferred so an immediate re-subscribe (React StrictMode remounts) reuses the request
+    queueMicrotask(() => {
+      if (entry.subscribers === 0 && !entry.settled) {
+        release();
+        entry.controller.abort();
+      }
+    });
+  };
+
+  const onAbort = () => {
+    leave();
+    reject(signal.reason instanceof ApiError
+      ? signal.reason
+      : new ApiError("Request was cancelled", { code: "ABORTED", cause: signal.reason }));
+  };
+
+  entry.subscribers++;
+  if (signal.aborted) {
+    onAbort();
+    return;
+  }
+  signal.addEventListener("abort", onAbort, { once: true });
+  entry.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+});
+
+/**
+ * Create a client for the gateway. `fetch` is usually useAuth().authFetch so
+ * requests carry the session token.
+ *
+ * @param {{ fetch?: typeof fetch, baseUrl?: string, timeout?: number }} [options]
+ */
+export function createApiClient({ fetch: fetcher = (...args) => fetch(...args), baseUrl = API_BASE_URL, timeout: defaultTimeout = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!inFlight.has(fetcher)) inFlight.set(fetcher, new Map());
+  const shared = inFlight.get(fetcher);
+
+  // `read` turns a successful response into the result (JSON by default); errors are always JSON
+  const send = async (method, path, { body, contentType, accept, read }, fallback, signal) => {
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = contentType || "application/json";
+    if (accept) headers.Accept = accept;
+
+    try {
+      const response = await fetcher(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined || contentType ? body : JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw toApiError(response, await response.json().catch(() => null), fallback);
+      }
+      if (read) return await read(response);
+
+      const data = await response.json().catch(() => null);
+      if (data?.success === false) throw toApiError(response, data, fallback);
+      return data;
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      if (signal.aborted) throw new ApiError("Request was cancelled", { code: "ABORTED", cause: err });
+      throw new ApiError(`Could not reach the gateway: ${err.message}`, { code: "NETWORK_ERROR", cause: err });
+    }
+  };
+
+  /**
+   * One call to the gateway. Resolves to the parsed body (or what `read` makes
+   * of the response); rejects with ApiError.
+   */
+  const request = (method, path, { body, contentType, accept, read, fallback, dedupe = method === "GET", signal, timeout = defaultTimeout } = {}) => {
+    const caller = new AbortController();
+    const timer = timeout > 0
+      ? setTimeout(() => caller.abort(new ApiError(`Request timed out after ${timeout / 1000}s`, { code: "TIMEOUT" })), timeout)
+      : null;
+    const forward = () => caller.abort(signal.reason);
+    if (signal?.aborted) forward();
+    else signal?.addEventListener("abort", forward, { once: true });
+
+    const key = dedupe ? `${method} ${path} ${body === undefined ? "" : JSON.stringify(body)}` : null;
+    let entry = key && shared.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0, settled: false };
+      entry.promise = send(method, path, { body, contentType, accept, read }, fallback, controller.signal).finally(() => {
+        entry.settled = true;
+        if (shared.get(key) === entry) shared.delete(key);
+      });
+      // Callers each handle the outcome; this just keeps an abandoned request quiet
+      entry.promise.catch(() => {});
+      if (key) shared.set(key, entry);
+    }
+
+    const release = () => {
+      if (key && shared.get(key) === entry) shared.delete(key);
+    };
+
+    return join(entry, caller.signal, release).finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forward);
+    });
+  };
+
+  return {
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ success: true, schema: PatientSchema }>}
+     */
+    getSchema: (options) =>
+      request("GET", "/api/schema", { ...options, fallback: "Failed to load patient schema" }),
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ success: true, classifiers: Record<string, ClassifierEntry>, count: number, updatedAt: string }>}
+     */
+    getClassifiers: (options) =>
+      request("GET", "/api/classifiers", { ...options, fallback: "Failed to load classifiers" }),
+
+    /**
+     * @param {string} classifier
+     * @param {RequestOptions & { model?: string }} [options]
+     * @returns {Promise<ModelInfo>}
+     */
+    getModelInfo: (classifier, { model, ...options } = {}) =>
+      request("GET", `/api/model-info/${encodeURIComponent(classifier)}${toQuery({ model })}`, {
+        ...options,
+        fallback: "Failed to load model information",
+      }),
+
+    /**
+     * One classifier's prediction; saved to the patient's history when `patientId` is given.
+     *
+     * @param {string} classifier
+     * @param {PatientInput} input
+     * @param {RequestOptions & { model?: string, patientId?: string }} [options]
+     * @returns {Promise<PredictionResult>}
+     */
+    predict: (classifier, input, { model, patientId, ...options } = {}) =>
+      request("POST", `/api/predict/${encodeURIComponent(classifier)}${toQuery({ model, patientId })}`, {
+        dedupe: true,
+        ...options,
+        body: input,
+        fallback: "Prediction failed",
+      }),
+
+    /**
+     * Consensus of every model of one classifier.
+     *
+     * @param {string} classifier
+     * @param {PatientInput} input
+     * @param {RequestOptions & { strategy?: "mean" | "weighted" | "majority", patientId?: string }} [options]
+     * @returns {Promise<EnsembleResult>}
+     */
+    ensemble: (classifier, input, { strategy, patientId, ...options } = {}) =>
+      request("POST", `/api/ensemble/${encodeURIComponent(classifier)}${toQuery({ strategy, patientId })}`, {
+        dedupe: true,
+        ...options,
+        body: input,
+        fallback: "Ensemble prediction failed",
+      }),
+
+    /**
+     * Every classifier × model in one request. For long runs prefer submitPredictAllJob().
+     *
+     * @param {PatientInput} input
+     * @param {RequestOptions & { patientId?: string }} [options]
+     * @returns {Promise<PredictAllResult>}
+     */
+    predictAll: (input, { patientId, ...options } = {}) =>
+      request("POST", `/api/predict-all${toQuery({ patientId })}`, {
+        dedupe: true,
+        timeout: BATCH_TIMEOUT_MS,
+        ...options,
+        body: input,
+        fallback: "Complete analysis failed",
+      }),
+
+    /**
+     * @param {string} classifier
+     * @param {PatientInput} input
+     * @param {RequestOptions} [options]
+     * @returns {Promise<ComparisonResult>}
+     */
+    compareModels: (classifier, input, options) =>
+      request("POST", `/api/compare-models/${encodeURIComponent(classifier)}`, {
+        dedupe: true,
+        ...options,
+        body: input,
+        fallback: "Model comparison failed",
+      }),
+
+    /**
+     * Queue a predict-all on the gateway; poll getJob() for the result.
+     *
+     * @param {PatientInput} input
+     * @param {RequestOptions & { patientId?: string }} [options]
+     * @returns {Promise<Job>}
+     */
+    submitPredictAllJob: async (input, { patientId, ...options } = {}) => {
+      const data = await request("POST", `/api/jobs/predict-all${toQuery({ patientId })}`, {
+        ...options,
+        body: input,
+        fallback: "Complete analysis failed",
+      });
+      return data.job;
+    },
+
+    /**
+     * @param {string} jobId
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Job>}
+     */
+    getJob: async (jobId, options) => {
+      const data = await request("GET", `/api/jobs/${encodeURIComponent(jobId)}`, {
+        ...options,
+        fallback: "Lost track of the background job",
+      });
+      return data.job;
+    },
+
+    /**
+     * @param {string} jobId
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Job>}
+     */
+    cancelJob: async (jobId, options) => {
+      const data = await request("POST", `/api/jobs/${encodeURIComponent(jobId)}/cancel`, {
+        ...options,
+        fallback: "Could not cancel the job",
+      });
+      return data.job;
+    },
+
+    /**
+     * Patients with saved predictions.
+     *
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ success: true, patients: PatientSummary[], count: number }>}
+     */
+    getPatients: (options) =>
+      request("GET", "/api/patients", { ...options, fallback: "Failed to load patients" }),
+
+    /**
+     * One patient's saved predictions, oldest first, within an optional ISO timestamp range.
+     *
+     * @param {string} patientId
+     * @param {RequestOptions & { classifier?: string, from?: string, to?: string }} [options]
+     * @returns {Promise<{ success: true, patientId: string, records: HistoryRecord[], count: number }>}
+     */
+    getHistory: (patientId, { classifier, from, to, ...options } = {}) =>
+      request("GET", `/api/patients/${encodeURIComponent(patientId)}/history${toQuery({ classifier, from, to })}`, {
+        ...options,
+        fallback: "Failed to load patient history",
+      }),
+
+    /**
+     * Request, upstream, cache and circuit breaker figures for the System panel.
+     *
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>}
+     */
+    getSystemMetrics: (options) =>
+      request("GET", "/api/system/metrics", { ...options, fallback: "Failed to load system metrics" }),
+
+    /**
+     * Score a baseline patient and variants of it (what-if). Nothing is saved to history.
+     *
+     * @param {{ baseline: PatientInput, variants: { label: string, changes: Object }[], classifiers?: string[], model?: string }} scenarios
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>}
+     */
+    runScenarios: (scenarios, options) =>
+      request("POST", "/api/scenarios", {
+        dedupe: true,
+        ...options,
+        body: scenarios,
+        fallback: "Scenario scoring failed",
+      }),
+
+    /**
+     * Per-field contributions to one prediction.
+     *
+     * @param {string} classifier
+     * @param {PatientInput} input
+     * @param {RequestOptions & { model?: string }} [options]
+     * @returns {Promise<Object>}
+     */
+    explain: (classifier, input, { model, ...options } = {}) =>
+      request("POST", `/api/explain/${encodeURIComponent(classifier)}${toQuery({ model })}`, {
+        dedupe: true,
+        timeout: BATCH_TIMEOUT_MS,
+        ...options,
+        body: input,
+        fallback: "Explanation failed",
+      }),
+
+    /**
+     * Render a PDF risk report.
+     *
+     * @param {ReportRequest} report
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Blob>}
+     */
+    generateReport: (report, options) =>
+      request("POST", "/api/reports", {
+        timeout: BATCH_TIMEOUT_MS,
+        ...options,
+        body: report,
+        read: (response) => response.blob(),
+        fallback: "Report generation failed",
+      }),
+
+    /**
+     * Score a CSV or JSON lines file of patients, calling `onEvent` with each
+     * streamed event; resolves once the stream ends. An `error` event rejects.
+     * There's no timeout by default: large cohorts take as long as they take.
+     *
+     * @param {string} content File contents
+     * @param {RequestOptions & { format?: "csv" | "ndjson", classifiers?: string[], allModels?: boolean, onEvent: (event: CohortEvent) => void }} options
+     * @returns {Promise<void>}
+     */
+    scoreCohort: (content, { format = "csv", classifiers = [], allModels = false, onEvent, ...options }) =>
+      request("POST", `/api/cohort/predict${toQuery({ classifiers: classifiers.join(","), models: allModels ? "all" : undefined })}`, {
+        timeout: 0,
+        ...options,
+        body: content,
+        contentType: format === "ndjson" ? "application/x-ndjson" : "text/csv",
+        accept: "application/x-ndjson",
+        read: (response) => readEventStream(response, (event) => {
+          if (event.type === "error") throw new ApiError(event.error, { code: "COHORT_FAILED" });
+          onEvent(event);
+        }),
+        fallback: "Cohort scoring failed",
+      }),
+
+    /**
+     * Download scored cohort results (the `downloadUrl` of the stream's done event).
+     *
+     * @param {string} downloadPath
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Blob>}
+     */
+    downloadCohortResults: (downloadPath, options) =>
+      request("GET", downloadPath, {
+        dedupe: false,
+        ...options,
+        read: (response) => response.blob(),
+        fallback: "Download failed",
+      }),
+  };
+}
@@ -0,0 +1,190 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ApiError, createApiClient } from "./client";
+import { createFakeApi, json } from "../test/fakeApi";
+
+const CLASSIFIERS = { BP_Class: { displayName: "Blood Pressure", models: ["RandomForest"], defaultModel: "RandomForest" } };
+
+// A response that only arrives when the test says so, or fails when the request is aborted
+const deferred = () => {
+  let release;
+  const handler = vi.fn((call, signal) => new Promise((resolve, reject) => {
+    release = resolve;
+    signal?.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+  }));
+  return { handler, release: (response) => release(response) };
+};
+
+// Like createFakeApi, but hands each route the request's signal
+const withSignal = (routes) => {
+  const api = createFakeApi();
+  api.authFetch.mockImplementation(async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const call = { method: options.method || "GET", path: pathname, query: Object.fromEntries(searchParams) };
+    api.calls.push(call);
+    return routes[`${call.method} ${call.path}`](call, options.signal);
+  });
+  return api;
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("API client", () => {
+  it("builds query strings and sends JSON bodies", async () => {
+    const api = createFakeApi({
+      "POST /api/predict/BP_Class": (call) => json({ success: true, classifier: "BP_Class", input: call.body }),
+    });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    const result = await client.predict("BP_Class", { age: 45 }, { model: "RandomForest", patientId: "" });
+
+    expect(result.input).toEqual({ age: 45 });
+    expect(api.calls[0].query).toEqual({ model: "RandomForest" });
+    expect(api.authFetch.mock.calls[0][1].headers).toEqual({ "Content-Type": "application/json" });
+  });
+
+  it("turns validation details and v1 envelopes into ApiErrors", async () => {
+    const api = createFakeApi({
+      "POST /api/predict/BP_Class": () => json({
+        success: false,
+        error: "Invalid patient data",
+        code: "VALIDATION_FAILED",
+        details: [{ field: "age", message: "Age is required" }, { field: "sex", message: "Sex is required" }],
+      }, 422),
+      "GET /api/classifiers": () => json({
+        success: false,
+        error: { code: "UPSTREAM_UNAVAILABLE", message: "Python service is unavailable" },
+      }, 503),
+    });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    const invalid = await client.predict("BP_Class", {}).catch((err) => err);
+    expect(invalid).toBeInstanceOf(ApiError);
+    expect(invalid).toMatchObject({ status: 422, code: "VALIDATION_FAILED", message: "Age is required. Sex is required" });
+
+    await expect(client.getClassifiers()).rejects.toMatchObject({
+      status: 503,
+      code: "UPSTREAM_UNAVAILABLE",
+      message: "Python service is unavailable",
+    });
+  });
+
+  it("reports unreachable gateways as network errors", async () => {
+    const client = createApiClient({
+      fetch: vi.fn().mockRejectedValue(new TypeError("Failed to fetch")),
+      baseUrl: "http://gateway",
+    });
+
+    await expect(client.getSchema()).rejects.toMatchObject({ code: "NETWORK_ERROR", status: null });
+  });
+
+  it("times out and aborts the request", async () => {
+    vi.useFakeTimers();
+    const slow = deferred();
+    const api = withSignal({ "GET /api/classifiers": slow.handler });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    const pending = client.getClassifiers({ timeout: 500 }).catch((err) => err);
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(await pending).toMatchObject({ code: "TIMEOUT", isAbort: false });
+    expect(api.authFetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it("rejects cancelled calls as aborted", async () => {
+    const slow = deferred();
+    const api = withSignal({ "GET /api/classifiers": slow.handler });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+    const controller = new AbortController();
+
+    const pending = client.getClassifiers({ signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: "ABORTED", isAbort: true });
+  });
+
+  it("shares identical requests in flight until every caller has given up", async () => {
+    const slow = deferred();
+    const api = withSignal({ "GET /api/classifiers": slow.handler });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+    const first = new AbortController();
+
+    const abandoned = client.getClassifiers({ signal: first.signal }).catch((err) => err);
+    const kept = client.getClassifiers();
+    first.abort();
+    await Promise.resolve();
+
+    expect(api.calls).toHaveLength(1);
+    expect(await abandoned).toMatchObject({ code: "ABORTED" });
+    expect(api.authFetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+    slow.release(json({ success: true, classifiers: CLASSIFIERS }));
+    expect((await kept).classifiers).toEqual(CLASSIFIERS);
+
+    // Settled requests aren't reused
+    slow.handler.mockImplementation(() => json({ success: true, classifiers: {} }));
+    expect((await client.getClassifiers()).classifiers).toEqual({});
+    expect(api.calls).toHaveLength(2);
+  });
+
+  it("doesn't share job submissions", async () => {
+    const api = createFakeApi({
+      "POST /api/jobs/predict-all": () => json({ success: true, job: { id: "job-1", status: "queued" } }, 202),
+    });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    await Promise.all([client.submitPredictAllJob({ age: 45 }), client.submitPredictAllJob({ age: 45 })]);
+
+    expect(api.calls).toHaveLength(2);
+  });
+
+  it("filters patient history by date range", async () => {
+    const api = createFakeApi({
+      "GET /api/patients/PAT%207/history": () => json({ success: true, patientId: "PAT 7", records: [], count: 0 }),
+    });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    await client.getHistory("PAT 7", { from: "2026-01-01T00:00:00.000Z", to: undefined });
+
+    expect(api.calls[0].query).toEqual({ from: "2026-01-01T00:00:00.000Z" });
+  });
+
+  it("returns reports as blobs and reads their errors as JSON", async () => {
+    let status = 200;
+    const api = createFakeApi({
+      "POST /api/reports": () => (status === 200
+        ? new Response("%PDF-1.7", { headers: { "Content-Type": "application/pdf" } })
+        : json({ success: false, error: "Invalid report request", details: [{ field: "targets", message: "targets must be an array" }] }, status)),
+    });
+    const client = createApiClient({ fetch: api.authFetch, baseUrl: "http://gateway" });
+
+    const pdf = await client.generateReport({ patientId: "PAT-7", recordIds: ["r-1"] });
+    expect(await pdf.text()).toBe("%PDF-1.7");
+
+    status = 422;
+    await expect(client.generateReport({ input: {} })).rejects.toMatchObject({ status: 422, message: "targets must be an array" });
+  });
+
+  it("streams cohort events and rejects on an error event", async () => {
+    const lines = (...events) => new Response(events.map((event) => JSON.stringify(event)).join("\n"), {
+      headers: { "Content-Type": "application/x-ndjson" },
+    });
+    let body = lines({ type: "start", total: 1 }, { type: "row", completed: 1 }, { type: "done", downloadUrl: "/api/cohort/c-1/results.csv" });
+    // The upload is CSV, which createFakeApi would try to parse as JSON
+    const fetcher = vi.fn(async () => body);
+    const client = createApiClient({ fetch: fetcher, baseUrl: "http://gateway" });
+    const onEvent = vi.fn();
+
+    await client.scoreCohort("age\n45\n", { classifiers: ["BP_Class"], allModels: true, onEvent });
+
+    expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(["start", "row", "done"]);
+    const [url, options] = fetcher.mock.calls[0];
+    expect(Object.fromEntries(new URL(url).searchParams)).toEqual({ classifiers: "BP_Class", models: "all" });
+    expect(options.body).toBe("age\n45\n");
+    expect(options.headers).toEqual({ "Content-Type": "text/csv", Accept: "application/x-ndjson" });
+
+    body = lines({ type: "start", total: 1 }, { type: "error", error: "Cohort scoring failed" });
+    await expect(client.scoreCohort("age\n45\n", { onEvent })).rejects.toMatchObject({ code: "COHORT_FAILED" });
+  });
+});
@@ -0,0 +1,9 @@
+import { useMemo } from "react";
+import { useAuth } from "../auth/useAuth";
+import { createApiClient } from "./client";
+
+// API client bound to the signed-in session
+export function useApiClient() {
+  const { authFetch } = useAuth();
+  return useMemo(() => createApiClient({ fetch: authFetch }), [authFetch]);
+}
@@ -0,0 +1,19 @@
+import { useCallback } from "react";
+import { useApiClient } from "./useApiClient";
+import { useResource } from "./useResource";
+
+// Stable while loading, so consumers' memos don't recompute
+const EMPTY = {};
+
+/**
+ * The classifier registry discovered by the gateway, keyed by classifier.
+ * `classifiers` is empty until it has loaded.
+ *
+ * @returns {{ classifiers: Record<string, import("./client").ClassifierEntry>, loading: boolean, error: import("./client").ApiError | null, reload: () => void }}
+ */
+export function useClassifiers() {
+  const api = useApiClient();
+  const load = useCallback((signal) => api.getClassifiers({ signal }).then((data) => data.classifiers), [api]);
+  const { data, ...state } = useResource(load);
+  return { classifiers: data || EMPTY, ...state };
+}
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useApiClient } from "./useApiClient";
+
+const IDLE = { data: null, loading: false, error: null };
+
+/**
+ * Run predictions one at a time: starting a new one aborts the one in flight,
+ * and leaving the page aborts whatever is still running. Each runner resolves
+ * to the result, or null when it failed (see `error`) or was superseded.
+ *
+ * @returns {{
+ *   data: Object | null,
+ *   loading: boolean,
+ *   error: import("./client").ApiError | null,
+ *   predict: (classifier: string, input: import("./client").PatientInput, options?: { model?: string, patientId?: string }) => Promise<import("./client").PredictionResult | null>,
+ *   ensemble: (classifier: string, input: import("./client").PatientInput, options?: { strategy?: string, patientId?: string }) => Promise<import("./client").EnsembleResult | null>,
+ *   predictAll: (input: import("./client").PatientInput, options?: { patientId?: string }) => Promise<import("./client").PredictAllResult | null>,
+ *   compareModels: (classifier: string, input: import("./client").PatientInput) => Promise<import("./client").ComparisonResult | null>,
+ *   cancel: () => void,
+ *   reset: () => void,
+ * }}
+ */
+export function usePrediction() {
+  const api = useApiClient();
+  const [state, setState] = useState(IDLE);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = useCallback(async (call) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setState({ data: null, loading: true, error: null });
+
+    try {
+      const data = await call(controller.signal);
+      if (controllerRef.current === controller) setState({ data, loading: false, error: null });
+      return data;
+    } catch (error) {
+      if (controllerRef.current === controller) setState({ data: null, loading: false, error });
+      return null;
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, []);
+
+  const predict = useCallback((classifier, input, options) =>
+    run((signal) => api.predict(classifier, input, { ...options, signal })), [api, run]);
+
+  const ensemble = useCallback((classifier, input, options) =>
+    run((signal) => api.ensemble(classifier, input, { ...options, signal })), [api, run]);
+
+  const predictAll = useCallback((input, options) =>
+    run((signal) => api.predictAll(input, { ...options, signal })), [api, run]);
+
+  const compareModels = useCallback((classifier, input) =>
+    run((signal) => api.compareModels(classifier, input, { signal })), [api, run]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setState((prev) => ({ ...prev, loading: false }));
+  }, []);
+
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setState(IDLE);
+  }, []);
+
+  return { ...state, predict, ensemble, predictAll, compareModels, cancel, reset };
+}
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { ApiError } from "./client";
+import { useApiClient } from "./useApiClient";
+
+const IDLE = { job: null, running: false, error: null };
+
+const FINISHED = new Set(["succeeded", "failed", "cancelled"]);
+
+// Poll failures that say nothing about the job (e.g. the gateway restarting); the job survives them
+const TRANSIENT = new Set(["NETWORK_ERROR", "TIMEOUT"]);
+
+// Consecutive transient failures before the gateway counts as gone and the error is shown
+const MAX_POLL_FAILURES = 5;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener("abort", () => {
+    clearTimeout(timer);
+    reject(new ApiError("Request was cancelled", { code: "ABORTED" }));
+  }, { once: true });
+});
+
+/**
+ * Run a complete analysis as a background job on the gateway, so a slow Python
+ * service can't time out one long request. `job` is updated on every poll
+ * (progress, `partial` results) until it succeeds, fails or is cancelled;
+ * `error` is only set when the job couldn't be submitted, tracked or cancelled,
+ * including when the gateway stays unreachable for MAX_POLL_FAILURES polls in a row.
+ * Leaving the page stops polling but not the job.
+ *
+ * @param {{ pollInterval?: number }} [options]
+ * @returns {{
+ *   job: import("./client").Job | null,
+ *   running: boolean,
+ *   error: import("./client").ApiError | null,
+ *   start: (input: import("./client").PatientInput, options?: { patientId?: string }) => Promise<import("./client").Job | null>,
+ *   cancel: () => Promise<void>,
+ *   reset: () => void,
+ * }}
+ */
+export function usePredictionJob({ pollInterval = 1000 } = {}) {
+  const api = useApiClient();
+  const [state, setState] = useState(IDLE);
+  const controllerRef = useRef(null);
+  const jobIdRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const start = useCallback(async (input, options) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    const { signal } = controller;
+    controllerRef.current = controller;
+    setState({ job: null, running: true, error: null });
+
+    try {
+      let job = await api.submitPredictAllJob(input, { ...options, signal });
+      jobIdRef.current = job.id;
+      setState((prev) => ({ ...prev, job }));
+
+      for (let failures = 0; ;) {
+        try {
+          job = await api.getJob(job.id, { signal });
+          failures = 0;
+        } catch (err) {
+          failures++;
+          if (!TRANSIENT.has(err.code) || failures >= MAX_POLL_FAILURES) throw err;
+        }
+        if (FINISHED.has(job.status)) break;
+
+        setState((prev) => ({ ...prev, job }));
+        await wait(pollInterval, signal);
+      }
+
+      setState({ job, running: false, error: null });
+      return job;
+    } catch (error) {
+      if (!error.isAbort) setState((prev) => ({ ...prev, running: false, error }));
+      return null;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        jobIdRef.current = null;
+      }
+    }
+  }, [api, pollInterval]);
+
+  // Ask the gateway to stop the job; polling then sees it cancelled
+  const cancel = useCallback(async () => {
+    if (!jobIdRef.current) return;
+    try {
+      await api.cancelJob(jobIdRef.current);
+    } catch (error) {
+      setState((prev) => ({ ...prev, error }));
+    }
+  }, [api]);
+
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    jobIdRef.current = null;
+    setState(IDLE);
+  }, []);
+
+  return { ...state, start, cancel, reset };
+}
@@ -0,0 +1,71 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { AuthContext } from "../auth/AuthContext";
+import { createFakeApi, json } from "../test/fakeApi";
+import { usePredictionJob } from "./usePredictionJob";
+
+const job = (status) => ({ id: "job-1", type: "predict-all", status, progress: { completed: 0, total: 6 } });
+
+const renderJobHook = (api) => renderHook(() => usePredictionJob({ pollInterval: 1 }), {
+  wrapper: ({ children }) => (
+    <AuthContext.Provider value={{ authFetch: api.authFetch }}>{children}</AuthContext.Provider>
+  ),
+});
+
+describe("usePredictionJob", () => {
+  it("keeps polling through a brief outage", async () => {
+    let polls = 0;
+    const api = createFakeApi({
+      "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+      "GET /api/jobs/job-1": () => {
+        polls++;
+        if (polls <= 2) throw new TypeError("Failed to fetch");
+        return json({ success: true, job: job("succeeded") });
+      },
+    });
+    const { result } = renderJobHook(api);
+
+    await act(() => result.current.start({ age: 45 }));
+
+    expect(result.current).toMatchObject({ running: false, error: null, job: { status: "succeeded" } });
+  });
+
+  it("gives up when the gateway stays unreachable", async () => {
+    const api = createFakeApi({
+      "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+      "GET /api/jobs/job-1": () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    const { result } = renderJobHook(api);
+
+    await act(() => result.current.start({ age: 45 }));
+
+    await waitFor(() => expect(result.current.running).toBe(false));
+    expect(result.current.error).toMatchObject({ code: "NETWORK_ERROR" });
+    expect(api.calls.filter((call) => call.method === "GET")).toHaveLength(5);
+  });
+
+  it("reports a failed cancel through error and keeps polling", async () => {
+    let done = false;
+    const api = createFakeApi({
+      "POST /api/jobs/predict-all": () => json({ success: true, job: job("queued") }, 202),
+      "GET /api/jobs/job-1": () => json({ success: true, job: job(done ? "succeeded" : "running") }),
+      "POST /api/jobs/job-1/cancel": () => json({ success: false, error: "Job already finished" }, 409),
+    });
+    const { result } = renderJobHook(api);
+
+    let finished;
+    act(() => {
+      finished = result.current.start({ age: 45 });
+    });
+    await waitFor(() => expect(result.current.job?.status).toBe("running"));
+    await act(() => result.current.cancel());
+
+    expect(result.current).toMatchObject({ running: true, error: { status: 409, message: "Job already finished" } });
+
+    done = true;
+    await act(() => finished);
+  });
+});
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Load `load(signal)` on mount and whenever it changes, aborting the previous
+ * load. Pass a stable (useCallback) loader. Concurrent identical GETs are
+ * shared by the client, so several components can load the same resource.
+ *
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} load
+ * @returns {{ data: T | null, loading: boolean, error: import("./client").ApiError | null, reload: () => void }}
+ */
+export function useResource(load) {
+  const [state, setState] = useState({ data: null, loading: true, error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+
+    load(controller.signal).then(
+      (data) => setState({ data, loading: false, error: null }),
+      (error) => {
+        if (!error.isAbort) setState((prev) => ({ ...prev, loading: false, error }));
+      }
+    );
+
+    return () => controller.abort();
+  }, [load, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { ...state, reload };
+}
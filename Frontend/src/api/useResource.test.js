@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import { ApiError } from "./client";
+import { useResource } from "./useResource";
+
+// A load that settles when the test says so, and rejects like the client when aborted
+const controllable = () => {
+  const pending = [];
+  const load = (signal) => new Promise((resolve, reject) => {
+    pending.push({ signal, resolve });
+    signal.addEventListener("abort", () => reject(new ApiError("Request was cancelled", { code: "ABORTED" })));
+  });
+  return { pending, load };
+};
+
+describe("useResource", () => {
+  it("aborts the previous load when the loader changes and ignores its answer", async () => {
+    const first = controllable();
+    const second = controllable();
+    const { result, rerender } = renderHook(({ load }) => useResource(load), { initialProps: { load: first.load } });
+
+    rerender({ load: second.load });
+    expect(first.pending[0].signal.aborted).toBe(true);
+
+    first.pending[0].resolve("old patient");
+    second.pending[0].resolve("new patient");
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.data).toBe("new patient");
+    expect(result.current.error).toBeNull();
+  });
+
+  it("reports failures and loads again on reload()", async () => {
+    let attempts = 0;
+    const load = async () => {
+      attempts++;
+      if (attempts === 1) throw new ApiError("Failed to load patients", { status: 503 });
+      return ["PAT-7"];
+    };
+    const { result } = renderHook(() => useResource(load));
+
+    await waitFor(() => expect(result.current.error).toMatchObject({ status: 503 }));
+
+    result.current.reload();
+    await waitFor(() => expect(result.current.data).toEqual(["PAT-7"]));
+    expect(result.current.error).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+import { useCallback } from "react";
+import { useApiClient } from "./useApiClient";
+import { useResource } from "./useResource";
+
+/**
+ * The patient schema the gateway validates against, which drives the form.
+ *
+ * @returns {{ schema: import("./client").PatientSchema | null, loading: boolean, error: import("./client").ApiError | null, reload: () => void }}
+ */
+export function useSchema() {
+  const api = useApiClient();
+  const load = useCallback((signal) => api.getSchema({ signal }).then((data) => data.schema), [api]);
+  const { data, ...state } = useResource(load);
+  return { schema: data, ...state };
+}
@@ -0,0 +1,84 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { AuthContext } from "./AuthContext";
+import { API_BASE_URL } from "../config";
+
+const STORAGE_KEY = "tspd.session";
+
+// Read the JWT expiry without verifying it; the gateway does the real check
+const isExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+};
+
+const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return session?.token && !isExpired(session.token) ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+function AuthProvider({ children }) {
+  const [session, setSession] = useState(loadSession);
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setSession(null);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Login failed');
+    }
+
+    const next = { token: data.token, user: data.user };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setSession(next);
+    return data.user;
+  }, []);
+
+  // fetch() with the session token attached; a 401 ends the session
+  const authFetch = useCallback(async (url, options = {}) => {
+    const headers = { ...options.headers };
+    if (session?.token) {
+      headers.Authorization = `Bearer ${session.token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+      logout();
+    }
+    return response;
+  }, [session, logout]);
+
+  const hasPermission = useCallback(
+    (permission) => Boolean(session?.user.permissions?.includes(permission)),
+    [session]
+  );
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    token: session?.token || null,
+    isAuthenticated: Boolean(session),
+    login,
+    logout,
+    authFetch,
+    hasPermission,
+  }), [session, login, logout, authFetch, hasPermission]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
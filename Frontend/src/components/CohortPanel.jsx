@@ -0,0 +1,238 @@
+import React, { useState } from "react";
+import { AlertCircle, Download, Loader, Upload } from "lucide-react";
+import { useApiClient } from "../api/useApiClient";
+import { saveBlob } from "../utils/saveBlob";
+
+const JSON_LINES_PATTERN = /\.(jsonl|ndjson)$/i;
+
+// Rejected uploads list their problems by file row
+const rowErrors = (err) =>
+  err.details?.map((detail) => (detail.row ? `Row ${detail.row}: ${detail.message}` : detail.message)).join(". ");
+
+function CohortPanel({ classifiers }) {
+  const api = useApiClient();
+  const [file, setFile] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [allModels, setAllModels] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [targets, setTargets] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [downloadUrl, setDownloadUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  const toggleClassifier = (key) => {
+    setSelected((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]
+    );
+  };
+
+  const handleRun = async () => {
+    if (!file) {
+      setError('Choose a CSV or JSON lines file first');
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+    setRows([]);
+    setSummary(null);
+    setDownloadUrl(null);
+    setProgress({ completed: 0, total: 0 });
+
+    try {
+      await api.scoreCohort(await file.text(), {
+        format: JSON_LINES_PATTERN.test(file.name) ? "ndjson" : "csv",
+        classifiers: selected,
+        allModels,
+        onEvent: (event) => {
+          if (event.type === 'start') {
+            setTargets(event.targets);
+            setProgress({ completed: 0, total: event.total });
+          } else if (event.type === 'row') {
+            setProgress({ completed: event.completed, total: event.total });
+            setRows((prev) => [...prev, event.result]);
+          } else if (event.type === 'done') {
+            setSummary(event.summary);
+            setDownloadUrl(event.downloadUrl);
+          }
+        },
+      });
+    } catch (err) {
+      setError(rowErrors(err) || err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // The CSV needs the session token, so fetch it and hand the browser a blob URL
+  const handleDownload = async () => {
+    try {
+      const csv = await api.downloadCohortResults(downloadUrl);
+      saveBlob(csv, `cohort-results-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const sortedRows = [...rows].sort((a, b) => a.row - b.row);
+  const percent = progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+        <p className="text-blue-800 text-sm">
+          <strong>Cohort Mode:</strong> Upload a CSV with a header row (or a JSON lines file) containing one
+          patient per row. An optional <code>patient_id</code> column is carried through to the results.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="font-semibold text-gray-700 mb-2 block">Patient File:</label>
+          <input
+            type="file"
+            accept=".csv,.jsonl,.ndjson,text/csv"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="w-full border border-gray-300 p-3 rounded-lg bg-white"
+          />
+        </div>
+
+        <div>
+          <label className="font-semibold text-gray-700 mb-2 block">
+            Classifiers <span className="text-gray-500 font-normal text-sm">(none selected = all)</span>:
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(classifiers).map(([key, entry]) => (
+              <label key={key} className="flex items-center gap-2 bg-gray-50 border border-gray-200 px-3 py-2 rounded-lg text-sm">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(key)}
+                  onChange={() => toggleClassifier(key)}
+                />
+                {entry.displayName}
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+            <input type="checkbox" checked={allModels} onChange={(e) => setAllModels(e.target.checked)} />
+            Score with every model (default: each classifier's default model)
+          </label>
+        </div>
+      </div>
+
+      <button
+        onClick={handleRun}
+        disabled={running || !file}
+        className="w-full bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-semibold px-8 py-4 rounded-xl transition-all duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+      >
+        {running ? (
+          <>
+            <Loader className="w-5 h-5 animate-spin" />
+            Scoring Cohort...
+          </>
+        ) : (
+          <>
+            <Upload className="w-5 h-5" />
+            Score Cohort
+          </>
+        )}
+      </button>
+
+      {(running || summary) && progress.total > 0 && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>{progress.completed} of {progress.total} patients</span>
+            <span>{percent}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3">
+            <div
+              className="bg-gradient-to-r from-blue-600 to-purple-600 h-3 rounded-full transition-all"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 mt-0.5" />
+          <div>
+            <h4 className="font-semibold text-red-800">Error</h4>
+            <p className="text-red-700 text-sm">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {summary && (
+        <div className="flex flex-wrap items-center justify-between gap-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+          <div className="flex flex-wrap gap-4 text-sm">
+            <span className="text-green-700 font-semibold">{summary.scored} scored</span>
+            {summary.partial > 0 && <span className="text-yellow-700 font-semibold">{summary.partial} partial</span>}
+            {summary.invalid > 0 && <span className="text-red-700 font-semibold">{summary.invalid} invalid</span>}
+            {summary.failed > 0 && <span className="text-red-700 font-semibold">{summary.failed} failed</span>}
+          </div>
+          {downloadUrl && (
+            <button
+              onClick={handleDownload}
+              className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold px-4 py-2 rounded-lg"
+            >
+              <Download className="w-4 h-4" />
+              Download CSV
+            </button>
+          )}
+        </div>
+      )}
+
+      {sortedRows.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="px-3 py-2 text-left">Row</th>
+                <th className="px-3 py-2 text-left">Patient</th>
+                {targets.map(({ classifier, model }) => (
+                  <th key={`${classifier}-${model}`} className="px-3 py-2 text-left">
+                    {classifiers[classifier]?.displayName || classifier}
+                    <span className="block text-xs font-normal text-gray-500">{model}</span>
+                  </th>
+                ))}
+                <th className="px-3 py-2 text-left">Issues</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRows.map((result) => (
+                <tr key={result.row} className={`border-t ${result.status === 'invalid' ? 'bg-red-50' : ''}`}>
+                  <td className="px-3 py-2 text-gray-600">{result.row}</td>
+                  <td className="px-3 py-2 font-medium">{result.patientId || '—'}</td>
+                  {targets.map(({ classifier, model }) => {
+                    const cell = result.predictions[classifier]?.[model];
+                    if (!cell || cell.error) {
+                      return <td key={`${classifier}-${model}`} className="px-3 py-2 text-gray-400">—</td>;
+                    }
+                    return (
+                      <td key={`${classifier}-${model}`} className="px-3 py-2">
+                        <span className={cell.prediction === 1 ? 'text-red-700 font-semibold' : 'text-green-700 font-semibold'}>
+                          {cell.label}
+                        </span>
+                        {cell.probability !== null && (
+                          <span className="text-gray-500 ml-1">({(cell.probability * 100).toFixed(1)}%)</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2 text-xs text-red-700">
+                    {result.errors.map((err) => (err.field ? `${err.field}: ${err.message}` : err.message)).join('; ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CohortPanel;
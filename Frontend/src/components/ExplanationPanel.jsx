@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { AlertCircle, BarChart3, Loader } from "lucide-react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { useApiClient } from "../api/useApiClient";
+
+const RAISES_RISK = "#dc2626";
+const LOWERS_RISK = "#059669";
+
+function ContributionTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const feature = payload[0].payload;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow p-3 text-sm">
+      <p className="font-semibold text-gray-800">{feature.label}: {feature.valueLabel}</p>
+      <p className="text-gray-600">
+        {feature.effect >= 0 ? "Raises" : "Lowers"} risk by {Math.abs(feature.effect * 100).toFixed(1)} pts vs. the field's range
+      </p>
+      <p className="text-gray-500 text-xs">Probability varies by {(feature.spread * 100).toFixed(1)} pts across the range</p>
+    </div>
+  );
+}
+
+// Ranked per-field contributions to one prediction, fetched on demand from /api/explain
+function ExplanationPanel({ classifier, model, input }) {
+  const api = useApiClient();
+  const [explanation, setExplanation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExplain = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      // `input` is the gateway's validated record; keep its BMI even if it was overridden
+      setExplanation(await api.explain(classifier, { ...input, bmi_override: true }, { model }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!explanation) {
+    return (
+      <div>
+        <button
+          onClick={handleExplain}
+          disabled={loading}
+          className="flex items-center gap-2 text-sm font-semibold text-purple-700 hover:text-purple-900 disabled:opacity-50"
+        >
+          {loading ? <Loader className="w-4 h-4 animate-spin" /> : <BarChart3 className="w-4 h-4" />}
+          {loading ? "Explaining prediction..." : "Explain this prediction"}
+        </button>
+        {error && (
+          <p className="mt-2 text-sm text-red-700 flex items-center gap-1">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const data = explanation.features
+    .filter((feature) => feature.effect !== null)
+    .map((feature) => ({ ...feature, name: `${feature.label} (${feature.valueLabel})`, percent: feature.effect * 100 }));
+
+  return (
+    <div>
+      <h5 className="font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <BarChart3 className="w-4 h-4 text-purple-600" />
+        What drives this result
+      </h5>
+      <p className="text-xs text-gray-500 mb-3">
+        Each field is varied across its valid range with the others held fixed. Bars show how much the
+        patient's value raises (red) or lowers (green) the positive-class probability compared with
+        the average over that range.
+      </p>
+      <ResponsiveContainer width="100%" height={Math.max(200, data.length * 32)}>
+        <BarChart data={data} layout="vertical" margin={{ top: 0, right: 20, bottom: 0, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+          <XAxis type="number" unit=" pts" tick={{ fontSize: 12 }} />
+          <YAxis type="category" dataKey="name" width={220} tick={{ fontSize: 12 }} />
+          <Tooltip content={<ContributionTooltip />} />
+          <ReferenceLine x={0} stroke="#6b7280" />
+          <Bar dataKey="percent">
+            {data.map((feature) => (
+              <Cell key={feature.feature} fill={feature.effect >= 0 ? RAISES_RISK : LOWERS_RISK} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      {explanation.summary.failed > 0 && (
+        <p className="text-xs text-yellow-700 mt-2">
+          {explanation.summary.failed} of {explanation.summary.calls} perturbed predictions failed and were left out.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ExplanationPanel;
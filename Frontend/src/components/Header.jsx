@@ -1,9 +1,11 @@
 import { Link, useLocation } from "react-router-dom";
 import React from "react";
-import { Activity } from "lucide-react";
+import { Activity, LogOut } from "lucide-react";
+import { useAuth } from "../auth/useAuth";
 
 function Header() {
   const location = useLocation();
+  const { user, isAuthenticated, hasPermission, logout } = useAuth();
 
   const linkClass = (path) =>
     `px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
@@ -23,16 +25,39 @@ function Header() {
             Time Series Patient Diagnosis
           </h1>
         </div>
-        <nav className="flex space-x-2">
+        <nav className="flex items-center space-x-2">
           <Link to="/" className={linkClass("/")}>
             Home
           </Link>
-          <Link to="/dashboard" className={linkClass("/dashboard")}>
-            Dashboard
-          </Link>
-          <Link to="/prediction" className={linkClass("/prediction")}>
-            Prediction
-          </Link>
+          {hasPermission("history:read") && (
+            <Link to="/dashboard" className={linkClass("/dashboard")}>
+              Dashboard
+            </Link>
+          )}
+          {hasPermission("predict") && (
+            <Link to="/prediction" className={linkClass("/prediction")}>
+              Prediction
+            </Link>
+          )}
+          {isAuthenticated ? (
+            <div className="flex items-center space-x-3 pl-4 ml-2 border-l border-gray-200">
+              <div className="text-right leading-tight">
+                <p className="text-sm font-semibold text-gray-800">{user.username}</p>
+                <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+              </div>
+              <button
+                onClick={logout}
+                title="Sign out"
+                className="p-2 rounded-lg text-gray-600 hover:bg-red-50 hover:text-red-600 transition-colors"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
+          ) : (
+            <Link to="/login" className={linkClass("/login")}>
+              Sign In
+            </Link>
+          )}
         </nav>
       </div>
     </header>
@@ -0,0 +1,30 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { ShieldAlert } from "lucide-react";
+import { useAuth } from "../auth/useAuth";
+
+// Send anonymous users to /login and block users lacking the page's permission
+function ProtectedRoute({ permission, children }) {
+  const { isAuthenticated, hasPermission } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return (
+      <section className="max-w-xl mx-auto text-center bg-white rounded-2xl shadow-lg p-10 border border-gray-100">
+        <div className="inline-flex p-4 bg-red-50 rounded-full mb-4">
+          <ShieldAlert className="w-10 h-10 text-red-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Access Denied</h2>
+        <p className="text-gray-600">Your account does not have access to this page.</p>
+      </section>
+    );
+  }
+
+  return children;
+}
+
+export default ProtectedRoute;
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { FileDown, Loader } from "lucide-react";
+import { useApiClient } from "../api/useApiClient";
+import { saveBlob } from "../utils/saveBlob";
+
+// Asks the gateway for a PDF of the results on screen for the patient file.
+// `request` names what to report on (history record IDs, or input and targets to
+// re-score); the gateway fills in the results itself.
+function ReportButton({ request, patientId }) {
+  const api = useApiClient();
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setGenerating(true);
+    setError(null);
+
+    try {
+      const pdf = await api.generateReport(request);
+      const stamp = new Date().toISOString().slice(0, 10);
+      saveBlob(pdf, `risk-report-${patientId || 'patient'}-${stamp}.pdf`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <button
+        onClick={handleDownload}
+        disabled={generating}
+        className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold px-4 py-2 rounded-lg disabled:opacity-50"
+      >
+        {generating ? <Loader className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+        Download report
+      </button>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default ReportButton;
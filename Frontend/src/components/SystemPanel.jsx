@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from "react";
+import { AlertCircle, Cpu, Gauge, Server, Timer } from "lucide-react";
+import TimeSeriesChart from "./TimeSeriesChart";
+import { useApiClient } from "../api/useApiClient";
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_SNAPSHOTS = 60;
+
+const formatClock = (time) =>
+  new Date(time).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+const formatMs = (value) => (value === null || value === undefined ? "—" : `${value.toFixed(1)} ms`);
+
+const CIRCUIT_STYLES = {
+  closed: "bg-green-100 text-green-800",
+  "half-open": "bg-yellow-100 text-yellow-800",
+  open: "bg-red-100 text-red-800",
+};
+
+// Total request time (ms) across routes, so successive snapshots give the mean latency in between
+const totalLatencyMs = (routes) =>
+  routes.reduce((sum, route) => sum + (route.meanMs || 0) * route.count, 0);
+
+// The gateway reports cumulative counters; turn consecutive snapshots into per-second rates
+const buildRateSeries = (snapshots) =>
+  snapshots.slice(1).map((snapshot, index) => {
+    const previous = snapshots[index];
+    const seconds = (snapshot.time - previous.time) / 1000;
+    const requests = snapshot.metrics.requests.total - previous.metrics.requests.total;
+    const latency = totalLatencyMs(snapshot.metrics.routes) - totalLatencyMs(previous.metrics.routes);
+
+    return {
+      time: snapshot.time,
+      requests: seconds > 0 ? requests / seconds : 0,
+      errors: seconds > 0 ? (snapshot.metrics.requests.errors - previous.metrics.requests.errors) / seconds : 0,
+      latency: requests > 0 ? latency / requests : null,
+    };
+  });
+
+// Live gateway metrics for admins, polled from /api/system/metrics
+function SystemPanel() {
+  const api = useApiClient();
+  const [snapshots, setSnapshots] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const poll = async () => {
+      try {
+        const data = await api.getSystemMetrics({ signal: controller.signal, timeout: POLL_INTERVAL_MS });
+        setError(null);
+        setSnapshots((current) => [...current, { ...data, time: Date.now() }].slice(-MAX_SNAPSHOTS));
+      } catch (err) {
+        if (!err.isAbort) setError(err.message);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+    };
+  }, [api]);
+
+  const latest = snapshots[snapshots.length - 1];
+  const rates = buildRateSeries(snapshots);
+  const routes = latest ? [...latest.metrics.routes].sort((a, b) => b.count - a.count) : [];
+  const predictions = latest ? [...latest.metrics.predictions].sort((a, b) => b.count - a.count) : [];
+  const upstreamProblems = latest
+    ? [
+      ...latest.metrics.upstreamErrors.map(({ endpoint, status, value }) => ({ endpoint, kind: `HTTP ${status}`, value })),
+      ...latest.metrics.upstreamTimeouts.map(({ endpoint, value }) => ({ endpoint, kind: "Timeout", value })),
+    ]
+    : [];
+
+  const summary = latest && [
+    {
+      icon: <Server className="w-6 h-6" />,
+      label: "Requests Served",
+      value: latest.metrics.requests.total,
+      detail: `${latest.metrics.requests.errors} server errors`,
+      color: "text-blue-500",
+      bg: "bg-blue-50"
+    },
+    {
+      icon: <Gauge className="w-6 h-6" />,
+      label: "Prediction Cache",
+      value: latest.cache.enabled ? `${Math.round(latest.cache.hitRate * 100)}% hits` : "Disabled",
+      detail: `${latest.cache.size} / ${latest.cache.maxEntries} entries`,
+      color: "text-purple-500",
+      bg: "bg-purple-50"
+    },
+    {
+      icon: <Timer className="w-6 h-6" />,
+      label: "Upstream Timeouts",
+      value: latest.metrics.upstreamTimeouts.reduce((sum, { value }) => sum + value, 0),
+      detail: `${latest.registry.count} classifiers loaded`,
+      color: "text-orange-500",
+      bg: "bg-orange-50"
+    },
+    {
+      icon: <Cpu className="w-6 h-6" />,
+      label: "Gateway Process",
+      value: `${latest.metrics.memoryMb} MB`,
+      detail: `up ${Math.floor(latest.metrics.uptimeSeconds / 60)} min`,
+      color: "text-green-500",
+      bg: "bg-green-50"
+    }
+  ];
+
+  return (
+    <div className="bg-white rounded-2xl p-6 shadow-lg border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Server className="w-5 h-5 text-blue-600" />
+          System
+        </h3>
+        {latest && (
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${CIRCUIT_STYLES[latest.circuit.state] || "bg-gray-100 text-gray-800"}`}>
+            ML service circuit: {latest.circuit.state}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 mt-0.5" />
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {summary && (
+        <div className="grid md:grid-cols-4 gap-4 mb-6">
+          {summary.map((item) => (
+            <div key={item.label} className="rounded-xl p-4 border border-gray-100">
+              <div className={`${item.bg} ${item.color} w-10 h-10 rounded-lg flex items-center justify-center mb-3`}>
+                {item.icon}
+              </div>
+              <p className="text-sm text-gray-500">{item.label}</p>
+              <p className="text-xl font-bold text-gray-800">{item.value}</p>
+              <p className="text-xs text-gray-500">{item.detail}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Requests per second</h4>
+          <TimeSeriesChart
+            data={rates}
+            series={[
+              { key: "requests", label: "Requests", color: "#2563eb" },
+              { key: "errors", label: "5xx errors", color: "#dc2626" },
+            ]}
+            height={220}
+            tickFormatter={formatClock}
+            emptyMessage="Collecting samples…"
+          />
+        </div>
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Mean latency</h4>
+          <TimeSeriesChart
+            data={rates}
+            series={[{ key: "latency", label: "Latency", color: "#9333ea" }]}
+            unit=" ms"
+            height={220}
+            tickFormatter={formatClock}
+            emptyMessage="Collecting samples…"
+          />
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <h4 className="font-semibold text-gray-700 mb-2">Routes</h4>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-2">Route</th>
+                <th className="py-2 pr-2 text-right">Requests</th>
+                <th className="py-2 pr-2 text-right">5xx</th>
+                <th className="py-2 pr-2 text-right">p50</th>
+                <th className="py-2 text-right">p95</th>
+              </tr>
+            </thead>
+            <tbody>
+              {routes.map((route) => (
+                <tr key={`${route.method} ${route.route}`} className="border-b border-gray-100">
+                  <td className="py-2 pr-2 font-mono text-xs">{route.method} {route.route}</td>
+                  <td className="py-2 pr-2 text-right">{route.count}</td>
+                  <td className={`py-2 pr-2 text-right ${route.errors > 0 ? "text-red-600 font-semibold" : ""}`}>{route.errors}</td>
+                  <td className="py-2 pr-2 text-right">{formatMs(route.p50Ms)}</td>
+                  <td className="py-2 text-right">{formatMs(route.p95Ms)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="space-y-6">
+          <div className="overflow-x-auto">
+            <h4 className="font-semibold text-gray-700 mb-2">Prediction latency by classifier and model</h4>
+            {predictions.length === 0 ? (
+              <p className="text-sm text-gray-400">No predictions forwarded yet</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-2">Classifier</th>
+                    <th className="py-2 pr-2">Model</th>
+                    <th className="py-2 pr-2 text-right">Calls</th>
+                    <th className="py-2 text-right">p95</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {predictions.map((row) => (
+                    <tr key={`${row.classifier} ${row.model}`} className="border-b border-gray-100">
+                      <td className="py-2 pr-2">{row.classifier}</td>
+                      <td className="py-2 pr-2">{row.model}</td>
+                      <td className="py-2 pr-2 text-right">{row.count}</td>
+                      <td className="py-2 text-right">{formatMs(row.p95Ms)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <h4 className="font-semibold text-gray-700 mb-2">Upstream failures</h4>
+            {upstreamProblems.length === 0 ? (
+              <p className="text-sm text-gray-400">No errors or timeouts from the ML service</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-2">Endpoint</th>
+                    <th className="py-2 pr-2">Failure</th>
+                    <th className="py-2 text-right">Count</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {upstreamProblems.map((row) => (
+                    <tr key={`${row.endpoint} ${row.kind}`} className="border-b border-gray-100">
+                      <td className="py-2 pr-2 font-mono text-xs">{row.endpoint}</td>
+                      <td className="py-2 pr-2">{row.kind}</td>
+                      <td className="py-2 text-right text-red-600 font-semibold">{row.value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SystemPanel;
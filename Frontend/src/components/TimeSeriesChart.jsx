@@ -0,0 +1,72 @@
+import React from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+const formatTick = (time) =>
+  new Date(time).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+const formatTooltipLabel = (time) => new Date(time).toLocaleString();
+
+// Line chart over a numeric `time` axis (ms since epoch), one line per series
+function TimeSeriesChart({
+  data,
+  series,
+  unit = "",
+  yDomain = ["auto", "auto"],
+  height = 280,
+  tickFormatter = formatTick,
+  emptyMessage = "No data in the selected range",
+}) {
+  if (data.length === 0) {
+    return (
+      <div className="flex items-center justify-center text-gray-400 text-sm" style={{ height }}>
+        {emptyMessage}
+      </div>
+    );
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data} margin={{ top: 10, right: 20, bottom: 0, left: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+        <XAxis
+          dataKey="time"
+          type="number"
+          scale="time"
+          domain={["dataMin", "dataMax"]}
+          tickFormatter={tickFormatter}
+          tick={{ fontSize: 12 }}
+        />
+        <YAxis domain={yDomain} unit={unit} tick={{ fontSize: 12 }} width={60} />
+        <Tooltip
+          labelFormatter={formatTooltipLabel}
+          formatter={(value, name) => [`${Number(value).toFixed(1)}${unit}`, name]}
+        />
+        <Legend />
+        {series.map(({ key, label, color }) => (
+          <Line
+            key={key}
+            type="monotone"
+            dataKey={key}
+            name={label}
+            stroke={color}
+            strokeWidth={2}
+            dot={{ r: 3 }}
+            activeDot={{ r: 6 }}
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+export default TimeSeriesChart;
@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from "react";
+import { AlertCircle, ArrowDownRight, ArrowUpRight, Loader, RotateCcw } from "lucide-react";
+import { useApiClient } from "../api/useApiClient";
+
+// Lifestyle fields a patient can change; everything else stays at the baseline
+const WHAT_IF_FIELDS = ['smoking', 'physical_activity', 'alcohol_consumption', 'weight'];
+const DEBOUNCE_MS = 500;
+const WEIGHT_RANGE_KG = 40;
+
+const initialChanges = (baseline) =>
+  Object.fromEntries(WHAT_IF_FIELDS.map((key) => [key, baseline[key]]));
+
+const formatPercent = (probability) =>
+  probability === null || probability === undefined ? '—' : `${(probability * 100).toFixed(1)}%`;
+
+function ProbabilityBar({ probability, color }) {
+  return (
+    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div className={`h-full ${color}`} style={{ width: `${(probability || 0) * 100}%` }} />
+    </div>
+  );
+}
+
+// Re-score the baseline patient with lifestyle changes as the sliders move.
+// Give it a new `key` with each baseline so the sliders start over.
+function WhatIfPanel({ baseline, schema, getDisplayName }) {
+  const api = useApiClient();
+  const [changes, setChanges] = useState(() => initialChanges(baseline));
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Debounced scoring; a newer slider position aborts the request in flight
+  useEffect(() => {
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const data = await api.runScenarios(
+          { baseline, variants: [{ label: 'What-if', changes }] },
+          { signal: controller.signal }
+        );
+        setResult(data);
+      } catch (err) {
+        if (err.isAbort) return;
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [api, baseline, changes]);
+
+  const setChange = (key, value) => setChanges((prev) => ({ ...prev, [key]: value }));
+
+  const renderSlider = (key) => {
+    const field = schema.fields[key];
+    const changed = changes[key] !== baseline[key];
+
+    if (field.type === 'enum') {
+      const index = Math.max(0, field.options.findIndex((opt) => opt.value === changes[key]));
+      return (
+        <div key={key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="font-semibold text-gray-700">{field.label}</span>
+            <span className={changed ? "text-purple-700 font-semibold" : "text-gray-600"}>
+              {field.options[index].label}
+            </span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={field.options.length - 1}
+            step={1}
+            value={index}
+            onChange={(e) => setChange(key, field.options[Number(e.target.value)].value)}
+            className="w-full accent-purple-600"
+          />
+        </div>
+      );
+    }
+
+    const min = Math.max(field.min, Math.floor(baseline[key] - WEIGHT_RANGE_KG));
+    const max = Math.min(field.max, Math.ceil(baseline[key] + WEIGHT_RANGE_KG));
+    return (
+      <div key={key}>
+        <div className="flex justify-between text-sm mb-1">
+          <span className="font-semibold text-gray-700">{field.label}</span>
+          <span className={changed ? "text-purple-700 font-semibold" : "text-gray-600"}>
+            {changes[key]} {field.unit}
+          </span>
+        </div>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={0.5}
+          value={changes[key]}
+          onChange={(e) => setChange(key, Number(e.target.value))}
+          className="w-full accent-purple-600"
+        />
+      </div>
+    );
+  };
+
+  const scenario = result?.variants[0];
+
+  return (
+    <div className="mt-6 border-2 border-purple-200 rounded-xl p-6 bg-purple-50/40">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-bold text-gray-800 text-lg flex items-center gap-2">
+          What-if Simulation
+          {loading && <Loader className="w-4 h-4 text-purple-600 animate-spin" />}
+        </h4>
+        <button
+          onClick={() => setChanges(initialChanges(baseline))}
+          className="flex items-center gap-1 text-sm text-purple-700 hover:text-purple-900"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reset to baseline
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-4 mb-6">
+        {WHAT_IF_FIELDS.map(renderSlider)}
+      </div>
+
+      {scenario?.input.BMI !== undefined && scenario.input.BMI !== result.baseline.input.BMI && (
+        <p className="text-sm text-gray-600 mb-4">
+          BMI {result.baseline.input.BMI} → {scenario.input.BMI}
+        </p>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 text-red-600 mt-0.5" />
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {result && scenario && (
+        <div className="space-y-3">
+          {result.classifiers.map((key) => {
+            const before = result.baseline.results[key];
+            const after = scenario.results[key];
+            const delta = scenario.delta[key];
+
+            if (before.error || after.error) {
+              return (
+                <div key={key} className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                  <span className="font-semibold">{getDisplayName(key)}:</span> {before.error || after.error}
+                </div>
+              );
+            }
+
+            return (
+              <div key={key} className="p-4 rounded-lg bg-white border border-gray-200">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="font-semibold text-gray-800">{getDisplayName(key)}</span>
+                  {delta !== null && delta !== 0 && (
+                    <span className={`flex items-center gap-1 text-sm font-semibold ${delta < 0 ? "text-green-600" : "text-red-600"}`}>
+                      {delta < 0 ? <ArrowDownRight className="w-4 h-4" /> : <ArrowUpRight className="w-4 h-4" />}
+                      {delta > 0 ? '+' : ''}{(delta * 100).toFixed(1)} pts
+                    </span>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-600 mb-1">
+                      <span>Baseline ({before.label})</span>
+                      <span className="font-semibold">{formatPercent(before.probability)}</span>
+                    </div>
+                    <ProbabilityBar probability={before.probability} color="bg-gray-400" />
+                  </div>
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-600 mb-1">
+                      <span>Scenario ({after.label})</span>
+                      <span className="font-semibold">{formatPercent(after.probability)}</span>
+                    </div>
+                    <ProbabilityBar probability={after.probability} color="bg-purple-600" />
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+          <p className="text-xs text-gray-500">
+            Each classifier uses its default model. Scenarios are not saved to patient history.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WhatIfPanel;
@@ -0,0 +1,2 @@
+// Gateway base URL, set per environment through VITE_API_BASE_URL (see .env.example)
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
@@ -0,0 +1,53 @@
+import React from "react";
+import { vi } from "vitest";
+import { render } from "@testing-library/react";
+import { AuthContext } from "../auth/AuthContext";
+
+// A JSON response like the gateway's
+export const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { "Content-Type": "application/json" },
+});
+
+/**
+ * Stand-in for the gateway behind useAuth().authFetch. `routes` maps
+ * "METHOD /path" (query string not included) to a handler that receives the
+ * parsed call and returns a Response; unknown routes answer 404. Every call is
+ * kept in `calls` with its query and JSON body parsed.
+ */
+export function createFakeApi(routes = {}) {
+  const calls = [];
+
+  const authFetch = vi.fn(async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const call = {
+      method: (options.method || "GET").toUpperCase(),
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      body: typeof options.body === "string" ? JSON.parse(options.body) : undefined,
+    };
+    calls.push(call);
+
+    const handler = routes[`${call.method} ${call.path}`];
+    return handler
+      ? handler(call)
+      : json({ success: false, error: "Endpoint not found" }, 404);
+  });
+
+  return { authFetch, calls };
+}
+
+// Render `ui` signed in as a clinician, with requests going to `api`
+export function renderWithApi(ui, api) {
+  const auth = {
+    user: { id: "u-1", username: "clinician", role: "clinician", permissions: ["predict", "metadata:read"] },
+    token: "test-token",
+    isAuthenticated: true,
+    login: vi.fn(),
+    logout: vi.fn(),
+    authFetch: api.authFetch,
+    hasPermission: () => true,
+  };
+
+  return render(<AuthContext.Provider value={auth}>{ui}</AuthContext.Provider>);
+}
@@ -0,0 +1,9 @@
+import '@testing-library/jest-dom/vitest'
+import { afterEach } from 'vitest'
+import { cleanup } from '@testing-library/react'
+
+// Unmount rendered components between tests (vitest globals are off, so
+// Testing Library can't register this itself)
+afterEach(() => {
+  cleanup()
+})
@@ -0,0 +1,9 @@
+// Hand a fetched file to the browser as a download
+export const saveBlob = (blob, filename) => {
+  const blobUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = blobUrl;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(blobUrl);
+};
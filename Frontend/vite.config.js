@@ -5,4 +5,16 @@ export default defineConfig({
   plugins: [
     tailwindcss(),
   ],
-})
\ No newline at end of file
+  server: {
+    fs: {
+      // Allow importing modules from ../shared, which the gateway also uses
+      allow: ['..'],
+    },
+  },
+  // Component tests (npm test). The end-to-end suite in e2e/ runs with Playwright.
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    include: ['src/**/*.test.{js,jsx}'],
+  },
+})
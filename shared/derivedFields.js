@@ -0,0 +1,115 @@
+// Derived patient fields, shared by the gateway and the web form so both compute
+// BMI and convert units the same way. Plain ES module with no dependencies:
+// Vite imports it directly and the CommonJS gateway loads it with require().
+
+export const WEIGHT_UNITS = ['kg', 'lb'];
+export const HEIGHT_UNITS = ['cm', 'ft_in'];
+
+// Request fields that steer derivation and are removed before validation
+export const DERIVATION_FIELDS = ['weight_unit', 'height_unit', 'height_ft', 'height_in', 'bmi_override'];
+
+// A submitted BMI within this distance of the computed one counts as consistent
+export const BMI_TOLERANCE = 0.5;
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_INCH = 2.54;
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+export const poundsToKilograms = (pounds) => roundTo(pounds * KG_PER_LB, 1);
+
+export const feetInchesToCentimetres = (feet, inches = 0) => roundTo((feet * 12 + inches) * CM_PER_INCH, 1);
+
+/**
+ * BMI (kg/m²) to one decimal place, or null when weight or height is unusable.
+ */
+export function computeBMI(weightKg, heightCm) {
+  const weight = toNumber(weightKg);
+  const height = toNumber(heightCm);
+  if (!(weight > 0) || !(height > 0)) return null;
+  return roundTo(weight / (height / 100) ** 2, 1);
+}
+
+/**
+ * Normalize a submitted patient record before schema validation:
+ *   - weight in lb (weight_unit: 'lb') is converted to kg
+ *   - height in feet and inches (height_unit: 'ft_in', height_ft, height_in) to cm
+ *   - a missing BMI is computed from weight and height
+ *   - a BMI that disagrees with weight and height is an error, unless
+ *     bmi_override is true, in which case it is kept with a warning
+ *
+ * Returns { value, derived, warnings, errors }. `value` has the control fields
+ * removed; `derived` lists the fields that were filled in or converted.
+ * Warnings and errors use the { field, code, message } shape of schema errors.
+ */
+export function deriveFields(input) {
+  const value = { ...input };
+  const derived = [];
+  const warnings = [];
+  const errors = [];
+
+  DERIVATION_FIELDS.forEach((field) => delete value[field]);
+
+  const weightUnit = isBlank(input.weight_unit) ? 'kg' : input.weight_unit;
+  const heightUnit = isBlank(input.height_unit) ? 'cm' : input.height_unit;
+
+  if (!WEIGHT_UNITS.includes(weightUnit)) {
+    errors.push({ field: 'weight_unit', code: 'enum', message: `Weight unit must be one of: ${WEIGHT_UNITS.join(', ')}` });
+  } else if (weightUnit === 'lb' && !isBlank(input.weight)) {
+    const pounds = toNumber(input.weight);
+    if (Number.isFinite(pounds)) {
+      value.weight = poundsToKilograms(pounds);
+      derived.push('weight');
+    }
+  }
+
+  if (!HEIGHT_UNITS.includes(heightUnit)) {
+    errors.push({ field: 'height_unit', code: 'enum', message: `Height unit must be one of: ${HEIGHT_UNITS.join(', ')}` });
+  } else if (heightUnit === 'ft_in') {
+    const feet = toNumber(input.height_ft);
+    const inches = isBlank(input.height_in) ? 0 : toNumber(input.height_in);
+    if (!Number.isFinite(feet) || feet < 0) {
+      errors.push({ field: 'height_ft', code: 'type', message: 'Height (ft) must be a number' });
+    } else if (!Number.isFinite(inches) || inches < 0 || inches >= 12) {
+      errors.push({ field: 'height_in', code: 'range', message: 'Height (in) must be between 0 and 11.9', min: 0, max: 11.9 });
+    } else {
+      value.height = feetInchesToCentimetres(feet, inches);
+      derived.push('height');
+    }
+  }
+
+  const computed = computeBMI(value.weight, value.height);
+
+  if (isBlank(value.BMI)) {
+    if (computed !== null) {
+      value.BMI = computed;
+      derived.push('BMI');
+    }
+  } else if (computed !== null) {
+    const submitted = toNumber(value.BMI);
+    if (Number.isFinite(submitted) && Math.abs(submitted - computed) > BMI_TOLERANCE) {
+      const issue = {
+        field: 'BMI',
+        code: 'inconsistent',
+        message: `BMI ${submitted} does not match weight and height (calculated ${computed})`,
+        expected: computed
+      };
+
+      if (input.bmi_override === true || input.bmi_override === 'true') {
+        warnings.push({ ...issue, code: 'override', message: `${issue.message}; using the submitted value` });
+      } else {
+        errors.push({ ...issue, message: `${issue.message}. Leave BMI blank to calculate it, or set bmi_override to keep it.` });
+      }
+    }
+  }
+
+  return { value, derived, warnings, errors };
+}